@@ -0,0 +1,787 @@
+#!/usr/bin/env node
+/**
+ * al-audit - Headless runner for the link extractor / availability checker
+ *
+ * Loads sript.js into a jsdom document and runs enhancedLinkExtractorWithAvailabilityCheck
+ * against it, then writes the JSON, CSV and HTML reports to disk.
+ *
+ * Usage:
+ *   al-audit <url-or-path> [options]
+ *   al-audit diff <previous.json> <current.json> [--out dir]
+ *
+ *   <url>        Page to audit, e.g. http://localhost:8080/iceland
+ *   <directory>  Directory of saved HTML pages (a local mirror). It is served on a local
+ *                port so links between the pages resolve, and every .html page is audited.
+ *   <file.html>  A single saved page (its directory is served the same way)
+ *
+ * Options:
+ *   --out <dir>              Report directory (default: ./al-audit-report)
+ *   --page <path>            Only audit this page of a directory, e.g. /iceland (repeatable)
+ *   --no-check               Only extract links, skip the availability checks
+ *   --config <file>          Audit config: a .json file of selectors, timeouts, delays, retries, special
+ *                            endings and URL routes (see AUDIT_CONFIG_SCHEMA in sript.js), or a .js module
+ *                            exporting it; options given on the command line take precedence
+ *   --concurrency <n>        Parallel checks per page at the start (default: 3)
+ *   --max-concurrency <n>    Highest concurrency the adaptive scheduler may reach (default: 8, at least --concurrency)
+ *   --per-host <n>           Parallel checks per host (default: no per-host limit)
+ *   --no-adaptive            Keep the concurrency fixed (429/503 responses still back off)
+ *   --port <n>               Port used to serve a directory (default: any free port)
+ *   --fail-on-unavailable    Exit with code 1 when a checked link is not available
+ *   --verbose                Print the script's console output
+ *   --rules <file>           Availability rule overrides: a .json file (selectors, match patterns)
+ *                            or a .js module exporting the config object (predicates too),
+ *                            passed to ALAudit.configureAvailabilityRules
+ *   --match-threshold <0-1>  Score a destination, activity or ship name needs to match (default: 0.8)
+ *   --legacy-matching        Match names by any shared word, as before the scoring matcher
+ *
+ * Result cache (conclusive results are reused across pages and runs):
+ *   --cache-file <path>      Cache file (default: <out>/cache.json)
+ *   --cache-ttl <minutes>    How long cached results stay valid (default: 360)
+ *   --no-cache               Check every link again
+ *   Directory targets are cached by path, so the cache also hits when they are served on another port.
+ *
+ * Price tracking (tour and cruise prices per ID across runs):
+ *   --price-history <path>   Price history file (default: <out>/price-history.json)
+ *   --no-price-history       Do not record or compare prices
+ *   --max-price-drop <pct>   Flag price drops larger than this percentage (default: 50)
+ *   --max-price-increase <pct>  Flag price increases larger than this percentage (default: 100)
+ *   --price-floor <amount>   Flag prices below this amount
+ *
+ * Images (img src/srcset and CSS backgrounds of the sections):
+ *   --no-image-check         Do not load the images (missing images and empty srcs are still reported)
+ *   --max-image-kb <n>       Flag images larger than this many KB (default: 500)
+ *   --max-image-px <n>       Flag images wider or taller than this (default: 2560)
+ *
+ * External links (links to other domains, only checked with --external):
+ *   --external               Request every off-domain link (HEAD, GET when HEAD is refused)
+ *   --external-concurrency <n>  Parallel requests to other domains (default: 2)
+ *   --external-allow <list>  Only check these domains, comma separated (subdomains included)
+ *   --external-deny <list>   Never request these domains, comma separated
+ *
+ * Label check (link label vs. the h1 of the target page):
+ *   --label-threshold <0-1>  Report labels with a lower similarity as mismatches (default: 0.5)
+ *   --no-label-check         Do not compare labels with page titles
+ *
+ * Crawl mode (one site-wide report instead of one report per page):
+ *   --crawl                  Start from the target page(s) and follow destination,
+ *                            subdestination and activity links
+ *   --sitemap <url-or-path>  Add the pages of a sitemap to the seeds (paths resolve on the site)
+ *   --max-depth <n>          Link levels to follow from the seeds (default: 2)
+ *   --max-pages <n>          Maximum number of pages to visit (default: 50)
+ *
+ * Compare mode (diff): compares two exported runs (a <page>.json or crawl.json report, or the
+ * link_extraction_data.json export of the results window) and writes diff.json and diff.html.
+ *
+ * Saved pages map to URLs like this: iceland.html and iceland/index.html are both /iceland.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'sript.js');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+function printUsage() {
+  console.log('Usage: al-audit <url-or-path> [--out dir] [--page /path] [--no-check] [--concurrency n] [--port n] [--fail-on-unavailable] [--verbose]');
+  console.log('       scheduler options: [--max-concurrency n] [--per-host n] [--no-adaptive]');
+  console.log('       al-audit <url-or-path> --crawl [--sitemap url] [--max-depth n] [--max-pages n] [options]');
+  console.log('       cache options: [--cache-file path] [--cache-ttl minutes] [--no-cache]');
+  console.log('       price options: [--price-history path] [--no-price-history] [--max-price-drop pct] [--max-price-increase pct] [--price-floor amount]');
+  console.log('       image options: [--no-image-check] [--max-image-kb n] [--max-image-px n]');
+  console.log('       label options: [--label-threshold 0-1] [--no-label-check]');
+  console.log('       external links: [--external] [--external-concurrency n] [--external-allow domains] [--external-deny domains]');
+  console.log('       rule overrides: [--rules rules.json|rules.js] [--match-threshold 0-1] [--legacy-matching]');
+  console.log('       audit config: [--config config.json|config.js]');
+  console.log('       al-audit diff <previous.json> <current.json> [--out dir]');
+}
+
+// Split a comma separated option value (e.g. a domain list)
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Parse command line arguments into an options object
+function parseArgs(argv) {
+  const options = {
+    target: null,
+    out: 'al-audit-report',
+    pages: [],
+    check: true,
+    concurrency: null,
+    maxConcurrency: null,
+    perHost: null,
+    adaptive: true,
+    port: 0,
+    failOnUnavailable: false,
+    verbose: false,
+    crawl: false,
+    sitemap: null,
+    maxDepth: 2,
+    maxPages: 50,
+    cache: true,
+    cacheFile: null,
+    cacheTtl: null,
+    rules: null,
+    config: null,
+    matchThreshold: null,
+    legacyMatching: false,
+    priceHistory: true,
+    priceHistoryFile: null,
+    maxPriceDrop: 50,
+    maxPriceIncrease: 100,
+    priceFloor: null,
+    labelCheck: true,
+    labelThreshold: 0.5,
+    checkImages: true,
+    maxImageKb: 500,
+    maxImagePx: 2560,
+    checkExternal: false,
+    externalConcurrency: null,
+    externalAllow: [],
+    externalDeny: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--page') options.pages.push(argv[++i]);
+    else if (arg === '--no-check') options.check = false;
+    else if (arg === '--concurrency') options.concurrency = parseInt(argv[++i], 10);
+    else if (arg === '--max-concurrency') options.maxConcurrency = parseInt(argv[++i], 10);
+    else if (arg === '--per-host') options.perHost = parseInt(argv[++i], 10);
+    else if (arg === '--no-adaptive') options.adaptive = false;
+    else if (arg === '--port') options.port = parseInt(argv[++i], 10);
+    else if (arg === '--fail-on-unavailable') options.failOnUnavailable = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--crawl') options.crawl = true;
+    else if (arg === '--sitemap') options.sitemap = argv[++i];
+    else if (arg === '--max-depth') options.maxDepth = parseInt(argv[++i], 10);
+    else if (arg === '--max-pages') options.maxPages = parseInt(argv[++i], 10);
+    else if (arg === '--cache-file') options.cacheFile = argv[++i];
+    else if (arg === '--cache-ttl') options.cacheTtl = parseInt(argv[++i], 10);
+    else if (arg === '--no-cache') options.cache = false;
+    else if (arg === '--rules') options.rules = argv[++i];
+    else if (arg === '--config') options.config = argv[++i];
+    else if (arg === '--match-threshold') options.matchThreshold = parseFloat(argv[++i]);
+    else if (arg === '--legacy-matching') options.legacyMatching = true;
+    else if (arg === '--price-history') options.priceHistoryFile = argv[++i];
+    else if (arg === '--no-price-history') options.priceHistory = false;
+    else if (arg === '--max-price-drop') options.maxPriceDrop = parseFloat(argv[++i]);
+    else if (arg === '--max-price-increase') options.maxPriceIncrease = parseFloat(argv[++i]);
+    else if (arg === '--price-floor') options.priceFloor = parseFloat(argv[++i]);
+    else if (arg === '--label-threshold') options.labelThreshold = parseFloat(argv[++i]);
+    else if (arg === '--no-label-check') options.labelCheck = false;
+    else if (arg === '--no-image-check') options.checkImages = false;
+    else if (arg === '--max-image-kb') options.maxImageKb = parseInt(argv[++i], 10);
+    else if (arg === '--max-image-px') options.maxImagePx = parseInt(argv[++i], 10);
+    else if (arg === '--external') options.checkExternal = true;
+    else if (arg === '--external-concurrency') options.externalConcurrency = parseInt(argv[++i], 10);
+    else if (arg === '--external-allow') options.externalAllow = splitList(argv[++i]);
+    else if (arg === '--external-deny') options.externalDeny = splitList(argv[++i]);
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else if (!options.target) options.target = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+
+  if (options.concurrency !== null && (!Number.isInteger(options.concurrency) || options.concurrency < 1)) {
+    throw new Error('--concurrency must be a positive integer');
+  }
+  if (options.maxConcurrency !== null && (!Number.isInteger(options.maxConcurrency) || options.maxConcurrency < (options.concurrency || 1))) {
+    throw new Error('--max-concurrency must be an integer not lower than --concurrency');
+  }
+  if (options.perHost !== null && (!Number.isInteger(options.perHost) || options.perHost < 1)) {
+    throw new Error('--per-host must be a positive integer');
+  }
+  if (!Number.isInteger(options.maxDepth) || options.maxDepth < 0) {
+    throw new Error('--max-depth must be zero or a positive integer');
+  }
+  if (!Number.isInteger(options.maxPages) || options.maxPages < 1) {
+    throw new Error('--max-pages must be a positive integer');
+  }
+  if (options.cacheTtl !== null && (!Number.isInteger(options.cacheTtl) || options.cacheTtl < 0)) {
+    throw new Error('--cache-ttl must be zero or a positive integer');
+  }
+  if (Number.isNaN(options.maxPriceDrop) || options.maxPriceDrop < 0) {
+    throw new Error('--max-price-drop must be a positive number');
+  }
+  if (Number.isNaN(options.maxPriceIncrease) || options.maxPriceIncrease < 0) {
+    throw new Error('--max-price-increase must be a positive number');
+  }
+  if (Number.isNaN(options.priceFloor)) {
+    throw new Error('--price-floor must be a number');
+  }
+  if (options.matchThreshold !== null && (Number.isNaN(options.matchThreshold) || options.matchThreshold < 0 || options.matchThreshold > 1)) {
+    throw new Error('--match-threshold must be a number between 0 and 1');
+  }
+  if (!Number.isInteger(options.maxImageKb) || options.maxImageKb < 1 || !Number.isInteger(options.maxImagePx) || options.maxImagePx < 1) {
+    throw new Error('--max-image-kb and --max-image-px must be positive integers');
+  }
+  if (options.externalConcurrency !== null && (!Number.isInteger(options.externalConcurrency) || options.externalConcurrency < 1)) {
+    throw new Error('--external-concurrency must be a positive integer');
+  }
+  if (Number.isNaN(options.labelThreshold) || options.labelThreshold < 0 || options.labelThreshold > 1) {
+    throw new Error('--label-threshold must be a number between 0 and 1');
+  }
+
+  return options;
+}
+
+// Map a request path onto a saved page (/iceland -> iceland.html or iceland/index.html)
+// Throws a URIError for malformed escapes such as /iceland/50%-off
+function resolveSavedFile(rootDir, requestPath) {
+  const cleanPath = path.normalize(decodeURIComponent(requestPath));
+  const basePath = path.join(rootDir, cleanPath);
+
+  // Reject paths outside the served directory (also siblings such as <rootDir>-private)
+  const relative = path.relative(rootDir, basePath);
+  if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) return null;
+
+  const candidates = [
+    basePath,
+    `${basePath.replace(/[\/\\]$/, '')}.html`,
+    path.join(basePath, 'index.html')
+  ];
+
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+// Serve a directory of saved pages on a local port; missing pages answer 404
+function serveDirectory(rootDir, port) {
+  const server = http.createServer((req, res) => {
+    const requestPath = new URL(req.url, 'http://localhost').pathname;
+    let filePath;
+    try {
+      filePath = resolveSavedFile(rootDir, requestPath);
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      // A mirrored link with a stray % must not take the whole run down
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<!DOCTYPE html><html><head><title>400 Bad Request</title></head><body><h1>Bad Request</h1></body></html>');
+      return;
+    }
+
+    if (!filePath) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<!DOCTYPE html><html><head><title>404 Not Found</title></head><body><h1>Not Found</h1></body></html>');
+      return;
+    }
+
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'text/html; charset=utf-8';
+    res.writeHead(200, { 'Content-Type': contentType });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({ server: server, origin: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// List every saved .html page of a directory as a URL path
+function listSavedPages(rootDir) {
+  const pages = [];
+
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (/\.html?$/i.test(entry.name)) {
+        const relative = path.relative(rootDir, fullPath).split(path.sep).join('/');
+        const urlPath = '/' + relative.replace(/(^|\/)index\.html?$/i, '').replace(/\.html?$/i, '');
+        pages.push(urlPath.replace(/\/$/, '') || '/');
+      }
+    });
+  };
+
+  walk(rootDir);
+  return Array.from(new Set(pages)).sort();
+}
+
+// Placeholder stored instead of the served origin of a directory target
+const SERVED_ROOT = '{served-root}';
+
+// Changes are written to the file this long after the last one (and by flush() at the end)
+const FILE_STORAGE_SAVE_DELAY = 2000;
+
+// Storage for the result cache backed by a JSON file (same interface as localStorage, plus flush())
+// `origin` is the served origin of a directory target: keys and values store it as SERVED_ROOT,
+// so the entries of one run still match the next run on another port.
+function createFileStorage(filePath, origin = null) {
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Missing or unreadable cache file - start empty
+  }
+
+  const toStored = (text) => origin ? text.split(origin).join(SERVED_ROOT) : text;
+  const fromStored = (text) => origin ? text.split(SERVED_ROOT).join(origin) : text;
+
+  let saveTimer = null;
+  let changed = false;
+
+  const flush = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!changed) return;
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    changed = false;
+  };
+
+  const scheduleSave = () => {
+    changed = true;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flush, FILE_STORAGE_SAVE_DELAY);
+    saveTimer.unref();
+  };
+
+  return {
+    getItem: (key) => {
+      const storedKey = toStored(key);
+      return Object.prototype.hasOwnProperty.call(data, storedKey) ? fromStored(data[storedKey]) : null;
+    },
+    setItem: (key, value) => { data[toStored(key)] = toStored(String(value)); scheduleSave(); },
+    removeItem: (key) => { delete data[toStored(key)]; scheduleSave(); },
+    keys: () => Object.keys(data).map(fromStored),
+    flush: flush
+  };
+}
+
+// Load a config object (availability rule overrides, audit config) from a .json file or a .js module
+function loadConfigFile(configPath) {
+  const fullPath = path.resolve(configPath);
+  if (/\.json$/i.test(fullPath)) {
+    return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  }
+  return require(fullPath);
+}
+
+// Build the result cache option for a jsdom window (false when caching is disabled)
+function createWindowCache(ALAudit, options) {
+  if (!options.cache) return false;
+  const ttl = options.cacheTtl !== null ? options.cacheTtl * 60 * 1000 : undefined;
+  return ALAudit.createResultCache({ storage: options.cacheStorage, ttl: ttl });
+}
+
+// Build the price tracking options for a jsdom window
+function createWindowPriceOptions(ALAudit, options) {
+  return {
+    priceHistory: options.priceHistory ? ALAudit.createPriceHistory({ storage: options.priceHistoryStorage }) : false,
+    maxPriceDropPercent: options.maxPriceDrop,
+    maxPriceIncreasePercent: options.maxPriceIncrease,
+    priceFloor: options.priceFloor
+  };
+}
+
+// Build the external link options for a jsdom window (Node's fetch has no CORS, so no proxy is needed)
+function createWindowExternalOptions(options) {
+  return {
+    checkExternal: options.checkExternal,
+    externalConcurrency: options.externalConcurrency,
+    externalAllow: options.externalAllow,
+    externalDeny: options.externalDeny
+  };
+}
+
+// Turn a page URL into a file name for its reports
+function reportSlug(pageUrl) {
+  const urlObj = new URL(pageUrl);
+  const slug = urlObj.pathname.replace(/^\/|\/$/g, '').replace(/[^a-zA-Z0-9-]+/g, '_');
+  return slug || 'index';
+}
+
+// Create a jsdom window for a page and load sript.js into it
+function createAuditWindow(pageUrl, html, options) {
+  const virtualConsole = new VirtualConsole();
+  if (options.verbose) {
+    virtualConsole.sendTo(console);
+  } else {
+    virtualConsole.on('error', (...args) => console.error(...args));
+  }
+
+  const dom = new JSDOM(html, {
+    url: pageUrl,
+    runScripts: 'outside-only',
+    virtualConsole: virtualConsole
+  });
+  const { window } = dom;
+
+  // jsdom has no fetch; give the script Node's, plus the matching AbortController
+  window.fetch = fetch;
+  window.AbortController = AbortController;
+
+  // Evaluated as a classic script inside the page, sript.js exposes window.ALAudit
+  window.eval(fs.readFileSync(SCRIPT_PATH, 'utf8'));
+
+  // The config file first, so --rules and the matching options can override it
+  if (options.auditConfig) {
+    window.ALAudit.configureAudit(options.auditConfig);
+  }
+
+  if (options.rulesConfig) {
+    window.ALAudit.configureAvailabilityRules(options.rulesConfig);
+  }
+
+  if (options.matchThreshold !== null || options.legacyMatching) {
+    const setting = {};
+    if (options.matchThreshold !== null) setting.threshold = options.matchThreshold;
+    if (options.legacyMatching) setting.mode = 'legacy';
+    window.ALAudit.configureTextMatching({ destination: setting, activity: setting, ship: setting });
+  }
+
+  return window;
+}
+
+// Run the extractor (and checks) for a single page inside jsdom
+async function auditPage(pageUrl, options) {
+  const response = await fetch(pageUrl);
+  if (!response.ok) {
+    throw new Error(`Could not load ${pageUrl}: HTTP ${response.status}`);
+  }
+  const html = await response.text();
+
+  const window = createAuditWindow(response.url || pageUrl, html, options);
+  const { ALAudit } = window;
+
+  try {
+    const result = await ALAudit.enhancedLinkExtractorWithAvailabilityCheck(options.check, {
+      interactive: false,
+      // A headless run is never resumed, so it saves no audit state
+      resumable: false,
+      engine: 'fetch',
+      maxConcurrent: options.concurrency,
+      maxAdaptiveConcurrent: options.maxConcurrency,
+      perHostConcurrency: options.perHost,
+      adaptiveConcurrency: options.adaptive,
+      cache: createWindowCache(ALAudit, options),
+      ...createWindowPriceOptions(ALAudit, options),
+      labelCheck: options.labelCheck,
+      labelMismatchThreshold: options.labelThreshold,
+      checkImages: options.checkImages,
+      maxImageBytes: options.maxImageKb * 1024,
+      maxImageDimension: options.maxImagePx,
+      ...createWindowExternalOptions(options)
+    });
+
+    if (!result) {
+      return { result: null, csv: null, html: null };
+    }
+
+    return {
+      result: JSON.parse(JSON.stringify(result)),
+      csv: ALAudit.generateCsvReport(result),
+      html: ALAudit.generateReportDocument(result)
+    };
+  } finally {
+    window.close();
+  }
+}
+
+// Crawl the site from the seed pages inside jsdom
+async function crawlPages(seedUrls, options) {
+  const window = createAuditWindow(seedUrls[0], '<!DOCTYPE html><html><body></body></html>', options);
+  const { ALAudit } = window;
+
+  try {
+    const crawlResult = await ALAudit.crawlSite({
+      seeds: seedUrls,
+      sitemapUrl: options.sitemap,
+      maxDepth: options.maxDepth,
+      maxPages: options.maxPages,
+      checkAvailability: options.check,
+      engine: 'fetch',
+      maxConcurrent: options.concurrency,
+      maxAdaptiveConcurrent: options.maxConcurrency,
+      perHostConcurrency: options.perHost,
+      adaptiveConcurrency: options.adaptive,
+      cache: createWindowCache(ALAudit, options),
+      ...createWindowPriceOptions(ALAudit, options),
+      labelCheck: options.labelCheck,
+      labelMismatchThreshold: options.labelThreshold,
+      checkImages: options.checkImages,
+      maxImageBytes: options.maxImageKb * 1024,
+      maxImageDimension: options.maxImagePx,
+      ...createWindowExternalOptions(options)
+    });
+
+    return {
+      result: JSON.parse(JSON.stringify(crawlResult)),
+      csv: ALAudit.generateCrawlCsvReport(crawlResult),
+      html: ALAudit.generateCrawlReportDocument(crawlResult)
+    };
+  } finally {
+    window.close();
+  }
+}
+
+// Crawl mode: write one site-wide report
+async function runCrawlMode(seedUrls, options) {
+  console.log(`Crawling from ${seedUrls.length} seed page(s) (max depth ${options.maxDepth}, max pages ${options.maxPages}) ...`);
+
+  const report = await crawlPages(seedUrls, options);
+  const summary = report.result.summary;
+
+  fs.writeFileSync(path.join(options.out, 'crawl.json'), JSON.stringify(report.result, null, 2));
+  fs.writeFileSync(path.join(options.out, 'crawl.html'), report.html);
+  fs.writeFileSync(path.join(options.out, 'crawl.csv'), report.csv);
+
+  console.log(`  ${summary.pagesVisited} pages visited, ${summary.uniqueLinks} unique links, ${summary.checkedLinks} checked: ` +
+              `${summary.available} available, ${summary.unavailable} unavailable, ${summary.unknown} unknown/skipped` +
+              (summary.fromCache ? ` (${summary.fromCache} from cache)` : '') +
+              (summary.priceAnomalies ? `, ${summary.priceAnomalies} price alerts` : '') +
+              (summary.labelMismatches ? `, ${summary.labelMismatches} label mismatches` : '') +
+              (summary.seoIssues ? `, ${summary.seoIssues} with SEO issues` : '') +
+              (summary.retiredRedirects ? `, ${summary.retiredRedirects} redirected (likely retired)` : ''));
+  if (report.result.externalAudit) {
+    const externalAudit = report.result.externalAudit;
+    console.log(`  ${externalAudit.checked} external links: ${externalAudit.broken} broken, ${externalAudit.redirected} redirected, ${externalAudit.skipped} skipped`);
+  }
+
+  return summary.unavailable;
+}
+
+// Page mode: write one report per page plus summary.json
+async function runPageMode(pageUrls, options) {
+  const summary = [];
+  let unavailableTotal = 0;
+
+  for (const pageUrl of pageUrls) {
+    console.log(`Auditing ${pageUrl} ...`);
+
+    try {
+      const report = await auditPage(pageUrl, options);
+
+      if (!report.result) {
+        console.log('  No .al-main element found, skipped');
+        summary.push({ page: pageUrl, error: 'No .al-main element found' });
+        continue;
+      }
+
+      const slug = reportSlug(pageUrl);
+      fs.writeFileSync(path.join(options.out, `${slug}.json`), JSON.stringify(report.result, null, 2));
+      fs.writeFileSync(path.join(options.out, `${slug}.html`), report.html);
+      if (report.result.availability) {
+        fs.writeFileSync(path.join(options.out, `${slug}.csv`), report.csv);
+      }
+
+      const availability = report.result.availability;
+      const pageSummary = {
+        page: pageUrl,
+        report: slug,
+        totalLinks: report.result.summary.totalLinks,
+        checkedLinks: availability ? availability.checkedLinks : 0,
+        available: availability ? availability.available : 0,
+        unavailable: availability ? availability.unavailable : 0,
+        unknown: availability ? availability.unknown : 0,
+        fromCache: availability ? availability.fromCache : 0,
+        priceAnomalies: availability ? availability.priceAnomalies : 0,
+        labelMismatches: availability ? availability.labelMismatches : 0,
+        seoIssues: availability ? availability.seoIssues : 0,
+        retiredRedirects: availability ? availability.retiredRedirects : 0,
+        sectionScore: report.result.sectionQuality ? report.result.sectionQuality.averageScore : null,
+        brokenImages: report.result.imageAudit ? report.result.imageAudit.broken : 0,
+        oversizedImages: report.result.imageAudit ? report.result.imageAudit.oversized : 0,
+        brokenExternalLinks: report.result.externalAudit ? report.result.externalAudit.broken : 0
+      };
+      unavailableTotal += pageSummary.unavailable;
+      summary.push(pageSummary);
+
+      console.log(`  ${pageSummary.totalLinks} links, ${pageSummary.checkedLinks} checked: ` +
+                  `${pageSummary.available} available, ${pageSummary.unavailable} unavailable, ${pageSummary.unknown} unknown/skipped` +
+                  (pageSummary.fromCache ? ` (${pageSummary.fromCache} from cache)` : '') +
+                  (pageSummary.priceAnomalies ? `, ${pageSummary.priceAnomalies} price alerts` : '') +
+                  (pageSummary.labelMismatches ? `, ${pageSummary.labelMismatches} label mismatches` : '') +
+                  (pageSummary.seoIssues ? `, ${pageSummary.seoIssues} with SEO issues` : '') +
+                  (pageSummary.retiredRedirects ? `, ${pageSummary.retiredRedirects} redirected (likely retired)` : ''));
+      if (pageSummary.sectionScore !== null) {
+        console.log(`  Section quality ${pageSummary.sectionScore}/100 (${report.result.sectionQuality.flaggedTiles} tiles with issues)`);
+      }
+      if (report.result.imageAudit) {
+        console.log(`  ${report.result.imageAudit.checked} images: ${pageSummary.brokenImages} broken, ${pageSummary.oversizedImages} oversized, ` +
+                    `${report.result.imageAudit.missingAlt} without alt text`);
+      }
+      if (report.result.externalAudit) {
+        const externalAudit = report.result.externalAudit;
+        console.log(`  ${externalAudit.checked} external links: ${pageSummary.brokenExternalLinks} broken, ${externalAudit.redirected} redirected, ${externalAudit.skipped} skipped`);
+      }
+    } catch (error) {
+      console.error(`  Failed: ${error.message}`);
+      summary.push({ page: pageUrl, error: error.message });
+    }
+  }
+
+  fs.writeFileSync(path.join(options.out, 'summary.json'), JSON.stringify(summary, null, 2));
+  return unavailableTotal;
+}
+
+// Compare mode: diff two exported runs
+function runDiffCommand(argv) {
+  const files = [];
+  let out = 'al-audit-report';
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') out = argv[++i];
+    else if (argv[i].startsWith('--')) throw new Error(`Unknown option: ${argv[i]}`);
+    else files.push(argv[i]);
+  }
+
+  if (files.length !== 2) {
+    throw new Error('diff needs two exported runs: al-audit diff <previous.json> <current.json>');
+  }
+
+  // The comparison only reads the exported data, so sript.js can be required directly
+  const ALAudit = require(SCRIPT_PATH);
+  const [previousRun, currentRun] = files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+  const diff = ALAudit.compareAuditRuns(previousRun, currentRun);
+
+  fs.mkdirSync(out, { recursive: true });
+  fs.writeFileSync(path.join(out, 'diff.json'), JSON.stringify(diff, null, 2));
+  fs.writeFileSync(path.join(out, 'diff.html'), ALAudit.generateDiffReportDocument(diff));
+
+  const summary = diff.summary;
+  console.log(`${summary.linksAdded} links added, ${summary.linksRemoved} removed, ` +
+              `${summary.becameUnavailable} became unavailable, ${summary.becameAvailable} became available, ` +
+              `${summary.priceChanges} price changes, ${summary.shipsDropped} ships dropped`);
+  console.log(`Diff written to ${path.resolve(out)}`);
+}
+
+async function main() {
+  if (process.argv[2] === 'diff') {
+    try {
+      runDiffCommand(process.argv.slice(3));
+    } catch (error) {
+      console.error(error.message);
+      printUsage();
+      process.exit(2);
+    }
+    return;
+  }
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    printUsage();
+    process.exit(2);
+  }
+
+  if (options.help || !options.target) {
+    printUsage();
+    process.exit(options.help ? 0 : 2);
+  }
+
+  let pageUrls = [];
+  let served = null;
+
+  if (/^https?:\/\//.test(options.target)) {
+    pageUrls = [options.target];
+  } else if (fs.existsSync(options.target)) {
+    const targetPath = path.resolve(options.target);
+    const isDirectory = fs.statSync(targetPath).isDirectory();
+    const rootDir = isDirectory ? targetPath : path.dirname(targetPath);
+
+    served = await serveDirectory(rootDir, options.port);
+
+    let pagePaths;
+    if (options.pages.length > 0) {
+      pagePaths = options.pages;
+    } else if (isDirectory) {
+      pagePaths = listSavedPages(rootDir);
+    } else {
+      pagePaths = listSavedPages(rootDir).filter(pagePath => resolveSavedFile(rootDir, pagePath) === targetPath);
+    }
+
+    pageUrls = pagePaths.map(pagePath => `${served.origin}${pagePath.startsWith('/') ? '' : '/'}${pagePath}`);
+    console.log(`Serving ${rootDir} at ${served.origin}`);
+  } else {
+    console.error(`Not a URL or an existing path: ${options.target}`);
+    process.exit(2);
+  }
+
+  if (options.config) {
+    try {
+      options.auditConfig = loadConfigFile(options.config);
+    } catch (error) {
+      console.error(`Could not load config from ${options.config}: ${error.message}`);
+      process.exit(2);
+    }
+    const configErrors = require(SCRIPT_PATH).validateAuditConfig(options.auditConfig);
+    if (configErrors.length > 0) {
+      console.error(`Invalid config ${options.config}:\n- ${configErrors.join('\n- ')}`);
+      process.exit(2);
+    }
+  }
+
+  if (options.rules) {
+    try {
+      options.rulesConfig = loadConfigFile(options.rules);
+    } catch (error) {
+      console.error(`Could not load rules from ${options.rules}: ${error.message}`);
+      process.exit(2);
+    }
+  }
+
+  fs.mkdirSync(options.out, { recursive: true });
+
+  const servedOrigin = served ? served.origin : null;
+  if (options.cache) {
+    options.cacheStorage = createFileStorage(options.cacheFile || path.join(options.out, 'cache.json'), servedOrigin);
+  }
+  if (options.priceHistory) {
+    options.priceHistoryStorage = createFileStorage(options.priceHistoryFile || path.join(options.out, 'price-history.json'), servedOrigin);
+  }
+
+  let unavailableTotal = 0;
+
+  try {
+    unavailableTotal = options.crawl ?
+                       await runCrawlMode(pageUrls, options) :
+                       await runPageMode(pageUrls, options);
+  } finally {
+    if (served) served.server.close();
+    if (options.cacheStorage) options.cacheStorage.flush();
+    if (options.priceHistoryStorage) options.priceHistoryStorage.flush();
+  }
+
+  console.log(`Reports written to ${path.resolve(options.out)}`);
+
+  if (options.failOnUnavailable && unavailableTotal > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs: parseArgs,
+  resolveSavedFile: resolveSavedFile,
+  serveDirectory: serveDirectory,
+  listSavedPages: listSavedPages,
+  createFileStorage: createFileStorage
+};
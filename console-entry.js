@@ -0,0 +1,79 @@
+/**
+ * Console / Bookmarklet Entry Point
+ *
+ * Runs the interactive audit on the current page: asks whether to check link availability,
+ * runs the extraction and opens the results window.
+ *
+ * sript.js must be loaded first (it only defines window.ALAudit and runs nothing).
+ * If an audit of the page was interrupted (tab reload, closed console), it offers to resume it.
+ * A config saved in localStorage['al-audit-config'] or passed as ?alAuditConfig=<json or file URL>
+ * is applied first (see loadAuditConfig), e.g. for staging templates with different markup.
+ *
+ * Console: paste sript.js, then this file (or both at once, e.g. `cat sript.js console-entry.js`).
+ * Bookmarklet: host both files and load them in order, e.g.
+ *   javascript:(function(){var b='https://YOUR-HOST/al-audit/';var s=document.createElement('script');
+ *   s.src=b+'sript.js';s.onload=function(){var e=document.createElement('script');e.src=b+'console-entry.js';
+ *   document.body.appendChild(e);};document.body.appendChild(s);})();
+ */
+
+(async function () {
+  if (!window.ALAudit) {
+    console.error('ALAudit is not loaded - paste or load sript.js before console-entry.js');
+    return;
+  }
+
+  try {
+    await window.ALAudit.loadAuditConfig();
+  } catch (error) {
+    console.error(`Audit config not applied - fix it or remove it to run with the defaults: ${error.message}`);
+    return;
+  }
+
+  // Offer to continue an audit of this page that was interrupted by a reload
+  const interrupted = window.ALAudit.loadAuditState();
+  if (interrupted && interrupted.pending.length > 0) {
+    const resume = confirm(
+      `An audit of this page started ${interrupted.startedAt} was interrupted ` +
+      `(${interrupted.results.length} links checked, ${interrupted.pending.length} left).\n\n` +
+      'Resume it? Cancel discards it and starts a new run.'
+    );
+
+    if (resume) {
+      window.extractedLinks = window.ALAudit.resumeAudit();
+      return;
+    }
+    window.ALAudit.clearAuditState();
+  }
+
+  // Ask user if they want to check availability
+  const config = window.ALAudit.getAuditConfig();
+  const checkAvailability = confirm(
+    "Do you want to check link availability?\n\n" +
+    "This will check:\n" + 
+    "- All Destinations (level 1+): by matching title in user-tools-info (.al-user-tools-info > div:first-child span)\n" +
+    "- Tours: by checking if price exists and is > 0\n" +
+    "- Cruise Ships (/cruises/ID/ship-name): by checking ship list on current-page/tours\n" +
+    "- Cruises (/destination/cruises/ID/cruise-name): by checking if price exists and is > 0\n" +
+    "- Activities: by checking for activity in option lists\n" +
+    "- Table Links: all links in table sections\n\n" +
+    "🔄 NEW FEATURES:\n" +
+    `- Auto-retry for maintenance pages (up to ${config.retryCount} attempts, ${config.retryDelay / 1000} sec delays)\n` +
+    "- 404 Detection: Broken links marked as 'Broken Link 404'\n" +
+    "- Maintenance Detection: Pages under maintenance marked separately\n" +
+    "- Status Categories: Available, Unavailable, Maintenance, Broken 404, Timeout\n" +
+    `- Special Destination Pages: URLs ending with ${config.specialEndings.map(ending => '/' + ending).join(', ')} are automatically skipped\n\n` +
+    "This process can take several minutes depending on the number of links."
+  );
+
+  // External links are requested from the browser, so most partner sites only show as reachable
+  // (CORS hides their status); pass { externalProxy } to runExtraction to read real status codes.
+  // Only asked when link availability is checked - a plain extraction leaves external links alone.
+  const checkExternal = checkAvailability && confirm(
+    "Also check external (off-domain) links?\n\n" +
+    "Partner and operator sites are requested with HEAD/GET. Without a proxy the browser " +
+    "can only tell whether a site answers, not its status code."
+  );
+
+  // Run the extraction with or without availability check
+  window.extractedLinks = window.ALAudit.runExtraction(checkAvailability, { checkExternal: checkExternal });
+})();
@@ -12,154 +12,354 @@
  * - For tours: Checking if the price element exists and is greater than zero
  * - For cruise ships (/cruises/ID/ship-name): Checking ship list on current-page/tours
  * - For cruises (/destination/cruises/ID/cruise-name): Checking if the price element exists and is greater than zero
+ * - For operators (/operators/ID): Checking if the operator page lists at least one tour or cruise with a price
+ * - For categories (/destination/tours, /destination/cruises): Counting the results listed on the category page
  * 
  * UPDATED: Now uses user-tools-info method for ALL destination levels AND includes cruise ship checking
  * UPDATED: Now detects and skips special destination pages (/land-tours, /ships, /videos, /myTrips)
+ * UPDATED: Pages are loaded with fetch + DOMParser so the real HTTP status reaches detectPageStatus;
+ *          the hidden iframe engine is kept as a fallback for client-rendered pages (see DEFAULT_CHECK_ENGINE)
+ * UPDATED: Can run headless from Node against a URL or a directory of saved pages (bin/al-audit.js)
+ * UPDATED: Importable module without side effects (require('./sript.js'), sript.mjs or window.ALAudit);
+ *          the interactive console/bookmarklet run lives in console-entry.js
+ * UPDATED: Crawl mode (crawlSite / runCrawl) follows destination, subdestination and activity pages
+ *          from seed pages or a sitemap and reports every broken link with the pages that contain it
+ * UPDATED: Conclusive check results are cached by URL (localStorage in the browser, a JSON file in the CLI)
+ *          for DEFAULT_CACHE_TTL, and links repeated within one run are only checked once
+ * UPDATED: Check runs are saved as they progress and can be continued with resumeAudit() after a reload;
+ *          the status box has Pause / Resume / Cancel buttons
+ * UPDATED: Operator links (/operators/ID) are checked: available while the operator lists a tour or cruise with a price
+ * UPDATED: Category links (/destination/tours, /destination/cruises) are checked: unavailable when the listing is empty
+ * UPDATED: Cruises get the same retry, maintenance / 404 / timeout detection as tours
+ * UPDATED: Selectors and pass/fail predicates of every link type live in a rule registry
+ *          (DEFAULT_AVAILABILITY_RULES); configureAvailabilityRules() overrides them or adds new link types
+ * UPDATED: Two exported runs can be compared (compareAuditRuns / runCompare): links added or removed per
+ *          section, availability flips, price changes and ships dropped from the ship lists
+ * UPDATED: Tour and cruise prices are recorded per ID across runs; drops of more than
+ *          DEFAULT_MAX_PRICE_DROP_PERCENT and prices below options.priceFloor are flagged as price alerts
+ * UPDATED: Price increases of more than DEFAULT_MAX_PRICE_INCREASE_PERCENT are flagged as well, and a
+ *          price that drops to 0 is no longer reported as a drop (it is already unavailable)
+ * UPDATED: Prices are read with parsePrice: European and US number formats, decimals, "from" prices
+ *          and the currency, which gets its own column in the report and CSV
+ * UPDATED: Link labels are compared with the h1 of the page they point to; labels scoring below
+ *          options.labelMismatchThreshold (bigram similarity) are listed in a Label Mismatches tab
+ * UPDATED: Destination, activity and ship names are compared with matchTexts (token-set score with
+ *          accents, stop words and plurals handled) instead of any-word overlap; the threshold and mode
+ *          are set per check type with configureTextMatching(), scores are in debugInfo.textMatches
+ * UPDATED: Section quality audit: tiles without a description or image, broken image srcs, [No text]
+ *          labels and duplicate links are flagged, with a score per al-sec-* section in the report
+ * UPDATED: Section images (img src/srcset and CSS backgrounds) are loaded and checked for 404s, file and
+ *          pixel size and alt text; the report has an Images tab with thumbnails
+ * UPDATED: SEO metadata (canonical, meta description, robots, og:, hreflang, JSON-LD) is read for the page
+ *          and every checked target; noindexed available pages, foreign canonicals and JSON-LD prices that
+ *          disagree with the visible price are flagged in an SEO tab
+ * UPDATED: Checkers record the final URL and redirect chain; links redirecting to the home page, a search
+ *          page or another URL pattern are marked unavailable as "Redirected – likely retired product"
+ * UPDATED: Off-domain links can be checked (options.checkExternal): HEAD with a GET fallback, status code,
+ *          redirect target and response time, domain allow/deny lists and an optional same-origin proxy
+ *          for CORS; the results are in an External tab
+ * UPDATED: Checks are run by an adaptive scheduler (createAdaptiveScheduler): concurrency rises while responses
+ *          are fast and drops on slow ones; 429/503/maintenance responses back off exponentially with jitter,
+ *          honouring Retry-After, per host; per-host limits are configurable; the status box shows its state
+ * UPDATED: Checks run through a promise pool (createPromisePool) instead of a polling loop: results keep the
+ *          link order, runs can be cancelled with an AbortSignal and options.onProgress gets per-item events
+ * UPDATED: Check runs emit progress events (started, item-started, item-finished, retry, finished) on
+ *          ALAudit.auditEvents or options.events; the status box is built on them and shows a live tally,
+ *          the URLs being checked and the latest failures as links
+ * UPDATED: Selectors, timeouts, delays, retry counts and special endings are read from one validated config
+ *          (AUDIT_CONFIG_SCHEMA / configureAudit); loadAuditConfig() applies it from localStorage or the
+ *          alAuditConfig URL parameter (inline JSON or a JSON file), the CLI takes --config <file.json>
+ * UPDATED: determineUrlPattern, getReadableLinkType, isTrueDestination and the checker of each link come from
+ *          one ordered route table (DEFAULT_URL_ROUTES: pattern, name, label, type, checker); new site sections are
+ *          added with registerUrlRoute() or the routes setting of the config, custom rules with a match add
+ *          their own routes, and the report tabs and details follow each route's type
  */
 
 
-// Function to determine URL structure pattern - FINAL VERSION with proper ordering
-function determineUrlPattern(href) {
-  let path = href;
+// Helper function to get the hostname of the audited page ('' when loaded outside a browser)
+function getCurrentHostname() {
+  return typeof window !== 'undefined' && window.location ? window.location.hostname : '';
+}
+
+// Helper function to tell whether a hostname belongs to the audited site (with or without www.)
+function isCurrentSiteHost(hostname) {
+  const currentDomain = getCurrentHostname();
+  return hostname === currentDomain || 
+         hostname === `www.${currentDomain}` || 
+         currentDomain === `www.${hostname}`;
+}
+
+// Helper function to tell whether a link leaves the audited site
+// (relative and protocol-relative hrefs are resolved against the audited page first)
+function isExternalLink(href) {
+  let urlObj;
+  try {
+    urlObj = typeof window !== 'undefined' && window.location ? new URL(href, window.location.href) : new URL(href);
+  } catch (e) {
+    // A relative href without a page to resolve it against stays on the site
+    return false;
+  }
   
-  // Handle full URLs (with domain)
-  if (href.startsWith('http')) {
-    try {
-      const urlObj = new URL(href);
-      const currentDomain = window.location.hostname;
-      
-      // If it's the same domain, extract just the path
-      if (urlObj.hostname === currentDomain || 
-          urlObj.hostname === `www.${currentDomain}` || 
-          currentDomain === `www.${urlObj.hostname}`) {
-        path = urlObj.pathname;
-      } else {
-        // Different domain = truly external
-        return 'external';
-      }
-    } catch (e) {
-      // Invalid URL format
-      return 'external';
+  // mailto:, tel:, javascript: and the like are not external pages
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return false;
+  return !isCurrentSiteHost(urlObj.hostname);
+}
+
+// Helper function to escape page-supplied text (link labels, hrefs, image srcs...) before it goes
+// into report or overlay HTML, either as element text or as a quoted attribute value
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ==================== URL ROUTES ====================
+
+// Patterns that are never destinations, even as the only segment of a multi-level path
+const NON_DESTINATION_SEGMENTS = ['articles', 'stories', 'deals', 'tours', 'cruises', 'operators'];
+
+// Segments that make a legacy 'destination' / 'destination/subdestination' link a content page
+const LEGACY_NON_DESTINATION_SEGMENTS = [
+  'articles', 'stories', 'deals', 'guides', 'contact',
+  'about', 'faq', 'reviews', 'news', 'gallery', 'photos',
+  'blog', 'privacy', 'terms', 'careers', 'events'
+];
+
+// Checkers a route can be bound to by name: (absoluteUrl, link, options) => result
+const LINK_CHECKERS = {
+  // Special destination pages are reported as skipped without loading them
+  special: async (absoluteUrl, item) => ({
+    url: item.href,
+    originalTitle: item.text,
+    available: null,
+    error: 'Special destination page - automatically skipped',
+    skipped: true,
+    specialPageType: item.href.split('/').pop() // gets 'tours', 'cruises', etc.
+  }),
+  tour: (absoluteUrl, item, options) => checkTourAvailability(absoluteUrl, item.text, options),
+  cruiseShip: (absoluteUrl, item, options) => checkCruiseShipAvailability(absoluteUrl, item.text, options),
+  cruise: (absoluteUrl, item, options) => checkCruiseAvailability(absoluteUrl, item.text, options),
+  operator: (absoluteUrl, item, options) => checkOperatorAvailability(absoluteUrl, item.text, options),
+  category: (absoluteUrl, item, options) => checkCategoryAvailability(absoluteUrl, item.text, item.urlPattern, options),
+  activity: (absoluteUrl, item, options) => checkActivityAvailability(absoluteUrl, item.text, item.urlPattern, options),
+  destination: (absoluteUrl, item, options) => checkActivityAvailability(absoluteUrl, item.text, item.urlPattern, options),
+  // Links of a type registered with registerAvailabilityRule() (selectors and predicate of that rule)
+  rule: async (absoluteUrl, item, options) => {
+    if (!getAvailabilityRule(item.urlPattern)) {
+      return {
+        url: item.href,
+        originalTitle: item.text,
+        available: null,
+        error: `No availability rule registered for ${item.urlPattern}`,
+        skipped: true
+      };
     }
+    return await checkWithRule(absoluteUrl, item.text, item.urlPattern, options);
   }
+};
+
+// Ordered route table of determineUrlPattern: the first route that matches a link wins.
+// - name: the urlPattern of matching links
+// - match: RegExp tested against the path without the leading slash, or (path, segments) => boolean
+// - pattern: only when the urlPattern depends on the path - (path, segments) => urlPattern;
+//   names then is a RegExp of every urlPattern the route produces
+// - label: link type shown in the reports, or (urlPattern) => label
+// - type: report type - picks the report tab and the details shown for the link
+//   (destination, tour, cruiseShip, cruise, category, operator, activity, special, content, custom)
+// - checker: name in LINK_CHECKERS (or a function with the same arguments), null when not checked
+// - destination: true when isTrueDestination() holds, or (path) => boolean
+// - section: only for fallback routes - links of that section whose own route has no checker use this one
+// Routes without match are never matched; they describe older urlPatterns of exported runs or are
+// section fallbacks. Add routes with registerUrlRoute() or the routes setting of configureAudit();
+// custom availability rules with a match add theirs (see registerRuleRoute).
+const DEFAULT_URL_ROUTES = [
+  // DISTINGUISH: Cruise ships vs destination cruises (check early)
+  // Direct cruise ship: /cruises/ID/ship-name
+  { name: 'cruise-ship', match: /^cruises\/\d+/, label: 'Cruise Ship', type: 'cruiseShip', checker: 'cruiseShip', destination: false },
+  // Destination cruise: /destination/cruises/ID/cruise-name
+  { name: 'cruise-with-id', match: /\/cruises\/\d+/, label: 'Cruise', type: 'cruise', checker: 'cruise', destination: true },
+  { name: 'tour-with-id', match: /tours\/\d+/, label: 'Tour', type: 'tour', checker: 'tour', destination: true },
+  { name: 'operator-with-id', match: /operators\/\d+/, label: 'Operator', type: 'operator', checker: 'operator', destination: true },
   
-  // Remove leading slash if present
-  path = path.startsWith('/') ? path.substring(1) : path;
+  // Activity pages - AFTER the ID patterns to avoid conflicts
+  { name: 'tour-activity', match: /tours\/[^\/\d]+$/, label: 'Activity', type: 'activity', checker: 'activity', destination: true },
   
-  // DISTINGUISH: Cruise ships vs destination cruises (check early)
-  if (path.match(/^cruises\/\d+/)) {
-    // Direct cruise ship: /cruises/ID/ship-name
-    return 'cruise-ship';
-  }
+  // Content pages with a name (skipped, not special destinations)
+  { name: 'multi-level/articles/article-name', match: (path, segments) => segments.length >= 3 && segments[segments.length - 2] === 'articles',
+    label: 'Article', type: 'content', checker: null, destination: false },
+  { name: 'multi-level/stories/story-name', match: (path, segments) => segments.length >= 3 && segments[segments.length - 2] === 'stories',
+    label: 'Story', type: 'content', checker: null, destination: false },
+  { name: 'multi-level/tours/activity', match: (path, segments) => segments.length >= 3 && segments[segments.length - 2] === 'tours' &&
+    !/^\d+$/.test(segments[segments.length - 1]), label: 'Activity', type: 'activity', checker: null, destination: false },
   
-  if (path.match(/\/cruises\/\d+/)) {
-    // Destination cruise: /destination/cruises/ID/cruise-name
-    return 'cruise-with-id';
-  }
+  // Special destination pages: ALWAYS SPECIAL endings (auditConfig.specialEndings), and endings that
+  // are special after a destination (auditConfig.destinationSpecialEndings; on their own they are root pages)
+  { name: 'destination-special-page', match: (path, segments) => auditConfig.specialEndings.includes(segments[segments.length - 1]) ||
+    (segments.length > 1 && auditConfig.destinationSpecialEndings.includes(segments[segments.length - 1])),
+    label: 'Special Destination Page', type: 'special', checker: 'special', destination: false },
   
-  if (path.match(/tours\/\d+/)) {
-    return 'tour-with-id';
-  }
-
-  if (path.match(/operators\/\d+/)) {
-    return 'operator-with-id';
-  }
+  // Root category pages (only a single segment)
+  { name: 'multi-level/articles', match: /^articles\/?$/, label: 'Article', type: 'content', checker: null, destination: false },
+  { name: 'multi-level/stories', match: /^stories\/?$/, label: 'Story', type: 'content', checker: null, destination: false },
+  { name: 'multi-level/tours-category', match: /^tours\/?$/, label: 'Tours', type: 'content', checker: null, destination: false },
+  { name: 'multi-level/cruises-category', match: /^cruises\/?$/, label: 'Cruises', type: 'content', checker: null, destination: false },
+  { name: 'multi-level/deals', match: /^deals\/?$/, label: 'Deal', type: 'content', checker: null, destination: false },
   
-  // Activity pages - CHECK AFTER ID patterns to avoid conflicts
-  if (path.match(/tours\/[^\/\d]+$/)) {
-    return 'tour-activity';
-  }
+  // Destination categories: /destination/tours and /destination/cruises listings
+  { name: 'tours-category', match: /\/tours$/, label: 'Tours', type: 'category', checker: 'category', destination: true },
+  { name: 'cruises-category', match: /\/cruises$/, label: 'Cruises', type: 'category', checker: 'category', destination: true },
+  
+  // Multi-level destinations (1-5+ levels, no special suffixes)
+  { name: 'multi-level/destination-N', names: /^multi-level\/destination-\d+$/,
+    match: (path, segments) => segments.length >= 1 && !segments.some(segment => NON_DESTINATION_SEGMENTS.includes(segment)),
+    pattern: (path, segments) => `multi-level/destination-${segments.length}`,
+    label: (urlPattern) => urlPattern === 'multi-level/destination-1' ? 'Destination' : 'Subdestination',
+    type: 'destination', checker: 'destination', destination: true },
   
-  // Smart pattern detection - handles any number of subdestination levels
-  const pathSegments = path.split('/').filter(segment => segment.length > 0);
+  // Legacy patterns for backward compatibility
+  { name: 'destination', match: null, label: 'Destination', type: 'destination', checker: 'destination',
+    destination: (path) => !path.split('/').some(segment => LEGACY_NON_DESTINATION_SEGMENTS.includes(segment)) },
+  { name: 'destination/subdestination', match: null, label: 'Subdestination', type: 'destination', checker: 'destination',
+    destination: (path) => !path.split('/').some(segment => LEGACY_NON_DESTINATION_SEGMENTS.includes(segment)) },
+  { name: 'destination/tours/activity', match: null, label: 'Activity', type: 'activity', checker: null, destination: false },
+  
+  // Section fallback: table links whose own route has no checker get the activity check
+  { name: 'table-link', match: null, section: 'Table', label: 'Table Link', type: null, checker: 'activity', destination: false }
+];
 
-  // FIRST: Check for specific content patterns with names (these should be skipped, not special destinations)
-  if (pathSegments.length >= 3) {
-    const secondToLast = pathSegments[pathSegments.length - 2];
-    const last = pathSegments[pathSegments.length - 1];
-    
-    // Articles with article name - these are content pages, not special destinations
-    if (secondToLast === 'articles') {
-      console.log(`DEBUG: Found article with name pattern for ${href} - returning multi-level/articles/article-name`);
-      return 'multi-level/articles/article-name';
-    }
-    
-    // Stories with story name  
-    if (secondToLast === 'stories') {
-      return 'multi-level/stories/story-name';
-    }
-    
-    // Tours with activity name (non-numeric)
-    if (secondToLast === 'tours' && !/^\d+$/.test(last)) {
-      return 'multi-level/tours/activity';
-    }
-  }
+// The active route table (defaults plus registered routes)
+let urlRoutes = DEFAULT_URL_ROUTES.slice();
 
-  // SECOND: Check for special destination pages (destination + special ending)
-  const lastSegment = pathSegments[pathSegments.length - 1];
+// Function to add a route, e.g. registerUrlRoute({ name: 'hotel-with-id', match: '^hotels/\\d+', label: 'Hotel', checker: 'rule' })
+// It goes first, or before the route named options.before. match may be a regex string (JSON configs).
+// A route with the name of an existing one replaces it in place.
+function registerUrlRoute(route, options = {}) {
+  if (!route || typeof route.name !== 'string' || !route.name) {
+    throw new Error('URL route needs a name (the urlPattern of matching links)');
+  }
+  if (typeof route.match !== 'string' && !(route.match instanceof RegExp) && typeof route.match !== 'function') {
+    throw new Error(`URL route "${route.name}" needs a match: a RegExp, a regex string or a function`);
+  }
+  if (route.checker && typeof route.checker !== 'function' && !LINK_CHECKERS[route.checker]) {
+    throw new Error(`URL route "${route.name}" has an unknown checker "${route.checker}" (use one of ${Object.keys(LINK_CHECKERS).join(', ')})`);
+  }
   
-  // 1. ALWAYS SPECIAL - only exact endings (no additional path after)
-  const alwaysSpecialEndings = ['land-tours', 'ships', 'videos', 'myTrips'];
+  const newRoute = {
+    label: route.name,
+    type: null,
+    checker: null,
+    destination: false,
+    ...route,
+    match: typeof route.match === 'string' ? new RegExp(route.match) : route.match
+  };
+  delete newRoute.before;
   
-  if (alwaysSpecialEndings.includes(lastSegment)) {
-    console.log(`DEBUG: Found always special ending for ${href} - returning destination-special-page`);
-    return 'destination-special-page';
+  const existingIndex = urlRoutes.findIndex(candidate => candidate.name === route.name);
+  if (existingIndex !== -1) {
+    urlRoutes[existingIndex] = newRoute;
+  } else {
+    const beforeName = options.before || route.before;
+    const beforeIndex = beforeName ? urlRoutes.findIndex(candidate => candidate.name === beforeName) : 0;
+    if (beforeIndex === -1) {
+      throw new Error(`URL route "${route.name}" should go before "${beforeName}", which is not a route`);
+    }
+    urlRoutes.splice(beforeIndex, 0, newRoute);
   }
+  return urlRoutes;
+}
 
-  // 2. SPECIAL ONLY IF HAS DESTINATION PREFIX 
-  const destinationSpecialEndings = ['cruises', 'tours', 'hotels', 'deals', 'info', 'articles'];
+// Function to restore the default route table (custom availability rules keep their routes)
+function resetUrlRoutes() {
+  urlRoutes = DEFAULT_URL_ROUTES.slice();
+  Object.keys(availabilityRules).forEach(urlPattern => registerRuleRoute(urlPattern, availabilityRules[urlPattern]));
+}
+
+// Function to get the active route table (in matching order)
+function getUrlRoutes() {
+  return urlRoutes.slice();
+}
+
+// Function to get the route of a urlPattern (null for 'external', 'other' and unknown patterns)
+function getUrlRoute(urlPattern) {
+  return urlRoutes.find(route => route.name === urlPattern || (route.names && route.names.test(urlPattern))) || null;
+}
+
+// Helper function to find the first route matching a path (without the leading slash)
+function matchUrlRoute(path) {
+  const segments = path.split('/').filter(segment => segment.length > 0);
   
-  if (destinationSpecialEndings.includes(lastSegment)) {
-    // Make sure this is actually a destination+ending, not just the category page itself
-    if (pathSegments.length === 1) {
-      // It's just the root category page itself (e.g., "cruises", "tours") - handle below
-    } else {
-      // If it has a destination prefix (e.g., "iceland/cruises"), treat as special destination page
-      console.log(`DEBUG: Found destination special ending for ${href} - returning destination-special-page`);
-      return 'destination-special-page';
+  for (const route of urlRoutes) {
+    const matched = typeof route.match === 'function' ? route.match(path, segments) :
+                    route.match ? route.match.test(path) : false;
+    if (matched) {
+      return { route: route, urlPattern: route.pattern ? route.pattern(path, segments) : route.name };
     }
   }
+  return null;
+}
 
-  // THIRD: Check for root category pages (only single segment)
-  if (pathSegments.length === 1) {
-    const segment = pathSegments[0];
-    
-    if (segment === 'articles') {
-      return 'multi-level/articles';
-    }
-    if (segment === 'stories') {
-      return 'multi-level/stories';
-    }
-    if (segment === 'tours') {
-      return 'multi-level/tours-category';
-    }
-    if (segment === 'cruises') {
-      return 'multi-level/cruises-category';
-    }
-    if (segment === 'deals') {
-      return 'multi-level/deals';
-    }
+// Function to get the report type of a urlPattern (the `type` of its route, null without one)
+function getLinkType(urlPattern) {
+  const route = getUrlRoute(urlPattern);
+  return route ? route.type : null;
+}
+
+// Helper function to get the checker of a route for a link (destination routes only check true destinations)
+function getRouteChecker(route, link) {
+  if (!route || !route.checker) return null;
+  if (route.checker === 'destination' && !isTrueDestination(link.href, link.urlPattern)) return null;
+  return typeof route.checker === 'function' ? route.checker : LINK_CHECKERS[route.checker] || null;
+}
+
+// Helper function to get the checker a link is bound to (null when it is not checked):
+// the rule of its link type when that rule has its own extract or no built-in checker, else the
+// checker of its route, else the checker of the fallback route of its section (e.g. Table)
+function getLinkChecker(link) {
+  const rule = getAvailabilityRule(link.urlPattern);
+  if (rule && (rule.extract || !BUILT_IN_RULE_PATTERNS.includes(getRuleKey(link.urlPattern)))) {
+    return LINK_CHECKERS.rule;
   }
   
-  // General destination categories (legacy patterns)
-  if (path.match(/\/tours$/)) {
-    return 'tours-category';
-  }
+  const checker = getRouteChecker(getUrlRoute(link.urlPattern), link);
+  if (checker) return checker;
   
-  if (path.match(/\/cruises$/)) {
-    return 'cruises-category';
-  }
+  const sectionRoute = link.section ? urlRoutes.find(route => route.section === link.section) : null;
+  return getRouteChecker(sectionRoute, link);
+}
+
+// Function to determine URL structure pattern (the first matching route of the URL route table)
+function determineUrlPattern(href) {
+  let path = href;
   
-  // Multi-level destinations (1-5+ levels, no special suffixes)
-  if (pathSegments.length >= 1) {
-    // Check if any segment contains non-destination keywords
-    const nonDestinationSegments = ['articles', 'stories', 'deals', 'tours', 'cruises', 'operators'];
-    const hasNonDestination = pathSegments.some(segment => nonDestinationSegments.includes(segment));
-    
-    if (!hasNonDestination) {
-      return `multi-level/destination-${pathSegments.length}`;
+  // Handle full URLs (with domain, also protocol-relative //host/path)
+  if (href.startsWith('http') || href.startsWith('//')) {
+    try {
+      const urlObj = new URL(href, 'https://localhost');
+      
+      // If it's the same domain, extract just the path
+      if (isCurrentSiteHost(urlObj.hostname)) {
+        path = urlObj.pathname;
+      } else {
+        // Different domain = truly external
+        return 'external';
+      }
+    } catch (e) {
+      // Invalid URL format
+      return 'external';
     }
   }
+  
+  // Remove leading slash if present
+  path = path.startsWith('/') ? path.substring(1) : path;
+  
+  // Routes of the URL route table, in order (see DEFAULT_URL_ROUTES)
+  const matched = matchUrlRoute(path);
+  if (matched) {
+    return matched.urlPattern;
+  }
 
   // Default case
   console.log(`DEBUG: No pattern matched for ${href} - returning other`);
@@ -199,41 +399,208 @@ function textsMatch(text1, text2) {
          words1.some(word => normalized2.includes(word));
 }
 
+// ==================== FUZZY TEXT MATCHING ====================
+
+// Words that say nothing about which place, activity or ship a text names (compared after singularizing)
+const TEXT_MATCH_STOP_WORDS = [
+  'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from',
+  'tour', 'cruise', 'trip', 'holiday', 'vacation', 'travel', 'package', 'all'
+];
+
+// Per check type: 'fuzzy' scores token overlap against the threshold, 'legacy' uses textsMatch
+const DEFAULT_TEXT_MATCH_SETTINGS = {
+  destination: { mode: 'fuzzy', threshold: 0.8 },
+  activity: { mode: 'fuzzy', threshold: 0.8 },
+  ship: { mode: 'fuzzy', threshold: 0.8 }
+};
+
+let textMatchSettings = JSON.parse(JSON.stringify(DEFAULT_TEXT_MATCH_SETTINGS));
+
+// Function to change the matching mode or threshold of check types
+// e.g. configureTextMatching({ destination: { threshold: 0.6 }, ship: { mode: 'legacy' } })
+function configureTextMatching(config = {}) {
+  Object.keys(config).forEach(checkType => {
+    const setting = config[checkType] || {};
+    if (setting.mode && setting.mode !== 'fuzzy' && setting.mode !== 'legacy') {
+      throw new Error(`Unknown text match mode "${setting.mode}" for ${checkType} (use fuzzy or legacy)`);
+    }
+    if (setting.threshold !== undefined && (typeof setting.threshold !== 'number' || setting.threshold < 0 || setting.threshold > 1)) {
+      throw new Error(`Text match threshold for ${checkType} must be a number between 0 and 1`);
+    }
+    textMatchSettings[checkType] = { ...(textMatchSettings[checkType] || DEFAULT_TEXT_MATCH_SETTINGS.destination), ...setting };
+  });
+  return textMatchSettings;
+}
+
+// Function to restore the default matching settings
+function resetTextMatching() {
+  textMatchSettings = JSON.parse(JSON.stringify(DEFAULT_TEXT_MATCH_SETTINGS));
+}
+
+// Helper function to remove accents ("Reykjavík" → "Reykjavik")
+function foldDiacritics(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Helper function to reduce a plural word to its singular form ("cities" → "city", "tours" → "tour")
+function singularize(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && /(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Helper function to split a text into its distinct significant words
+function getTextTokens(text) {
+  const tokens = normalizeText(foldDiacritics(text || ''))
+    .replace(/\(\d+\)/g, ' ')                // Result counts such as "Ocean Explorer (12)"
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 0)
+    .map(singularize)
+    .filter(word => !TEXT_MATCH_STOP_WORDS.includes(word));
+  return Array.from(new Set(tokens));
+}
+
+// Token-set similarity of two texts (Dice coefficient of their significant words)
+// Returns { score, matchedTokens, tokens1, tokens2 }
+function scoreTextMatch(text1, text2) {
+  const tokens1 = getTextTokens(text1);
+  const tokens2 = getTextTokens(text2);
+  const matchedTokens = tokens1.filter(token => tokens2.includes(token));
+  const total = tokens1.length + tokens2.length;
+  
+  return {
+    score: total > 0 ? Math.round(2 * matchedTokens.length / total * 100) / 100 : 0,
+    matchedTokens: matchedTokens,
+    tokens1: tokens1,
+    tokens2: tokens2
+  };
+}
+
+// Function to decide whether two texts name the same thing for a check type (destination, activity, ship)
+// Returns { match, score, threshold, matchedTokens, mode, checkType, texts } for debugInfo
+function matchTexts(text1, text2, checkType = 'destination') {
+  const setting = textMatchSettings[checkType] || textMatchSettings.destination;
+  const texts = [text1 || null, text2 || null];
+  
+  if (!text1 || !text2) {
+    return { match: false, score: 0, threshold: setting.threshold, matchedTokens: [], mode: setting.mode, checkType: checkType, texts: texts };
+  }
+  
+  if (setting.mode === 'legacy') {
+    const match = textsMatch(text1, text2);
+    return { match: match, score: match ? 1 : 0, threshold: setting.threshold, matchedTokens: [], mode: 'legacy', checkType: checkType, texts: texts };
+  }
+  
+  const scored = scoreTextMatch(text1, text2);
+  return {
+    match: scored.score >= setting.threshold,
+    score: scored.score,
+    threshold: setting.threshold,
+    matchedTokens: scored.matchedTokens,
+    mode: 'fuzzy',
+    checkType: checkType,
+    texts: texts
+  };
+}
+
+// Currency prefixes/symbols recognised by parsePrice, most specific first ("US$" before "$")
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['NZ$', 'NZD'], ['CA$', 'CAD'], ['C$', 'CAD'],
+  ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['$', 'USD']
+];
+const CURRENCY_CODES = ['USD', 'AUD', 'NZD', 'CAD', 'EUR', 'GBP', 'CHF', 'ISK', 'NOK', 'SEK', 'DKK', 'JPY', 'ZAR'];
+
+// Words in front of a lowest price ("From $899", "ab 899 €")
+const FROM_PRICE_WORDS = 'from|starting (?:at|from)|as low as|ab|desde|dès|à partir de';
+
+// Parse a price text such as "$1,299", "1.299 €", "AUD 2,450.50" or "From US$899 pp"
+// Returns { amount, currency, isFromPrice, raw }; amount is null when there is no number.
+// The amount is the number next to the currency ("2 nights from $1,200" is 1200), else the number
+// after a "from" word ("12 days from 3,499" is 3499), else the first number.
+function parsePrice(text) {
+  const raw = text ? String(text).trim() : '';
+  const result = { amount: null, currency: null, isFromPrice: false, raw: raw };
+  if (!raw) return result;
+  
+  // Currency: an ISO code wins over a symbol, since "AUD $1,299" is not USD
+  const codeMatch = raw.match(new RegExp('(?:^|[^A-Za-z])(' + CURRENCY_CODES.join('|') + ')(?![A-Za-z])'));
+  if (codeMatch) {
+    result.currency = codeMatch[1];
+  } else {
+    const symbol = CURRENCY_SYMBOLS.find(([prefix]) => raw.includes(prefix));
+    result.currency = symbol ? symbol[1] : null;
+  }
+  
+  // "From $899", "Starting at 899 €", "ab 899 €" and ranges ("$899 - $1,299") are lowest prices
+  result.isFromPrice = new RegExp(`(^|\\s)(${FROM_PRICE_WORDS})(\\s|$|:|[^\\sA-Za-z])`, 'i').test(raw) ||
+                       /\d\s*(-|–|to)\s*\D{0,4}\d/.test(raw);
+  
+  // Numbers: either grouped thousands ("1,299", "1.299", "1 299") with optional decimals, or plain digits
+  const numberMatches = Array.from(raw.matchAll(/\d{1,3}(?:[.,'\u00a0\u202f ]\d{3})+(?:[.,]\d{1,2})?(?!\d)|\d+(?:[.,]\d{1,2})?(?!\d)/g));
+  if (numberMatches.length === 0) return result;
+  
+  // The number next to the currency wins, then the number after a "from" word, then the first number
+  const currencyMarks = CURRENCY_CODES.concat(CURRENCY_SYMBOLS.map(([prefix]) => prefix));
+  const textBefore = (match) => raw.slice(0, match.index).trim();
+  const textAfter = (match) => raw.slice(match.index + match[0].length).trim();
+  const afterFromWord = new RegExp(`(^|\\s)(${FROM_PRICE_WORDS})\\s*:?$`, 'i');
+  
+  const numberMatch = numberMatches.find(match => currencyMarks.some(mark => textBefore(match).endsWith(mark) || textAfter(match).startsWith(mark))) ||
+                      numberMatches.find(match => afterFromWord.test(textBefore(match))) ||
+                      numberMatches[0];
+  
+  const digits = numberMatch[0].replace(/['\u00a0\u202f ]/g, '');
+  const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+  const separatorKinds = new Set(digits.replace(/\d/g, '').split('')).size;
+  
+  if (lastSeparator === -1) {
+    result.amount = parseFloat(digits);
+  } else if (separatorKinds === 1 && digits.length - lastSeparator - 1 === 3) {
+    // Only one kind of separator, followed by three digits: thousands grouping ("1,299" / "1.299")
+    result.amount = parseFloat(digits.replace(/[.,]/g, ''));
+  } else {
+    // The last separator is the decimal mark ("2,450.50" / "2.450,50" / "12,50")
+    result.amount = parseFloat(digits.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + digits.slice(lastSeparator + 1));
+  }
+  
+  return result;
+}
+
 // Helper function to detect maintenance or error status
-function detectPageStatus(iframeDoc, response) {
+// `response` is the fetch Response when the page was loaded by the fetch engine (null for iframes)
+function detectPageStatus(pageDoc, response) {
   try {
     // Check for 404 specifically
     if (response && response.status === 404) {
       return { status: 'broken_link_404', message: 'Broken Link 404 - Page not found' };
     }
     
+    // Rate limited - retried after the Retry-After delay
+    if (response && response.status === 429) {
+      return { status: 'rate_limited', message: 'Too many requests (429) - rate limited' };
+    }
+    
     // Check for maintenance HTTP status codes
     if (response && [502, 503, 504].includes(response.status)) {
       return { status: 'under_maintenance', message: `Server error ${response.status} - Under maintenance` };
     }
     
-    if (!iframeDoc || !iframeDoc.body) {
+    // Any other error response (403, 410, 500...) is final, like a 404
+    if (response && !response.ok) {
+      return { status: 'http_error', message: `HTTP error ${response.status}${response.statusText ? ` ${response.statusText}` : ''}` };
+    }
+    
+    if (!pageDoc || !pageDoc.body) {
       return { status: 'loading_error', message: 'Page content not loaded' };
     }
     
-    const bodyText = iframeDoc.body.textContent.toLowerCase();
-    const titleText = (iframeDoc.title || '').toLowerCase();
-    
-    // Check for maintenance keywords
-    const maintenanceKeywords = [
-      'under maintenance',
-      'temporarily unavailable', 
-      'maintenance mode',
-      'service temporarily unavailable',
-      'site maintenance',
-      'under construction',
-      'temporarily down',
-      'service unavailable',
-      '503 service unavailable',
-      'maintenance in progress'
-    ];
+    const bodyText = pageDoc.body.textContent.toLowerCase();
+    const titleText = (pageDoc.title || '').toLowerCase();
     
-    for (const keyword of maintenanceKeywords) {
+    // Check for maintenance keywords (auditConfig.maintenanceKeywords)
+    for (const keyword of auditConfig.maintenanceKeywords) {
       if (bodyText.includes(keyword) || titleText.includes(keyword)) {
         return { status: 'under_maintenance', message: `Under maintenance - Found: "${keyword}"` };
       }
@@ -252,76 +619,730 @@ function detectPageStatus(iframeDoc, response) {
   }
 }
 
-// Helper function for retry logic
-async function retryWithMaintenanceDetection(checkFunction, maxRetries = 3, retryDelay = 10000) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+// ==================== ADAPTIVE SCHEDULER ====================
+
+// Retry delays: the first retry waits the base delay, every further one twice as long (plus jitter),
+// up to DEFAULT_MAX_RETRY_DELAY. A Retry-After header is honoured up to the same limit.
+const DEFAULT_RETRY_BASE_DELAY = 10000;
+const DEFAULT_MAX_RETRY_DELAY = 60000;
+
+// Concurrency limits of the adaptive scheduler (the start value is the maxConcurrent argument)
+const DEFAULT_MIN_CONCURRENT = 1;
+const DEFAULT_MAX_ADAPTIVE_CONCURRENT = 8;
+
+// Responses faster than this count as healthy, slower ones lower the concurrency
+const DEFAULT_FAST_RESPONSE_MS = 2000;
+const DEFAULT_SLOW_RESPONSE_MS = 8000;
+
+// Helper function to read a Retry-After header (seconds or an HTTP date) in milliseconds
+function getRetryAfterMs(response) {
+  const value = response && response.headers ? response.headers.get('retry-after') : null;
+  if (!value) return null;
+  
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const retryAt = Date.parse(value);
+  return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+}
+
+// Helper function to compute an exponential backoff delay with jitter for a retry attempt
+// The delay is drawn between half and all of baseDelay * 2^(attempt-1), so parallel checks
+// hitting the same limit do not all retry at the same moment.
+function getBackoffDelay(attempt, baseDelay = DEFAULT_RETRY_BASE_DELAY, maxDelay = DEFAULT_MAX_RETRY_DELAY, retryAfterMs = null) {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+  const jittered = Math.round(exponential / 2 + Math.random() * exponential / 2);
+  return retryAfterMs !== null && retryAfterMs !== undefined ? Math.max(jittered, Math.min(retryAfterMs, maxDelay)) : jittered;
+}
+
+// Helper function to tell whether a check attempt hit a rate limit or a maintenance page
+function isThrottledResult(result) {
+  return result.pageStatus === 'rate_limited' || result.pageStatus === 'under_maintenance' ||
+         result.httpStatus === 429 || result.httpStatus === 503;
+}
+
+// Function to create the scheduler that decides how many checks run at once
+// Options:
+// - initialConcurrent: checks running at the start (default: 3)
+// - adaptiveConcurrency: false keeps the concurrency fixed at initialConcurrent
+// - minConcurrent / maxAdaptiveConcurrent: range the concurrency moves in
+// - perHostConcurrency: limit for every host; hostConcurrency: { 'www.example.com': 2 } per host
+// - fastResponseMs / slowResponseMs: response times counted as healthy / too slow
+// - retryBaseDelay / maxRetryDelay: backoff of retries (see getBackoffDelay)
+// The concurrency goes up by one after a full round of fast, healthy responses, is halved on a 429,
+// 503 or maintenance page (and that host waits out the backoff) and goes down by one on slow responses.
+function createAdaptiveScheduler(options = {}) {
+  const adaptive = options.adaptiveConcurrency !== false;
+  const minConcurrent = options.minConcurrent || DEFAULT_MIN_CONCURRENT;
+  const initialConcurrent = Math.max(options.initialConcurrent || auditConfig.concurrency, minConcurrent);
+  const maxConcurrent = adaptive ? Math.max(options.maxAdaptiveConcurrent || auditConfig.maxAdaptiveConcurrent, initialConcurrent) : initialConcurrent;
+  const fastResponseMs = options.fastResponseMs || DEFAULT_FAST_RESPONSE_MS;
+  const slowResponseMs = options.slowResponseMs || DEFAULT_SLOW_RESPONSE_MS;
+  const hostLimits = options.hostConcurrency || {};
+  
+  const state = {
+    concurrency: initialConcurrent,
+    inFlight: 0,
+    successStreak: 0,
+    throttled: 0,
+    lastChange: null
+  };
+  const hosts = new Map(); // hostname -> { inFlight, backoffUntil, throttles }
+  
+  const getHost = (url) => {
+    let hostname = '';
     try {
-      const result = await checkFunction(attempt);
-      
-      // If successful or it's a 404 (no retry needed), return immediately
-      if (result.pageStatus === 'loaded' || result.pageStatus === 'broken_link_404') {
-        return result;
-      }
+      hostname = new URL(url, window.location.href).hostname;
+    } catch (error) {
+      // Unparseable URLs share one bucket
+    }
+    if (!hosts.has(hostname)) {
+      hosts.set(hostname, { name: hostname, inFlight: 0, backoffUntil: 0, throttles: 0 });
+    }
+    return hosts.get(hostname);
+  };
+  
+  const getHostLimit = (host) => hostLimits[host.name] || options.perHostConcurrency || Infinity;
+  
+  const setConcurrency = (value, reason) => {
+    const next = Math.max(minConcurrent, Math.min(maxConcurrent, value));
+    if (next !== state.concurrency) {
+      state.lastChange = `${next > state.concurrency ? '↑' : '↓'} ${reason}`;
+      console.log(`⚙️ Concurrency ${state.concurrency} → ${next} (${reason})`);
+      state.concurrency = next;
+    }
+    state.successStreak = 0;
+  };
+  
+  return {
+    minConcurrent: minConcurrent,
+    maxConcurrent: maxConcurrent,
+    retryBaseDelay: options.retryBaseDelay || auditConfig.retryDelay,
+    maxRetryDelay: options.maxRetryDelay || auditConfig.maxRetryDelay,
+    
+    get concurrency() {
+      return state.concurrency;
+    },
+    
+    get inFlight() {
+      return state.inFlight;
+    },
+    
+    // Whether another check may start at all (global limit)
+    hasCapacity() {
+      return state.inFlight < state.concurrency;
+    },
+    
+    // Whether a check of this URL may start now (global limit, host limit and host backoff)
+    canStart(url) {
+      const host = getHost(url);
+      return state.inFlight < state.concurrency &&
+             host.inFlight < getHostLimit(host) &&
+             Date.now() >= host.backoffUntil;
+    },
+    
+    start(url) {
+      state.inFlight++;
+      getHost(url).inFlight++;
+    },
+    
+    finish(url) {
+      state.inFlight = Math.max(0, state.inFlight - 1);
+      const host = getHost(url);
+      host.inFlight = Math.max(0, host.inFlight - 1);
+    },
+    
+    // Record one check attempt: { pageStatus, httpStatus, responseTime, throttled, backoffMs }
+    recordAttempt(url, outcome) {
+      const host = getHost(url);
       
-      // If it's the last attempt, return the result as-is
-      if (attempt === maxRetries) {
-        return {
-          ...result,
-          finalStatus: result.pageStatus === 'under_maintenance' ? 'under_maintenance' : 'timeout',
-          retryAttempts: attempt
-        };
+      if (outcome.throttled) {
+        host.throttles++;
+        state.throttled++;
+        host.backoffUntil = Math.max(host.backoffUntil, Date.now() + (outcome.backoffMs || 0));
+        if (adaptive) {
+          setConcurrency(Math.floor(state.concurrency / 2), `${outcome.httpStatus || outcome.pageStatus} from ${host.name}`);
+        }
+        return;
       }
       
-      // Wait before retrying (but not on last attempt)
-      console.log(`Attempt ${attempt}/${maxRetries} failed: ${result.pageStatus}. Retrying in ${retryDelay/1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      if (!adaptive || outcome.responseTime === null || outcome.responseTime === undefined) return;
       
-    } catch (error) {
-      if (attempt === maxRetries) {
-        return {
-          available: false,
-          error: `Failed after ${maxRetries} attempts: ${error.message}`,
-          pageStatus: 'timeout',
-          finalStatus: 'timeout',
-          retryAttempts: attempt
-        };
+      if (outcome.responseTime > slowResponseMs) {
+        setConcurrency(state.concurrency - 1, `slow response (${Math.round(outcome.responseTime / 1000)}s)`);
+      } else if (outcome.responseTime < fastResponseMs && (outcome.pageStatus === 'loaded' || outcome.pageStatus === 'broken_link_404')) {
+        host.throttles = 0;
+        state.successStreak++;
+        if (state.successStreak >= state.concurrency && state.concurrency < maxConcurrent) {
+          setConcurrency(state.concurrency + 1, 'fast responses');
+        }
       }
-      
-      console.log(`Attempt ${attempt}/${maxRetries} error: ${error.message}. Retrying in ${retryDelay/1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    },
+    
+    // Milliseconds until the earliest host backoff is over (null when no host is backing off)
+    getWaitMs() {
+      const now = Date.now();
+      const waits = Array.from(hosts.values())
+        .filter(host => host.backoffUntil > now)
+        .map(host => host.backoffUntil - now);
+      return waits.length > 0 ? Math.min(...waits) : null;
+    },
+    
+    // Scheduler state for the status overlay and the logs
+    getState() {
+      const now = Date.now();
+      return {
+        concurrency: state.concurrency,
+        minConcurrent: minConcurrent,
+        maxConcurrent: maxConcurrent,
+        adaptive: adaptive,
+        inFlight: state.inFlight,
+        throttled: state.throttled,
+        lastChange: state.lastChange,
+        backingOff: Array.from(hosts.values())
+          .filter(host => host.backoffUntil > now)
+          .map(host => ({ host: host.name, remainingMs: host.backoffUntil - now }))
+      };
     }
+  };
+}
+
+// Helper function to describe the scheduler state on the status overlay
+function getSchedulerStatusHtml(scheduler) {
+  const schedulerState = scheduler.getState();
+  let html = `Concurrency: ${schedulerState.concurrency}` +
+             (schedulerState.adaptive ? ` (${schedulerState.minConcurrent}-${schedulerState.maxConcurrent}, adaptive)` : ' (fixed)') +
+             ` - ${schedulerState.inFlight} running`;
+  if (schedulerState.lastChange) {
+    html += `<br><small>Last change: ${schedulerState.lastChange}</small>`;
   }
+  schedulerState.backingOff.forEach(backoff => {
+    html += `<br><small>⏳ ${backoff.host}: backing off ${Math.ceil(backoff.remainingMs / 1000)}s</small>`;
+  });
+  return html;
 }
 
-function urlPathToReadableText(url) {
-  // Extract the last part of the path
-  let path = url;
+// ==================== PROMISE POOL ====================
+
+// Function to run an async worker over a list of items with a limited number running at once
+// worker(item, index, { signal }) returns a promise; the results keep the order of the items.
+// Options:
+// - concurrency: items running at once (default: 3; ignored with a scheduler)
+// - scheduler: a createAdaptiveScheduler() object - items start when scheduler.canStart(getKey(item))
+// - getKey(item): what the scheduler is told about an item, e.g. its URL (default: the item)
+// - signal: AbortSignal - once aborted no new item starts; the running ones are awaited
+// - onProgress(event): called with { type: 'item-started' | 'item-finished', item, index, result,
+//   error, completed, total, running }
+// - onError(error, item, index): result for an item whose worker threw or rejected
+//   (without it the first error rejects done, after the running items have finished)
+// Returns { done, pause(), resume(), isPaused(), getRunning(), getPending() }. done resolves with the
+// results array; items that never started (aborted run) have no entry. Items start on the next
+// microtask, so the caller holds the pool before the first event arrives.
+function createPromisePool(items, worker, options = {}) {
+  const scheduler = options.scheduler || null;
+  const concurrency = options.concurrency || 3;
+  const getKey = options.getKey || (item => item);
+  const signal = options.signal || null;
   
-  // Remove leading slash and domain if present
-  if (path.startsWith('http')) {
-    const urlObj = new URL(path);
-    path = urlObj.pathname;
-  }
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => index);
+  const running = new Set();
+  let completed = 0;
+  let paused = false;
+  let failure = null;
+  let wakeTimer = null;
+  let finished = false;
+  let resolveDone;
+  let rejectDone;
+  const done = new Promise((resolve, reject) => {
+    resolveDone = resolve;
+    rejectDone = reject;
+  });
   
-  if (path.startsWith('/')) {
-    path = path.substring(1);
-  }
+  const emit = (event) => {
+    if (!options.onProgress) return;
+    try {
+      options.onProgress({ ...event, completed: completed, total: items.length, running: running.size });
+    } catch (error) {
+      // A failing listener must not stop the run
+      console.error('Progress listener failed:', error);
+    }
+  };
   
-  // If path has multiple segments, take the last segment or the second-to-last if it's a destination/subdestination pattern
-  const segments = path.split('/');
-  let textSegment = '';
+  const isStopped = () => failure !== null || Boolean(signal && signal.aborted);
+  const hasCapacity = () => scheduler ? scheduler.hasCapacity() : running.size < concurrency;
+  const canStart = (item) => scheduler ? scheduler.canStart(getKey(item)) : true;
   
-  if (segments.length > 1) {
-    // For destination/subdestination pattern, use the last segment
-    textSegment = segments[segments.length - 1];
-    
-    // If the last segment looks like an ID or specific page, use the second-to-last segment
-    if (/^\d+$/.test(textSegment) || textSegment.startsWith('tours') || textSegment.startsWith('cruises')) {
-      textSegment = segments[segments.length - 2];
+  const settle = () => {
+    if (finished || running.size > 0) return;
+    if (failure) {
+      finished = true;
+      rejectDone(failure);
+    } else if (pending.length === 0 || isStopped()) {
+      finished = true;
+      resolveDone(results);
     }
-  } else {
-    textSegment = segments[0];
-  }
+  };
+  
+  const runItem = (index) => {
+    const item = items[index];
+    running.add(index);
+    if (scheduler) scheduler.start(getKey(item));
+    emit({ type: 'item-started', item: item, index: index });
+    
+    // Wrapped in a promise chain so synchronous throws are handled like rejections
+    Promise.resolve()
+      .then(() => worker(item, index, { signal: signal }))
+      .then(result => ({ result: result, error: null }), error => {
+        if (!options.onError) return { failed: true, error: error };
+        try {
+          return { result: options.onError(error, item, index), error: error };
+        } catch (handlerError) {
+          return { failed: true, error: handlerError };
+        }
+      })
+      .then(outcome => {
+        running.delete(index);
+        if (scheduler) scheduler.finish(getKey(item));
+        completed++;
+        
+        if (outcome.failed) {
+          failure = failure || outcome.error;
+        } else {
+          results[index] = outcome.result;
+        }
+        
+        emit({ type: 'item-finished', item: item, index: index, result: outcome.result, error: outcome.error });
+        pump();
+      });
+  };
+  
+  // Start pending items while the limits allow; items whose host is at its limit or backing off
+  // stay pending and later items go first
+  const pump = () => {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+    
+    while (!paused && !isStopped() && pending.length > 0 && hasCapacity()) {
+      const position = pending.findIndex(index => canStart(items[index]));
+      if (position === -1) break;
+      runItem(pending.splice(position, 1)[0]);
+    }
+    
+    // Wake up when the earliest host backoff is over (nothing else would start the held items)
+    if (!paused && !isStopped() && pending.length > 0 && scheduler && hasCapacity()) {
+      const waitMs = scheduler.getWaitMs();
+      if (waitMs !== null) {
+        wakeTimer = setTimeout(pump, waitMs + 10);
+      }
+    }
+    
+    settle();
+  };
+  
+  if (signal) {
+    signal.addEventListener('abort', pump, { once: true });
+  }
+  Promise.resolve().then(pump);
+  
+  return {
+    done: done,
+    pause() {
+      paused = true;
+      clearTimeout(wakeTimer);
+    },
+    resume() {
+      if (!paused) return;
+      paused = false;
+      pump();
+    },
+    isPaused: () => paused,
+    getRunning: () => Array.from(running).map(index => items[index]),
+    getPending: () => pending.map(index => items[index])
+  };
+}
+
+// Helper function for retry logic
+// Rate limits (429), 503s and maintenance pages are retried with an exponential backoff with jitter
+// (respecting Retry-After); other failures wait retryDelay. With a scheduler (createAdaptiveScheduler)
+// every attempt is reported to it, so the run slows down or speeds up with the site's responses.
+// With events (createAuditEvents) every retry is announced as a 'retry' event.
+async function retryWithMaintenanceDetection(checkFunction, maxRetries = auditConfig.retryCount, retryDelay = auditConfig.retryDelay, scheduler = null, events = null) {
+  const maxRetryDelay = scheduler ? scheduler.maxRetryDelay : auditConfig.maxRetryDelay;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const attemptStart = Date.now();
+      const result = await checkFunction(attempt);
+      const throttled = isThrottledResult(result);
+      const delay = throttled ? getBackoffDelay(attempt, retryDelay, maxRetryDelay, result.retryAfterMs) : retryDelay;
+      
+      if (scheduler) {
+        scheduler.recordAttempt(result.url, {
+          pageStatus: result.pageStatus,
+          httpStatus: result.httpStatus || null,
+          responseTime: Date.now() - attemptStart,
+          throttled: throttled,
+          // The host waits as long as the server asked for, or the retry's own backoff
+          backoffMs: result.retryAfterMs !== null && result.retryAfterMs !== undefined ? Math.min(result.retryAfterMs, maxRetryDelay) : delay
+        });
+      }
+      
+      // If successful, return immediately
+      if (result.pageStatus === 'loaded') {
+        return result;
+      }
+      
+      // A 404 or another HTTP error response is final (no retry needed)
+      if (result.pageStatus === 'broken_link_404' || result.pageStatus === 'http_error') {
+        return {
+          ...result,
+          finalStatus: result.pageStatus,
+          retryAttempts: attempt
+        };
+      }
+      
+      // If it's the last attempt, return the result as-is
+      if (attempt === maxRetries) {
+        return {
+          ...result,
+          finalStatus: result.pageStatus === 'under_maintenance' ? 'under_maintenance' : 'timeout',
+          retryAttempts: attempt
+        };
+      }
+      
+      // Wait before retrying (but not on last attempt)
+      console.log(`Attempt ${attempt}/${maxRetries} failed: ${result.pageStatus}. Retrying in ${Math.round(delay / 1000)} seconds...`);
+      if (events) {
+        events.emit('retry', { url: result.url, attempt: attempt, maxRetries: maxRetries, delay: delay, pageStatus: result.pageStatus, message: result.error || null });
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+      
+    } catch (error) {
+      if (attempt === maxRetries) {
+        return {
+          available: false,
+          error: `Failed after ${maxRetries} attempts: ${error.message}`,
+          pageStatus: 'timeout',
+          finalStatus: 'timeout',
+          retryAttempts: attempt
+        };
+      }
+      
+      console.log(`Attempt ${attempt}/${maxRetries} error: ${error.message}. Retrying in ${retryDelay/1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+  }
+}
+
+// Helper function to build the result of a check attempt whose page did not load
+// `base` holds the checker's own fields (url, originalTitle, IDs...); `failure` is page.error or the
+// detectPageStatus() outcome. retryWithMaintenanceDetection decides from pageStatus whether to retry.
+function createPageFailureResult(base, page, failure, attempt, extra = {}) {
+  return {
+    ...base,
+    available: false,
+    pageStatus: failure.status,
+    httpStatus: page.response ? page.response.status : null,
+    retryAfterMs: getRetryAfterMs(page.response),
+    checkEngine: page.engine,
+    error: `Attempt ${attempt}: ${failure.message}`,
+    ...extra
+  };
+}
+
+// Checking engine used to load target pages:
+// - 'fetch':  fetch() + DOMParser (fast, no page scripts, sees the real HTTP status)
+// - 'iframe': hidden iframe (runs page scripts, needed for client-rendered pages)
+// - 'auto':   fetch first, fall back to the iframe when the page needs client-side rendering
+const DEFAULT_CHECK_ENGINE = 'auto';
+
+// Polling of the iframe engine's readyCheck: interval in ms and default number of polls
+const READY_CHECK_INTERVAL = 500;
+const DEFAULT_MAX_READY_CHECKS = 20;
+
+// Redirects followed by the fetch engine before giving up
+const MAX_REDIRECTS = 10;
+
+// Helper function to fetch a URL hop by hop so every redirect is known
+// Returns { response, redirectChain } where redirectChain lists { url, status } from the requested URL
+// to the final one. Browsers hide the Location of manual redirects (opaqueredirect): the request is then
+// repeated with redirect: 'follow' and the chain only holds the hops seen so far plus the final URL.
+async function fetchWithRedirectChain(url, init = {}) {
+  const redirectChain = [];
+  let currentUrl = url;
+  
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await fetch(currentUrl, { ...init, redirect: 'manual' });
+    const location = response.headers.get('location');
+    
+    if (response.type === 'opaqueredirect' || (response.status >= 300 && response.status < 400 && !location)) {
+      const followed = await fetch(currentUrl, { ...init, redirect: 'follow' });
+      redirectChain.push({ url: currentUrl, status: response.status || null });
+      if (followed.url && followed.url !== currentUrl) {
+        redirectChain.push({ url: followed.url, status: followed.status });
+      }
+      return { response: followed, redirectChain: redirectChain };
+    }
+    
+    redirectChain.push({ url: currentUrl, status: response.status });
+    
+    if (response.status >= 300 && response.status < 400) {
+      if (response.body && response.body.cancel) {
+        response.body.cancel().catch(() => {});
+      }
+      currentUrl = new URL(location, currentUrl).href;
+      continue;
+    }
+    
+    return { response: response, redirectChain: redirectChain };
+  }
+  
+  throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+}
+
+// Helper function to follow the redirects of a URL without parsing it, for checkers that read
+// another page than the link (cruise ships are checked on the tours page)
+// Returns { finalUrl, redirectChain } like loadPage(); on errors the URL counts as not redirected.
+async function resolveRedirectChain(url, options = {}) {
+  const timeoutMs = options.timeout || auditConfig.pageTimeout;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const { response, redirectChain } = await fetchWithRedirectChain(url, {
+      credentials: 'same-origin',
+      signal: controller.signal
+    });
+    if (response.body && response.body.cancel) {
+      response.body.cancel().catch(() => {});
+    }
+    return { finalUrl: redirectChain[redirectChain.length - 1].url, redirectChain: redirectChain };
+  } catch (error) {
+    return { finalUrl: url, redirectChain: [] };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper function to load a page with fetch and parse it with DOMParser
+async function loadPageWithFetch(url, options = {}) {
+  const timeoutMs = options.timeout || auditConfig.pageTimeout;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const { response, redirectChain } = await fetchWithRedirectChain(url, {
+      credentials: 'same-origin',
+      signal: controller.signal
+    });
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const finalUrl = redirectChain[redirectChain.length - 1].url;
+
+    return {
+      engine: 'fetch',
+      doc: doc,
+      response: response,
+      finalUrl: finalUrl,
+      redirectChain: redirectChain,
+      error: null,
+      release: () => {}
+    };
+  } catch (error) {
+    const timedOut = error.name === 'AbortError';
+    return {
+      engine: 'fetch',
+      doc: null,
+      response: null,
+      finalUrl: url,
+      redirectChain: [],
+      error: timedOut ?
+             { status: 'timeout', message: 'Timeout while loading page' } :
+             { status: 'loading_error', message: `Fetch failed: ${error.message}` },
+      release: () => {}
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper function to load a page in a hidden iframe (legacy engine)
+// The caller must call release() once it is done reading the document.
+function loadPageWithIframe(url, options = {}) {
+  const timeoutMs = options.timeout || auditConfig.pageTimeout;
+  const settleDelay = options.settleDelay !== undefined ? options.settleDelay : auditConfig.settleDelay;
+  const maxReadyChecks = options.maxReadyChecks || auditConfig.maxReadyChecks;
+
+  return new Promise((resolve) => {
+    const iframe = document.createElement('iframe');
+    iframe.style.display = 'none';
+    document.body.appendChild(iframe);
+
+    let settled = false;
+
+    const release = () => {
+      if (iframe.parentNode) {
+        iframe.parentNode.removeChild(iframe);
+      }
+    };
+
+    const finish = (doc, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      
+      // The frame only tells where it ended up, not the hops in between
+      let finalUrl = url;
+      try {
+        if (doc && iframe.contentWindow.location.href !== 'about:blank') {
+          finalUrl = iframe.contentWindow.location.href;
+        }
+      } catch (locationError) {
+        // Cross-origin frame: keep the requested URL
+      }
+      
+      if (error) {
+        release();
+      }
+      resolve({
+        engine: 'iframe',
+        doc: doc,
+        response: null,
+        finalUrl: finalUrl,
+        redirectChain: finalUrl !== url ? [{ url: url, status: null }, { url: finalUrl, status: null }] : [],
+        error: error,
+        release: release
+      });
+    };
+
+    const timeout = setTimeout(() => {
+      finish(null, { status: 'timeout', message: 'Timeout while loading page' });
+    }, timeoutMs);
+
+    // Poll until the caller's readyCheck accepts the document (used for slow pages).
+    // After maxReadyChecks polls the document is handed back as it is, so
+    // detectPageStatus can still tell a maintenance or empty page apart
+    let readyChecks = 0;
+    const checkPageReady = () => {
+      if (settled) return;
+      try {
+        const iframeDoc = iframe.contentWindow.document;
+        readyChecks++;
+        if (iframeDoc && iframeDoc.body && options.readyCheck(iframeDoc)) {
+          finish(iframeDoc, null);
+        } else if (readyChecks >= maxReadyChecks) {
+          console.log(`⚠️ Page not ready after ${readyChecks} checks: ${url}`);
+          if (iframeDoc && iframeDoc.body) {
+            finish(iframeDoc, null);
+          } else {
+            finish(null, { status: 'loading_error', message: `Page not ready after ${readyChecks} checks` });
+          }
+        } else {
+          setTimeout(checkPageReady, auditConfig.readyCheckInterval);
+        }
+      } catch (error) {
+        finish(null, { status: 'loading_error', message: `Error checking page: ${error.message}` });
+      }
+    };
+
+    iframe.onload = () => {
+      if (options.readyCheck) {
+        setTimeout(checkPageReady, settleDelay);
+        return;
+      }
+
+      setTimeout(() => {
+        try {
+          const iframeDoc = iframe.contentWindow.document;
+
+          if (!iframeDoc || !iframeDoc.body || iframeDoc.body.innerHTML.length < 100) {
+            setTimeout(() => {
+              try {
+                finish(iframe.contentWindow.document, null);
+              } catch (e) {
+                finish(null, { status: 'loading_error', message: 'Page content not loaded properly' });
+              }
+            }, auditConfig.emptyPageDelay);
+          } else {
+            finish(iframeDoc, null);
+          }
+        } catch (error) {
+          finish(null, { status: 'loading_error', message: 'Error accessing iframe content' });
+        }
+      }, settleDelay);
+    };
+
+    iframe.onerror = () => {
+      finish(null, { status: 'loading_error', message: 'Error loading page' });
+    };
+
+    iframe.src = url;
+  });
+}
+
+// Helper function to tell whether a fetched document only renders client-side
+function needsClientRendering(doc) {
+  if (!doc || !doc.body) return true;
+
+  const hasContent = doc.querySelector(`${auditConfig.mainSelector}, h1, .al-contactbar`);
+  return !hasContent || doc.body.textContent.trim().length < 100;
+}
+
+// Load a page with the requested engine ('fetch', 'iframe' or 'auto')
+async function loadPage(url, options = {}) {
+  const engine = options.engine || DEFAULT_CHECK_ENGINE;
+
+  if (engine === 'iframe') {
+    return loadPageWithIframe(url, options);
+  }
+
+  const page = await loadPageWithFetch(url, options);
+  if (engine === 'fetch') {
+    return page;
+  }
+
+  // AUTO: keep real HTTP errors and timeouts, the iframe would only hide or repeat them
+  if (page.response && !page.response.ok) return page;
+  if (page.error && page.error.status === 'timeout') return page;
+  if (!page.error && !needsClientRendering(page.doc)) return page;
+
+  // No DOM to host an iframe (e.g. headless run)
+  if (typeof document === 'undefined' || !document.body) return page;
+
+  console.log(`↪️ Falling back to iframe engine for ${url}${page.error ? ` (${page.error.message})` : ' (client-rendered page)'}`);
+  return loadPageWithIframe(url, options);
+}
+
+function urlPathToReadableText(url) {
+  // Extract the last part of the path
+  let path = url;
+  
+  // Remove leading slash and domain if present
+  if (path.startsWith('http')) {
+    const urlObj = new URL(path);
+    path = urlObj.pathname;
+  }
+  
+  if (path.startsWith('/')) {
+    path = path.substring(1);
+  }
+  
+  // If path has multiple segments, take the last segment or the second-to-last if it's a destination/subdestination pattern
+  const segments = path.split('/');
+  let textSegment = '';
+  
+  if (segments.length > 1) {
+    // For destination/subdestination pattern, use the last segment
+    textSegment = segments[segments.length - 1];
+    
+    // If the last segment looks like an ID or specific page, use the second-to-last segment
+    if (/^\d+$/.test(textSegment) || textSegment.startsWith('tours') || textSegment.startsWith('cruises')) {
+      textSegment = segments[segments.length - 2];
+    }
+  } else {
+    textSegment = segments[0];
+  }
   
   // Replace hyphens with spaces
   let text = textSegment.replace(/-/g, ' ');
@@ -340,50 +1361,37 @@ function isTrueDestination(path, pattern) {
     path = path.substring(1);
   }
   
-  // SKIP special destination pages
-  if (pattern === 'destination-special-page') {
-    return false; // These are special destination pages that should be skipped
-  }
-  
-  // MODIFIED: Special handling for tour/cruise/operator link patterns
-  if (pattern === 'tour-with-id' || pattern === 'cruise-with-id' || 
-      pattern === 'tour-activity' || pattern === 'tours-category' || 
-      pattern === 'cruises-category' || pattern === 'operator-with-id') {
-    return true;
-  }
-  
-  // FLEXIBLE: Handle all multi-level content pages as non-destinations
-  if (pattern.includes('/articles') || 
-      pattern.includes('/stories') ||
-      pattern.includes('/deals') ||
-      pattern.includes('/tours') ||
-      pattern.includes('/cruises')) {
-    return false; // These are content pages, not destinations
-  }
-  
-  // FLEXIBLE: Handle multi-level destinations
-  if (pattern.startsWith('multi-level/destination-')) {
-    return true; // These are actual destination pages
+  // The route of the pattern says whether its links are destinations (special pages and content pages are not)
+  const route = getUrlRoute(pattern);
+  if (!route) {
+    return false;
   }
+  return typeof route.destination === 'function' ? route.destination(path) : !!route.destination;
+}
+
+// What a tile of each section type is expected to have (keys are the al-sec-* suffix, lower case)
+// - description: selector of the tile description inside the link (null when the tiles have none)
+// - image: whether the tiles show an image
+const SECTION_QUALITY_EXPECTATIONS = {
+  four: { description: '.al-lnk-details', image: true },
+  sumtiles: { description: '.al-lnk-details', image: true },
+  articles: { description: '.al-lnk-details', image: true },
+  tiles: { description: null, image: true },
+  table: { description: '.al-lp-table-summary', image: false }
+};
+
+// Helper function to read the image of a tile (lazy-loaded images keep their URL in data-src or srcset)
+function getTileImage(anchor) {
+  const img = anchor.querySelector('img');
+  if (!img) return null;
   
-  // Legacy patterns for backward compatibility
-  if (pattern === 'destination' || pattern === 'destination/subdestination') {
-    const segments = path.split('/');
-    const nonDestinationSegments = [
-      'articles', 'stories', 'deals', 'guides', 'contact',
-      'about', 'faq', 'reviews', 'news', 'gallery', 'photos',
-      'blog', 'privacy', 'terms', 'careers', 'events'
-    ];
-    
-    for (const segment of segments) {
-      if (nonDestinationSegments.includes(segment)) {
-        return false;
-      }
-    }
-    return true;
-  }
+  const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset') || '';
+  const src = (img.getAttribute('src') || img.getAttribute('data-src') || srcset.split(',')[0].trim().split(/\s+/)[0] || '').trim();
   
-  return false;
+  return {
+    src: src,
+    alt: img.getAttribute('alt')
+  };
 }
 
 // Helper function to extract links from a specific element
@@ -451,14 +1459,8 @@ function extractLinksFromElement(element, sectionType = null) {
     // Check for description based on section type
     let hasDescription = false;
     if (sectionType) {
-      const sectionTypeLower = sectionType.toLowerCase();
-      let descriptionSelector = '';
-      
-      if (['four', 'sumtiles', 'articles'].includes(sectionTypeLower)) {
-        descriptionSelector = '.al-lnk-details';
-      } else if (sectionTypeLower === 'table') {
-        descriptionSelector = '.al-lp-table-summary';
-      }
+      const expectations = SECTION_QUALITY_EXPECTATIONS[sectionType.toLowerCase()];
+      const descriptionSelector = expectations ? expectations.description : null;
       
       if (descriptionSelector) {
         const descriptionElement = anchor.querySelector(descriptionSelector);
@@ -473,999 +1475,2135 @@ function extractLinksFromElement(element, sectionType = null) {
       text: text,
       href: href,
       urlPattern: urlPattern,
-      isExternal: href.startsWith('http') && !href.includes(window.location.hostname),
-      hasDescription: hasDescription
+      isExternal: isExternalLink(href),
+      hasDescription: hasDescription,
+      image: getTileImage(anchor)
     });
   });
   
   return links;
 }
 
-// Function to check if a tour is still available with retry logic
-async function checkTourAvailability(url, originalTitle) {
-  // Wrapper function for retry logic
-  const checkTourAttempt = (attempt) => {
-    return new Promise((resolve) => {
-      const iframe = document.createElement('iframe');
-      iframe.style.display = 'none';
-      document.body.appendChild(iframe);
-      
-      const urlAsText = urlPathToReadableText(url);
-      let tourId = null;
-      const tourIdMatch = url.match(/\/tours\/(\d+)/);
-      if (tourIdMatch && tourIdMatch[1]) {
-        tourId = tourIdMatch[1];
-      }
-      
-      const timeout = setTimeout(() => {
-        document.body.removeChild(iframe);
-        resolve({
-          url: url,
-          originalTitle: originalTitle,
-          urlAsText: urlAsText,
-          tourId: tourId,
-          available: false,
-          pageStatus: 'timeout',
-          error: `Attempt ${attempt}: Timeout while loading page`
-        });
-      }, 15000);
+// Default availability rules per link type (urlPattern). Each rule has:
+// - selectors: named lists of CSS selectors, tried in order (the first match wins)
+// - isAvailable(data, context): pass/fail predicate on the data the checker extracted;
+//   returns true/false or { available, details } where details explain the decision
+//   (new link types without one are available when every selector list matches)
+// - extract(pageDoc, context): only for custom rules - returns the data passed to isAvailable
+//   (without it, the text of the first match of every selector list is extracted)
+// - match: only for new link types - RegExp (or regex string) tested against the link path, e.g. /^\/hotels\/\d+/
+// - label: only for new link types - name shown in the reports
+// - usesLabel: true when isAvailable reads context.originalTitle (the link label), so cached
+//   results are only reused for links with the same label
+// Override or add rules with configureAvailabilityRules() / registerAvailabilityRule().
+const DEFAULT_AVAILABILITY_RULES = {
+  // Tours: the price element exists and is greater than zero
+  'tour-with-id': {
+    selectors: {
+      price: [
+        '.al-price-summary .al-amount',
+        '.al-price-summary .al-price-min .al-amount',
+        '.al-price-summary .al-price .al-amount',
+        '.al-price-min .al-amount',
+        '.al-price .al-amount',
+        '[class*="price"] .al-amount',
+        '.al-amount'
+      ]
+    },
+    isAvailable: (data) => data.price !== null && data.price > 0
+  },
+  
+  // Cruises: the price element exists and is greater than zero
+  'cruise-with-id': {
+    selectors: {
+      price: [
+        '.al-price-summary .al-amount',
+        '.al-price .al-amount',
+        '.al-price-min .al-amount',
+        '[class*="price"] .al-amount',
+        '.al-amount',
+        '.cruise-price',
+        '.price-value'
+      ]
+    },
+    isAvailable: (data) => data.price !== null && data.price > 0
+  },
+  
+  // Cruise ships: the ship is in the ship list of the tours page (substring match both ways)
+  'cruise-ship': {
+    selectors: {
+      shipList: ['.al-il-fields-ship ul'],
+      shipOption: ['li label']
+    },
+    usesLabel: true,
+    isAvailable: (data, context) => {
+      if (!data.shipName || data.shipOptions.length === 0) return false;
       
-      const checkPrice = (iframeDoc, httpResponse = null) => {
-        try {
-          // First check page status
-          const pageStatus = detectPageStatus(iframeDoc, httpResponse);
-          
-          if (pageStatus.status !== 'loaded') {
-            clearTimeout(timeout);
-            document.body.removeChild(iframe);
-            resolve({
-              url: url,
-              originalTitle: originalTitle,
-              urlAsText: urlAsText,
-              tourId: tourId,
-              available: false,
-              pageStatus: pageStatus.status,
-              error: `Attempt ${attempt}: ${pageStatus.message}`
-            });
-            return;
-          }
-          
-          // Page loaded successfully, check price
-          const priceSelectors = [
-            '.al-price-summary .al-amount',
-            '.al-price-summary .al-price-min .al-amount',
-            '.al-price-summary .al-price .al-amount',
-            '.al-price-min .al-amount',
-            '.al-price .al-amount',
-            '[class*="price"] .al-amount',
-            '.al-amount'
-          ];
-          
-          let priceElement = null;
-          let priceSelector = '';
-          
-          for (const selector of priceSelectors) {
-            const element = iframeDoc.querySelector(selector);
-            if (element) {
-              priceElement = element;
-              priceSelector = selector;
-              break;
-            }
-          }
-          
-          let price = null;
-          let priceText = null;
-          
-          if (priceElement) {
-            priceText = priceElement.textContent.trim();
-            const priceMatch = priceText.match(/[\d,]+/);
-            if (priceMatch) {
-              price = parseFloat(priceMatch[0].replace(/,/g, ''));
-            }
-          }
-          
-          console.log(`Attempt ${attempt} - Checking tour: ${url}`);
-          console.log(`Price text found: ${priceText}`);
-          console.log(`Parsed price: ${price}`);
-          
-          const available = price !== null && price > 0;
-          const pageTitle = iframeDoc.querySelector('h1')?.textContent.trim() || iframeDoc.title || null;
-          const departureInfo = iframeDoc.querySelector('.al-tour-departure')?.textContent.trim() || null;
-          const durationInfo = iframeDoc.querySelector('.al-tour-duration')?.textContent.trim() || null;
-          // LOG UNAVAILABLE TOURS
-if (!available) {
-  console.log(`❌ UNAVAILABLE TOUR DETECTED:`);
-  console.log(`   URL: ${url}`);
-  console.log(`   Original Title: "${originalTitle}"`);
-  console.log(`   Tour ID: ${tourId}`);
-  console.log(`   Price Text: "${priceText || 'NOT FOUND'}"`);
-  console.log(`   Parsed Price: ${price}`);
-  console.log(`   Page Title: "${pageTitle || 'NOT FOUND'}"`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-}
-          clearTimeout(timeout);
-          document.body.removeChild(iframe);
-          resolve({
-            url: url,
-            originalTitle: originalTitle,
-            urlAsText: urlAsText,
-            tourId: tourId,
-            priceText: priceText,
-            price: price,
-            pageTitle: pageTitle,
-            departureInfo: departureInfo,
-            durationInfo: durationInfo,
-            available: available,
-            pageStatus: 'loaded',
-            priceSelector: priceSelector,
-            error: null
-          });
-        } catch (error) {
-          clearTimeout(timeout);
-          document.body.removeChild(iframe);
-          resolve({
-            url: url,
-            originalTitle: originalTitle,
-            urlAsText: urlAsText,
-            tourId: tourId,
-            available: false,
-            pageStatus: 'loading_error',
-            error: `Attempt ${attempt}: ${error.message}`
-          });
-        }
-      };
+      const textMatches = [];
+      data.shipOptions.forEach(option => {
+        textMatches.push(matchTexts(option, data.shipName, 'ship'));
+        if (context.originalTitle) textMatches.push(matchTexts(option, context.originalTitle, 'ship'));
+      });
       
-      iframe.onload = () => {
-        setTimeout(() => {
-          try {
-            const iframeDoc = iframe.contentWindow.document;
-            
-            if (!iframeDoc || !iframeDoc.body || iframeDoc.body.innerHTML.length < 100) {
-              setTimeout(() => {
-                try {
-                  checkPrice(iframe.contentWindow.document);
-                } catch (e) {
-                  clearTimeout(timeout);
-                  document.body.removeChild(iframe);
-                  resolve({
-                    url: url,
-                    originalTitle: originalTitle,
-                    urlAsText: urlAsText,
-                    tourId: tourId,
-                    available: false,
-                    pageStatus: 'loading_error',
-                    error: `Attempt ${attempt}: Page content not loaded properly`
-                  });
-                }
-              }, 3000);
-            } else {
-              checkPrice(iframeDoc);
-            }
-          } catch (error) {
-            clearTimeout(timeout);
-            document.body.removeChild(iframe);
-            resolve({
-              url: url,
-              originalTitle: originalTitle,
-              urlAsText: urlAsText,
-              tourId: tourId,
-              available: false,
-              pageStatus: 'loading_error',
-              error: `Attempt ${attempt}: Error accessing iframe content`
-            });
-          }
-        }, 2000);
+      return {
+        available: textMatches.some(textMatch => textMatch.match),
+        details: [],
+        textMatches: textMatches.filter(textMatch => textMatch.score > 0)
       };
-      
-      iframe.onerror = (error) => {
-        clearTimeout(timeout);
-        document.body.removeChild(iframe);
-        resolve({
-          url: url,
-          originalTitle: originalTitle,
-          urlAsText: urlAsText,
-          tourId: tourId,
-          available: false,
-          pageStatus: 'loading_error',
-          error: `Attempt ${attempt}: Error loading page`
-        });
+    }
+  },
+  
+  // Activities: the activity is in the experience or activity option lists
+  'tour-activity': {
+    selectors: {
+      experienceList: [
+        '.al-il-fields-experience ul',
+        '.al-il-fields-experience',
+        '[class*="experience"] ul',
+        '.experience-list ul'
+      ],
+      activityList: [
+        '.al-il-fields-activity ul',
+        '.al-il-fields-activity',
+        '[class*="activity"] ul',
+        '.activity-list ul'
+      ]
+    },
+    isAvailable: (data) => {
+      const textMatches = data.experienceOptions.concat(data.activityOptions)
+        .map(option => matchTexts(option, data.activityText, 'activity'));
+      const best = textMatches.reduce((top, textMatch) => (!top || textMatch.score > top.score ? textMatch : top), null);
+      return {
+        available: textMatches.some(textMatch => textMatch.match),
+        details: best ? [`Best activity option: "${best.texts[0]}" (score ${best.score})`] : [],
+        textMatches: textMatches.filter(textMatch => textMatch.score > 0)
       };
+    }
+  },
+  
+  // Destinations (all levels): user-tools-info matches the link, with a page title fallback
+  'destination': {
+    selectors: {
+      userToolsInfo: [
+        '.al-user-tools-info > div:first-child span',
+        '.al-user-tools-info span',
+        '.al-user-tools-info div span',
+        '.al-user-tools-info > div:first-child',
+        '.al-user-tools-info'
+      ]
+    },
+    usesLabel: true,
+    isAvailable: (data, context) => {
+      const { userToolsInfo, pageTitle, urlAsText } = data;
+      const originalTitle = context.originalTitle;
+      const details = [];
+      const textMatches = [];
+      let available = false;
       
-      iframe.src = url;
-    });
+      // Primary check: user tools info (against the link label and URL, never the page's own title)
+      if (userToolsInfo) {
+        const userToolsMatches = [
+          matchTexts(userToolsInfo, originalTitle, 'destination'),
+          matchTexts(userToolsInfo, urlAsText, 'destination')
+        ];
+        textMatches.push(...userToolsMatches);
+        
+        console.log(`🔍 Text matching results:`);
+        console.log(`  - User tools: "${userToolsInfo}"`);
+        console.log(`  - Original title: "${originalTitle}" → Match: ${userToolsMatches[0].match} (score ${userToolsMatches[0].score})`);
+        console.log(`  - URL as text: "${urlAsText}" → Match: ${userToolsMatches[1].match} (score ${userToolsMatches[1].score})`);
+        
+        available = userToolsMatches.some(textMatch => textMatch.match);
+        details.push(`User tools info check: ${available}`);
+      }
+      
+      // Fallback: Check page title directly
+      if (!available && pageTitle) {
+        const pageTitleMatches = [
+          matchTexts(pageTitle, originalTitle, 'destination'),
+          matchTexts(pageTitle, urlAsText, 'destination')
+        ];
+        textMatches.push(...pageTitleMatches);
+        available = pageTitleMatches.some(textMatch => textMatch.match);
+        if (available) {
+          details.push(`Page title fallback: ${available}`);
+          console.log(`✅ Fallback: Page title match found`);
+        }
+      }
+      
+      // A page that loaded but matches neither the label nor the URL is not the destination
+      // the link promises (e.g. /south-iceland landing on "Iceland")
+      if (!available && pageTitle) {
+        details.push(`Page loaded as "${pageTitle}" but does not match the link`);
+        console.log(`⚠️ Page loaded but neither user tools info nor page title match the link`);
+      }
+      
+      return { available: available, details: details, textMatches: textMatches };
+    }
+  },
+  
+  // Operators: the operator page lists at least one tour or cruise with a price
+  'operator-with-id': {
+    selectors: {
+      operatorName: ['.al-operator-name', 'h1'],
+      productRoot: ['.al-main', '[id="al-main"]', 'body'],
+      price: ['.al-amount']
+    },
+    isAvailable: (data) => data.pricedProductCount > 0
+  },
+  
+  // Category listings: at least one result is listed
+  'tours-category': {
+    selectors: {
+      cards: ['.al-il-results .al-il-item', '.al-il-item', '[class*="result-card"]', '[class*="product-card"]'],
+      listingRoot: ['.al-main', '[id="al-main"]', 'body'],
+      experienceList: ['.al-il-fields-experience ul', '.al-il-fields-experience', '[class*="experience"] ul'],
+      activityList: ['.al-il-fields-activity ul', '.al-il-fields-activity', '[class*="activity"] ul']
+    },
+    isAvailable: (data) => data.productCount > 0
+  }
+};
+
+// Cruise categories are counted the same way as tour categories
+DEFAULT_AVAILABILITY_RULES['cruises-category'] = DEFAULT_AVAILABILITY_RULES['tours-category'];
+
+// Link types checked by a built-in checker (other registered types use checkWithRule)
+const BUILT_IN_RULE_PATTERNS = Object.keys(DEFAULT_AVAILABILITY_RULES);
+
+// The active rule set (defaults plus registered rules and overrides)
+let availabilityRules = { ...DEFAULT_AVAILABILITY_RULES };
+
+// Helper function to get the rule key of a urlPattern (all destination levels share one rule)
+function getRuleKey(urlPattern) {
+  if (urlPattern === 'destination' || 
+      urlPattern === 'destination/subdestination' ||
+      (urlPattern && urlPattern.startsWith('multi-level/destination-'))) {
+    return availabilityRules[urlPattern] ? urlPattern : 'destination';
+  }
+  return urlPattern;
+}
+
+// Function to get the active availability rule of a link type (null when there is none)
+function getAvailabilityRule(urlPattern) {
+  return availabilityRules[getRuleKey(urlPattern)] || null;
+}
+
+// Function to add a rule for a link type, replacing the current one
+// (a replaced built-in rule must keep the selector names its checker uses -
+// configureAvailabilityRules() changes single selectors or predicates instead)
+function registerAvailabilityRule(urlPattern, rule) {
+  if (!rule || (typeof rule.isAvailable !== 'function' && !rule.selectors)) {
+    throw new Error(`Availability rule for "${urlPattern}" needs selectors or an isAvailable predicate`);
+  }
+  availabilityRules[urlPattern] = {
+    selectors: {},
+    // Without a predicate (e.g. rules from a JSON config) every selector list has to match
+    isAvailable: (data) => Object.keys(rule.selectors || {}).every(name => data[name]),
+    ...rule,
+    match: typeof rule.match === 'string' ? new RegExp(rule.match) : rule.match
   };
+  registerRuleRoute(urlPattern, availabilityRules[urlPattern]);
+}
+
+// Helper function to route the links matching a custom rule's `match` to that rule
+// (built-in link types have their routes already). Rule routes go before the other routes,
+// in registration order; the rule's match is tested against the path with its leading slash.
+function registerRuleRoute(urlPattern, rule) {
+  if (BUILT_IN_RULE_PATTERNS.includes(urlPattern) || !rule.match) return;
   
-  // Use retry logic
-  return await retryWithMaintenanceDetection(checkTourAttempt);
+  const firstRoute = urlRoutes.find(route => !route.fromRule && route.name !== urlPattern);
+  registerUrlRoute({
+    name: urlPattern,
+    match: (path) => rule.match.test(`/${path}`),
+    label: rule.label || urlPattern,
+    type: 'custom',
+    checker: 'rule',
+    destination: false,
+    fromRule: true
+  }, { before: firstRoute ? firstRoute.name : undefined });
 }
 
-// Function to check if a cruise ship is available with retry logic
-async function checkCruiseShipAvailability(url, originalTitle) {
-  const checkShipAttempt = (attempt) => {
-    return new Promise((resolve) => {
-      let shipName = null;
-      const shipMatch = url.match(/\/cruises\/\d+\/([^\/]+)/);
-      if (shipMatch && shipMatch[1]) {
-        shipName = shipMatch[1].replace(/-/g, ' ')
-          .split(' ')
-          .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-          .join(' ');
-      }
-      
-      const currentPath = window.location.pathname;
-      let basePath = currentPath;
-      if (basePath.endsWith('/')) {
-        basePath = basePath.slice(0, -1);
-      }
-      
-      const toursUrl = `${basePath}/tours`;
-      const absoluteToursUrl = `${window.location.origin}${toursUrl}`;
-      
-      console.log(`Attempt ${attempt} - Checking cruise ship: ${url}`);
-      console.log(`Ship name extracted: ${shipName}`);
-      console.log(`Tours page URL: ${absoluteToursUrl}`);
-      
-      const iframe = document.createElement('iframe');
-      iframe.style.display = 'none';
-      document.body.appendChild(iframe);
-      
-      const timeout = setTimeout(() => {
-        document.body.removeChild(iframe);
-        resolve({
+// Function to apply a config object of rules: { urlPattern: partialRule }
+// Existing rules are merged (selectors by name), unknown link types are registered
+function configureAvailabilityRules(config = {}) {
+  Object.keys(config).forEach(urlPattern => {
+    const override = config[urlPattern];
+    const existing = availabilityRules[urlPattern];
+    
+    if (!existing) {
+      registerAvailabilityRule(urlPattern, override);
+      return;
+    }
+    
+    const merged = {
+      ...existing,
+      ...override,
+      selectors: { ...existing.selectors, ...(override.selectors || {}) }
+    };
+    if (typeof merged.match === 'string') {
+      merged.match = new RegExp(merged.match);
+    }
+    availabilityRules[urlPattern] = merged;
+    registerRuleRoute(urlPattern, merged);
+  });
+  
+  return availabilityRules;
+}
+
+// Function to restore the default rule set (and drop the routes of custom rules)
+function resetAvailabilityRules() {
+  availabilityRules = { ...DEFAULT_AVAILABILITY_RULES };
+  urlRoutes = urlRoutes.filter(route => !route.fromRule);
+}
+
+// Helper function to run a rule's predicate; always returns { available, details }
+function evaluateAvailabilityRule(rule, data, context) {
+  const outcome = rule.isAvailable(data, context);
+  if (outcome && typeof outcome === 'object') {
+    return { available: !!outcome.available, details: outcome.details || [], textMatches: outcome.textMatches || [] };
+  }
+  return { available: !!outcome, details: [], textMatches: [] };
+}
+
+// Helper function to find the first element matching a list of selectors
+function queryFirst(root, selectors = []) {
+  for (const selector of selectors) {
+    const element = root.querySelector(selector);
+    if (element) {
+      return { element: element, selector: selector };
+    }
+  }
+  return { element: null, selector: null };
+}
+
+// Function to check a link with a registered rule (custom link types and rules with their own extract)
+async function checkWithRule(url, originalTitle, urlPattern, options = {}) {
+  const rule = getAvailabilityRule(urlPattern);
+  const urlAsText = urlPathToReadableText(url);
+  
+  // Wrapper function for retry logic
+  const checkRuleAttempt = async (attempt) => {
+    const page = await loadPage(url, { engine: options.engine, timeout: rule.timeout || auditConfig.pageTimeout });
+    
+    try {
+      if (page.error) {
+        return createPageFailureResult({
           url: url,
           originalTitle: originalTitle,
-          shipName: shipName,
-          toursUrl: absoluteToursUrl,
-          available: false,
-          pageStatus: 'timeout',
-          error: `Attempt ${attempt}: Timeout while loading tours page`
-        });
-      }, 15000);
+          urlAsText: urlAsText
+        }, page, page.error, attempt);
+      }
       
-      const checkShipList = (iframeDoc, httpResponse = null) => {
-        try {
-          const pageStatus = detectPageStatus(iframeDoc, httpResponse);
-          
-          if (pageStatus.status !== 'loaded') {
-            clearTimeout(timeout);
-            document.body.removeChild(iframe);
-            resolve({
-              url: url,
-              originalTitle: originalTitle,
-              shipName: shipName,
-              toursUrl: absoluteToursUrl,
-              available: false,
-              pageStatus: pageStatus.status,
-              error: `Attempt ${attempt}: ${pageStatus.message}`
-            });
-            return;
-          }
-          
-          const shipListContainer = iframeDoc.querySelector('.al-il-fields-ship ul');
-          let shipOptions = [];
-          
-          if (shipListContainer) {
-            const shipLabels = shipListContainer.querySelectorAll('li label');
-            shipLabels.forEach(label => {
-              const text = label.textContent.trim();
-              if (text) shipOptions.push(text);
-            });
-          }
-          
-          console.log(`Attempt ${attempt} - Ships found on tours page: ${shipOptions.length}`);
-          console.log(`Ship options:`, shipOptions);
-          
-          let shipAvailable = false;
-          
-          if (shipName && shipOptions.length > 0) {
-            shipAvailable = shipOptions.some(option => 
-              option.toLowerCase().includes(shipName.toLowerCase()) || 
-              shipName.toLowerCase().includes(option.toLowerCase()) ||
-              (originalTitle && (
-                option.toLowerCase().includes(originalTitle.toLowerCase()) ||
-                originalTitle.toLowerCase().includes(option.toLowerCase())
-              ))
-            );
-          }
-          
-          const pageTitle = iframeDoc.querySelector('h1')?.textContent.trim() || 
-                            iframeDoc.title || 
-                            null;
-          // LOG UNAVAILABLE CRUISE SHIPS
-if (!shipAvailable) {
-  console.log(`❌ UNAVAILABLE CRUISE SHIP DETECTED:`);
-  console.log(`   URL: ${url}`);
-  console.log(`   Original Title: "${originalTitle}"`);
-  console.log(`   Ship Name: "${shipName || 'NOT EXTRACTED'}"`);
-  console.log(`   Ships Found: ${shipOptions.length}`);
-  console.log(`   Ship Options: ${JSON.stringify(shipOptions)}`);
-  console.log(`   Tours URL: ${absoluteToursUrl}`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-}
-          clearTimeout(timeout);
-          document.body.removeChild(iframe);
-          resolve({
-            url: url,
-            originalTitle: originalTitle,
-            shipName: shipName,
-            toursUrl: absoluteToursUrl,
-            pageTitle: pageTitle,
-            shipOptions: shipOptions,
-            available: shipAvailable,
-            pageStatus: 'loaded',
-            error: null
-          });
-          
-        } catch (error) {
-          clearTimeout(timeout);
-          document.body.removeChild(iframe);
-          resolve({
-            url: url,
-            originalTitle: originalTitle,
-            shipName: shipName,
-            toursUrl: absoluteToursUrl,
-            available: false,
-            pageStatus: 'loading_error',
-            error: `Attempt ${attempt}: ${error.message}`
-          });
-        }
-      };
+      const pageDoc = page.doc;
       
-      iframe.onload = () => {
-        setTimeout(() => {
-          try {
-            const iframeDoc = iframe.contentWindow.document;
-            
-            if (!iframeDoc || !iframeDoc.body || iframeDoc.body.innerHTML.length < 100) {
-              setTimeout(() => {
-                try {
-                  checkShipList(iframe.contentWindow.document);
-                } catch (e) {
-                  clearTimeout(timeout);
-                  document.body.removeChild(iframe);
-                  resolve({
-                    url: url,
-                    originalTitle: originalTitle,
-                    shipName: shipName,
-                    toursUrl: absoluteToursUrl,
-                    available: false,
-                    pageStatus: 'loading_error',
-                    error: `Attempt ${attempt}: Tours page content not loaded properly`
-                  });
-                }
-              }, 3000);
-            } else {
-              checkShipList(iframeDoc);
-            }
-          } catch (error) {
-            clearTimeout(timeout);
-            document.body.removeChild(iframe);
-            resolve({
-              url: url,
-              originalTitle: originalTitle,
-              shipName: shipName,
-              toursUrl: absoluteToursUrl,
-              available: false,
-              pageStatus: 'loading_error',
-              error: `Attempt ${attempt}: Error accessing tours page content`
-            });
-          }
-        }, 2000);
-      };
+      // First check page status
+      const pageStatus = detectPageStatus(pageDoc, page.response);
       
-      iframe.onerror = (error) => {
-        clearTimeout(timeout);
-        document.body.removeChild(iframe);
-        resolve({
+      if (pageStatus.status !== 'loaded') {
+        return createPageFailureResult({
           url: url,
           originalTitle: originalTitle,
-          shipName: shipName,
-          toursUrl: absoluteToursUrl,
-          available: false,
-          pageStatus: 'loading_error',
-          error: `Attempt ${attempt}: Error loading tours page`
+          urlAsText: urlAsText
+        }, page, pageStatus, attempt);
+      }
+      
+      const context = { url: url, originalTitle: originalTitle, urlPattern: urlPattern, urlAsText: urlAsText };
+      const pageTitle = pageDoc.querySelector('h1')?.textContent.trim() || pageDoc.title || null;
+      
+      let data;
+      if (rule.extract) {
+        data = rule.extract(pageDoc, context);
+      } else {
+        data = { pageTitle: pageTitle };
+        Object.keys(rule.selectors || {}).forEach(name => {
+          const match = queryFirst(pageDoc, rule.selectors[name]);
+          data[name] = match.element ? match.element.textContent.trim() : null;
         });
-      };
+      }
       
-      iframe.src = absoluteToursUrl;
-    });
-  };
-  
-  return await retryWithMaintenanceDetection(checkShipAttempt);
-}
-
-async function checkCruiseAvailability(url, originalTitle) {
-  return new Promise((resolve) => {
-    // Create an iframe to load the content without navigating away
-    const iframe = document.createElement('iframe');
-    iframe.style.display = 'none'; // Hide the iframe
-    document.body.appendChild(iframe);
-    
-    // Convert URL to readable text for comparison
-    const urlAsText = urlPathToReadableText(url);
-    
-    // Extract cruise ID if available
-    let cruiseId = null;
-    const cruiseIdMatch = url.match(/\/cruises\/(\d+)/);
-    if (cruiseIdMatch && cruiseIdMatch[1]) {
-      cruiseId = cruiseIdMatch[1];
-    }
-    
-    // Set a longer timeout to handle cases where the page doesn't load
-    const timeout = setTimeout(() => {
-      document.body.removeChild(iframe);
-      resolve({
+      const outcome = evaluateAvailabilityRule(rule, data, context);
+      
+      console.log(`Attempt ${attempt} - Checking ${urlPattern} with rule: ${url} → ${outcome.available}`);
+      
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        pageTitle: pageTitle,
+        ruleData: data,
+        checkMethod: `rule:${urlPattern}`,
+        available: outcome.available,
+        pageStatus: 'loaded',
+        seo: collectSeoMetadata(pageDoc, page.finalUrl || url),
+        finalUrl: page.finalUrl || url,
+        redirectChain: page.redirectChain || [],
+        httpStatus: page.response ? page.response.status : null,
+        checkEngine: page.engine,
+        error: null,
+        debugInfo: { step: 'completed', matchDetails: outcome.details }
+      };
+    } catch (error) {
+      return {
         url: url,
         originalTitle: originalTitle,
         urlAsText: urlAsText,
-        cruiseId: cruiseId,
         available: false,
-        error: 'Timeout while loading page'
-      });
-    }, 30000); // Increased to 30 seconds timeout
+        pageStatus: 'loading_error',
+        checkEngine: page.engine,
+        error: `Attempt ${attempt}: ${error.message}`
+      };
+    } finally {
+      page.release();
+    }
+  };
+  
+  // Use retry logic
+  return await retryWithMaintenanceDetection(checkRuleAttempt, auditConfig.retryCount, auditConfig.retryDelay, options.scheduler, options.events);
+}
+
+// Function to check if a tour is still available with retry logic
+async function checkTourAvailability(url, originalTitle, options = {}) {
+  const urlAsText = urlPathToReadableText(url);
+  let tourId = null;
+  const tourIdMatch = url.match(/\/tours\/(\d+)/);
+  if (tourIdMatch && tourIdMatch[1]) {
+    tourId = tourIdMatch[1];
+  }
+
+  // Wrapper function for retry logic
+  const checkTourAttempt = async (attempt) => {
+    const page = await loadPage(url, { engine: options.engine, timeout: auditConfig.pageTimeout });
     
-    // Function to check if the page has fully loaded
-    const checkPageReady = () => {
-      try {
-        const iframeDoc = iframe.contentWindow.document;
-        
-        // Check if the page has started loading
-        if (!iframeDoc || !iframeDoc.body) {
-          // Wait and try again
-          setTimeout(checkPageReady, 500);
-          return;
-        }
-        
-        // Check for price element specifically
-        const priceElement = iframeDoc.querySelector('.al-price-summary .al-amount');
-        
-        if (!priceElement) {
-          // If we've been waiting a while but still no price element, check if page appears loaded
-          const bodyContent = iframeDoc.body.innerHTML;
-          
-          // Look for elements that indicate the page is loaded but might not have price
-          const hasMainContent = iframeDoc.querySelector('.al-main') || 
-                                iframeDoc.querySelector('h1') || 
-                                iframeDoc.querySelector('.al-contactbar');
-          
-          if (hasMainContent) {
-            // Page seems to have loaded but no price element found
-            // Try broader price selectors
-            checkPrice(iframeDoc);
-          } else {
-            // Page still loading, check again after a short delay
-            setTimeout(checkPageReady, 500);
-          }
-        } else {
-          // Price element found, check the price
-          checkPrice(iframeDoc);
-        }
-      } catch (error) {
-        // Error accessing iframe content
-        clearTimeout(timeout);
-        document.body.removeChild(iframe);
-        resolve({
+    try {
+      if (page.error) {
+        return createPageFailureResult({
           url: url,
           originalTitle: originalTitle,
           urlAsText: urlAsText,
-          cruiseId: cruiseId,
-          available: false,
-          error: `Error checking page: ${error.message}`
-        });
+          tourId: tourId
+        }, page, page.error, attempt);
       }
-    };
-    
-    // Function to check price once page is ready
-    const checkPrice = (iframeDoc) => {
-      try {
-        // Try multiple selectors to find price
-        const priceSelectors = [
-          '.al-price-summary .al-amount',
-          '.al-price .al-amount',
-          '.al-price-min .al-amount',
-          '[class*="price"] .al-amount',
-          '.al-amount',
-          '.cruise-price',
-          '.price-value'
-        ];
-        
-        let priceElement = null;
-        let priceSelector = '';
-        
-        for (const selector of priceSelectors) {
-          const element = iframeDoc.querySelector(selector);
-          if (element) {
-            priceElement = element;
-            priceSelector = selector;
-            break;
-          }
-        }
-        
-        let price = null;
-        let priceText = null;
-        
-        if (priceElement) {
-          priceText = priceElement.textContent.trim();
-          // Extract numeric value
-          const priceMatch = priceText.match(/[\d,]+/);
-          if (priceMatch) {
-            price = parseFloat(priceMatch[0].replace(/,/g, ''));
-          }
+      
+      const pageDoc = page.doc;
+      
+      // First check page status
+      const pageStatus = detectPageStatus(pageDoc, page.response);
+      
+      if (pageStatus.status !== 'loaded') {
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          urlAsText: urlAsText,
+          tourId: tourId
+        }, page, pageStatus, attempt);
+      }
+      
+      // Page loaded successfully, check price (selectors and predicate from the tour rule)
+      const rule = getAvailabilityRule('tour-with-id');
+      const priceSelectors = rule.selectors.price;
+      
+      let priceElement = null;
+      let priceSelector = '';
+      
+      for (const selector of priceSelectors) {
+        const element = pageDoc.querySelector(selector);
+        if (element) {
+          priceElement = element;
+          priceSelector = selector;
+          break;
         }
-        
-        // Log debug info
-        console.log(`Checking cruise: ${url}`);
-        console.log(`Price selector used: ${priceSelector}`);
-        console.log(`Price text found: ${priceText}`);
-        console.log(`Parsed price: ${price}`);
-        
-        // Get the page title
-        const pageTitle = iframeDoc.querySelector('h1')?.textContent.trim() || 
-                          iframeDoc.title || 
-                          null;
-        
-        // Get other relevant details
-        const departureInfo = iframeDoc.querySelector('.al-cruise-departure')?.textContent.trim() || null;
-        const durationInfo = iframeDoc.querySelector('.al-cruise-duration')?.textContent.trim() || null;
-        
-        // Cruise is available if price exists and is greater than zero
-        const available = price !== null && price > 0;
-        // LOG UNAVAILABLE CRUISES
+      }
+      
+      let price = null;
+      let priceText = null;
+      let parsedPrice = parsePrice(null);
+      
+      if (priceElement) {
+        priceText = priceElement.textContent.trim();
+        parsedPrice = parsePrice(priceText);
+        price = parsedPrice.amount;
+      }
+      
+      console.log(`Attempt ${attempt} - Checking tour: ${url}`);
+      console.log(`Price text found: ${priceText}`);
+      console.log(`Parsed price: ${price}`);
+      
+      const available = evaluateAvailabilityRule(rule, { price: price, priceText: priceText, currency: parsedPrice.currency, isFromPrice: parsedPrice.isFromPrice }, { url: url, originalTitle: originalTitle }).available;
+      const pageTitle = pageDoc.querySelector('h1')?.textContent.trim() || pageDoc.title || null;
+      const departureInfo = pageDoc.querySelector('.al-tour-departure')?.textContent.trim() || null;
+      const durationInfo = pageDoc.querySelector('.al-tour-duration')?.textContent.trim() || null;
+      // LOG UNAVAILABLE TOURS
 if (!available) {
-  console.log(`❌ UNAVAILABLE CRUISE DETECTED:`);
+  console.log(`❌ UNAVAILABLE TOUR DETECTED:`);
   console.log(`   URL: ${url}`);
   console.log(`   Original Title: "${originalTitle}"`);
-  console.log(`   Cruise ID: ${cruiseId}`);
+  console.log(`   Tour ID: ${tourId}`);
   console.log(`   Price Text: "${priceText || 'NOT FOUND'}"`);
   console.log(`   Parsed Price: ${price}`);
   console.log(`   Page Title: "${pageTitle || 'NOT FOUND'}"`);
   console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
 }
-        // Clean up and return result
-        clearTimeout(timeout);
-        document.body.removeChild(iframe);
-        resolve({
-          url: url,
-          originalTitle: originalTitle,
-          urlAsText: urlAsText,
-          cruiseId: cruiseId,
-          priceText: priceText,
-          price: price,
-          pageTitle: pageTitle,
-          departureInfo: departureInfo,
-          durationInfo: durationInfo,
-          available: available,
-          priceSelector: priceSelector,
-          error: null
-        });
-      } catch (error) {
-        // Handle any errors
-        clearTimeout(timeout);
-        document.body.removeChild(iframe);
-        resolve({
-          url: url,
-          originalTitle: originalTitle,
-          urlAsText: urlAsText,
-          cruiseId: cruiseId,
-          available: false,
-          error: error.message
-        });
-      }
-    };
-    
-    // Set up iframe load event
-    iframe.onload = () => {
-      // Start checking if the page is ready
-      setTimeout(checkPageReady, 1000); // Give it a second after initial load event
-    };
-    
-    // Handle iframe loading errors
-    iframe.onerror = (error) => {
-      clearTimeout(timeout);
-      document.body.removeChild(iframe);
-      resolve({
+      return {
         url: url,
         originalTitle: originalTitle,
         urlAsText: urlAsText,
-        cruiseId: cruiseId,
+        tourId: tourId,
+        priceText: priceText,
+        price: price,
+        currency: parsedPrice.currency,
+        isFromPrice: parsedPrice.isFromPrice,
+        pageTitle: pageTitle,
+        departureInfo: departureInfo,
+        durationInfo: durationInfo,
+        available: available,
+        pageStatus: 'loaded',
+        seo: collectSeoMetadata(pageDoc, page.finalUrl || url),
+        finalUrl: page.finalUrl || url,
+        redirectChain: page.redirectChain || [],
+        httpStatus: page.response ? page.response.status : null,
+        checkEngine: page.engine,
+        priceSelector: priceSelector,
+        error: null
+      };
+    } catch (error) {
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        tourId: tourId,
         available: false,
-        error: 'Error loading page'
-      });
-    };
-    
-    // Set iframe source to load the page
-    iframe.src = url;
-  });
+        pageStatus: 'loading_error',
+        checkEngine: page.engine,
+        error: `Attempt ${attempt}: ${error.message}`
+      };
+    } finally {
+      page.release();
+    }
+  };
+  
+  // Use retry logic
+  return await retryWithMaintenanceDetection(checkTourAttempt, auditConfig.retryCount, auditConfig.retryDelay, options.scheduler, options.events);
 }
 
-async function checkActivityAvailability(url, originalTitle, urlPattern) {
-  const checkActivityAttempt = (attempt) => {
-    return new Promise((resolve) => {
-      const iframe = document.createElement('iframe');
-      iframe.style.display = 'none';
-      document.body.appendChild(iframe);
-      
-      let activityText = null;
-      const toursMatch = url.match(/\/tours\/([^\/]+)\/?$/);
-      if (toursMatch && toursMatch[1]) {
-        activityText = toursMatch[1].replace(/-/g, ' ')
-          .split(' ')
-          .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-          .join(' ');
-      }
+// Function to check if a cruise ship is available with retry logic
+async function checkCruiseShipAvailability(url, originalTitle, options = {}) {
+  let shipName = null;
+  const shipMatch = url.match(/\/cruises\/\d+\/([^\/]+)/);
+  if (shipMatch && shipMatch[1]) {
+    shipName = shipMatch[1].replace(/-/g, ' ')
+      .split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+  
+  // Ships are listed on the tours page of the page that links to them
+  // (options.pageUrl when crawling, otherwise the current page)
+  const pageLocation = options.pageUrl ? new URL(options.pageUrl) : window.location;
+  const currentPath = pageLocation.pathname;
+  let basePath = currentPath;
+  if (basePath.endsWith('/')) {
+    basePath = basePath.slice(0, -1);
+  }
+  
+  const toursUrl = `${basePath}/tours`;
+  const absoluteToursUrl = `${pageLocation.origin}${toursUrl}`;
+
+  const checkShipAttempt = async (attempt) => {
+    console.log(`Attempt ${attempt} - Checking cruise ship: ${url}`);
+    console.log(`Ship name extracted: ${shipName}`);
+    console.log(`Tours page URL: ${absoluteToursUrl}`);
+    
+    // The ship link itself is only followed for its redirects (a retired ship may redirect away)
+    const [page, target] = await Promise.all([
+      loadPage(absoluteToursUrl, { engine: options.engine, timeout: auditConfig.pageTimeout }),
+      resolveRedirectChain(new URL(url, pageLocation.href).href, { timeout: auditConfig.pageTimeout })
+    ]);
+    
+    try {
+      if (page.error) {
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          shipName: shipName,
+          toursUrl: absoluteToursUrl,
+          finalUrl: target.finalUrl,
+          redirectChain: target.redirectChain
+        }, page, { status: page.error.status, message: `${page.error.message} (tours page)` }, attempt);
+      }
       
-      const urlAsText = urlPathToReadableText(url);
+      const pageDoc = page.doc;
+      const pageStatus = detectPageStatus(pageDoc, page.response);
       
-      const isDestination = urlPattern && (
-        urlPattern.startsWith('multi-level/destination-') ||
-        urlPattern === 'destination' || 
-        urlPattern === 'destination/subdestination'
-      );
-      let destinationLevel = 1;
-      if (urlPattern && urlPattern.startsWith('multi-level/destination-')) {
-        const levelMatch = urlPattern.match(/destination-(\d+)/);
-        if (levelMatch && levelMatch[1]) {
-          destinationLevel = parseInt(levelMatch[1]);
-        }
+      if (pageStatus.status !== 'loaded') {
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          shipName: shipName,
+          toursUrl: absoluteToursUrl,
+          finalUrl: target.finalUrl,
+          redirectChain: target.redirectChain
+        }, page, pageStatus, attempt);
+      }
+      
+      const rule = getAvailabilityRule('cruise-ship');
+      const shipListContainer = queryFirst(pageDoc, rule.selectors.shipList).element;
+      let shipOptions = [];
+      
+      if (shipListContainer) {
+        const shipLabels = shipListContainer.querySelectorAll(rule.selectors.shipOption.join(', '));
+        shipLabels.forEach(label => {
+          const text = label.textContent.trim();
+          if (text) shipOptions.push(text);
+        });
       }
       
-      // ENHANCED DEBUGGING
-      console.log(`🔍 DEBUGGING URL: ${url}`);
-      console.log(`📍 Original Title: "${originalTitle}"`);
-      console.log(`🏷️ URL Pattern: ${urlPattern}`);
-      console.log(`🌍 Is Destination: ${isDestination}`);
-      console.log(`📊 Destination Level: ${destinationLevel}`);
+      console.log(`Attempt ${attempt} - Ships found on tours page: ${shipOptions.length}`);
+      console.log(`Ship options:`, shipOptions);
+      
+      const shipOutcome = evaluateAvailabilityRule(rule, { shipName: shipName, shipOptions: shipOptions }, { url: url, originalTitle: originalTitle });
+      const shipAvailable = shipOutcome.available;
+      
+      const pageTitle = pageDoc.querySelector('h1')?.textContent.trim() || 
+                        pageDoc.title || 
+                        null;
+      // LOG UNAVAILABLE CRUISE SHIPS
+if (!shipAvailable) {
+  console.log(`❌ UNAVAILABLE CRUISE SHIP DETECTED:`);
+  console.log(`   URL: ${url}`);
+  console.log(`   Original Title: "${originalTitle}"`);
+  console.log(`   Ship Name: "${shipName || 'NOT EXTRACTED'}"`);
+  console.log(`   Ships Found: ${shipOptions.length}`);
+  console.log(`   Ship Options: ${JSON.stringify(shipOptions)}`);
+  console.log(`   Tours URL: ${absoluteToursUrl}`);
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+}
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        shipName: shipName,
+        toursUrl: absoluteToursUrl,
+        pageTitle: pageTitle,
+        shipOptions: shipOptions,
+        available: shipAvailable,
+        pageStatus: 'loaded',
+        finalUrl: target.finalUrl,
+        redirectChain: target.redirectChain,
+        httpStatus: page.response ? page.response.status : null,
+        checkEngine: page.engine,
+        error: null,
+        debugInfo: { step: 'completed', textMatches: shipOutcome.textMatches }
+      };
       
-      const timeout = setTimeout(() => {
-        console.log(`⏰ Attempt ${attempt}: Timeout reached for ${url}`);
-        document.body.removeChild(iframe);
-        resolve({
+    } catch (error) {
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        shipName: shipName,
+        toursUrl: absoluteToursUrl,
+        finalUrl: target.finalUrl,
+        redirectChain: target.redirectChain,
+        available: false,
+        pageStatus: 'loading_error',
+        checkEngine: page.engine,
+        error: `Attempt ${attempt}: ${error.message}`
+      };
+    } finally {
+      page.release();
+    }
+  };
+  
+  return await retryWithMaintenanceDetection(checkShipAttempt, auditConfig.retryCount, auditConfig.retryDelay, options.scheduler, options.events);
+}
+
+// Function to check if a cruise is still available with retry logic
+async function checkCruiseAvailability(url, originalTitle, options = {}) {
+  // Convert URL to readable text for comparison
+  const urlAsText = urlPathToReadableText(url);
+  
+  // Extract cruise ID if available
+  let cruiseId = null;
+  const cruiseIdMatch = url.match(/\/cruises\/(\d+)/);
+  if (cruiseIdMatch && cruiseIdMatch[1]) {
+    cruiseId = cruiseIdMatch[1];
+  }
+  
+  // Wrapper function for retry logic
+  const checkCruiseAttempt = async (attempt) => {
+    // Cruise pages can be slow: the iframe engine polls until a price element of the cruise rule or
+    // the main content shows up, at most auditConfig.cruiseMaxReadyChecks times (40 = 20 seconds)
+    // within auditConfig.cruiseTimeout (30 seconds)
+    const rule = getAvailabilityRule('cruise-with-id');
+    const priceSelectors = rule.selectors.price;
+    const page = await loadPage(url, {
+      engine: options.engine,
+      timeout: auditConfig.cruiseTimeout,
+      settleDelay: auditConfig.cruiseSettleDelay, // Give it a second after initial load event
+      maxReadyChecks: auditConfig.cruiseMaxReadyChecks,
+      readyCheck: (pageDoc) => queryFirst(pageDoc, priceSelectors).element ||
+                               pageDoc.querySelector(auditConfig.mainSelector) || 
+                               pageDoc.querySelector('h1') || 
+                               pageDoc.querySelector('.al-contactbar')
+    });
+    
+    try {
+      if (page.error) {
+        return createPageFailureResult({
           url: url,
           originalTitle: originalTitle,
           urlAsText: urlAsText,
-          activityText: activityText,
-          destinationLevel: destinationLevel,
-          available: false,
-          pageStatus: 'timeout',
-          error: `Attempt ${attempt}: Timeout while loading page`,
-          debugInfo: { step: 'timeout', details: 'Page load timeout' }
-        });
-      }, 10000);
+          cruiseId: cruiseId
+        }, page, page.error, attempt);
+      }
       
-      const checkElements = (iframeDoc, httpResponse = null) => {
-        try {
-          const pageStatus = detectPageStatus(iframeDoc, httpResponse);
-          
-          if (pageStatus.status !== 'loaded') {
-            console.log(`❌ Page status: ${pageStatus.status} - ${pageStatus.message}`);
-            clearTimeout(timeout);
-            document.body.removeChild(iframe);
-            resolve({
-              url: url,
-              originalTitle: originalTitle,
-              urlAsText: urlAsText,
-              activityText: activityText,
-              destinationLevel: destinationLevel,
-              available: false,
-              pageStatus: pageStatus.status,
-              error: `Attempt ${attempt}: ${pageStatus.message}`,
-              debugInfo: { step: 'page_status_check', details: pageStatus }
-            });
-            return;
-          }
-          
-          console.log(`✅ Page loaded successfully for ${url}`);
-          
-          let experienceOptions = [];
-          let activityOptions = [];
-          let activityAvailable = null;
-          let contactBarTitle = null;
-          let userToolsInfo = null;
-          let userToolsElement = null;
-          
-          // ENHANCED USER TOOLS INFO CHECKING WITH MULTIPLE SELECTORS
-          const userToolsSelectors = [
-            '.al-user-tools-info > div:first-child span',
-            '.al-user-tools-info span',
-            '.al-user-tools-info div span',
-            '.al-user-tools-info > div:first-child',
-            '.al-user-tools-info'
-          ];
-          if (isDestination) {
-            
-            
-            console.log(`🎯 Checking destination with ${userToolsSelectors.length} selectors...`);
-            
-            for (const selector of userToolsSelectors) {
-              userToolsElement = iframeDoc.querySelector(selector);
-              if (userToolsElement) {
-                userToolsInfo = userToolsElement.textContent.trim();
-                console.log(`✅ Found user tools info with selector "${selector}": "${userToolsInfo}"`);
-                break;
-              } else {
-                console.log(`❌ Selector "${selector}" not found`);
-              }
-            }
-            
-            if (!userToolsInfo) {
-              console.log(`⚠️ No user tools info found, checking page structure...`);
-              // Log what elements ARE available for debugging
-              const userToolsContainer = iframeDoc.querySelector('.al-user-tools-info');
-              if (userToolsContainer) {
-                console.log(`📦 User tools container found, innerHTML: ${userToolsContainer.innerHTML.substring(0, 200)}...`);
-              } else {
-                console.log(`❌ No .al-user-tools-info container found at all`);
-              }
-            }
-          }
-          
-          // EXPERIENCE AND ACTIVITY OPTIONS (for non-destination links)
-          const experienceSelectors = [
-            '.al-il-fields-experience ul',
-            '.al-il-fields-experience',
-            '[class*="experience"] ul',
-            '.experience-list ul'
-          ];
-          
-          let experienceList = null;
-          for (const selector of experienceSelectors) {
-            experienceList = iframeDoc.querySelector(selector);
-            if (experienceList) break;
-          }
-          
-          if (experienceList) {
-            const experienceLabels = experienceList.querySelectorAll('li label, li, label');
-            experienceLabels.forEach(label => {
-              const text = label.textContent.trim();
-              if (text) experienceOptions.push(text);
-            });
-            console.log(`🎯 Found ${experienceOptions.length} experience options`);
-          }
-          
-          const activitySelectors = [
-            '.al-il-fields-activity ul',
-            '.al-il-fields-activity',
-            '[class*="activity"] ul',
-            '.activity-list ul'
-          ];
-          
-          let activityList = null;
-          for (const selector of activitySelectors) {
-            activityList = iframeDoc.querySelector(selector);
-            if (activityList) break;
-          }
-          
-          if (activityList) {
-            const activityLabels = activityList.querySelectorAll('li label, li, label');
-            activityLabels.forEach(label => {
-              const text = label.textContent.trim();
-              if (text) activityOptions.push(text);
-            });
-            console.log(`🎯 Found ${activityOptions.length} activity options`);
-          }
-          
-          // ACTIVITY AVAILABILITY CHECK
-          if (activityText && (experienceOptions.length > 0 || activityOptions.length > 0)) {
-            const activityExistsInExperience = experienceOptions.some(option => 
-              textsMatch(option, activityText)
-            );
-            
-            const activityExistsInActivity = activityOptions.some(option => 
-              option.toLowerCase().includes(activityText.toLowerCase()) || 
-              activityText.toLowerCase().includes(option.toLowerCase())
-            );
-            
-            activityAvailable = activityExistsInExperience || activityExistsInActivity;
-            console.log(`🎯 Activity "${activityText}" available: ${activityAvailable}`);
-          }
-          
-          const pageTitle = iframeDoc.querySelector('h1')?.textContent.trim() || 
-                            iframeDoc.title || 
-                            null;
-          
-          console.log(`📄 Page title: "${pageTitle}"`);
-          
-          // ENHANCED AVAILABILITY LOGIC WITH FALLBACKS
-          let available = false;
-          let matchDetails = [];
-          
-          if (activityText && activityAvailable !== null) {
-            available = activityAvailable;
-            matchDetails.push(`Activity check: ${activityAvailable}`);
-          } else if (isDestination) {
-            console.log(`🔍 Checking destination availability...`);
-            
-            // Primary check: user tools info
-            if (userToolsInfo) {
-              const userToolsMatches = [
-                originalTitle && textsMatch(userToolsInfo, originalTitle),
-                textsMatch(userToolsInfo, urlAsText),
-                pageTitle && textsMatch(userToolsInfo, pageTitle)
-              ];
-              
-              console.log(`🔍 Text matching results:`);
-              console.log(`  - User tools: "${userToolsInfo}"`);
-              console.log(`  - Original title: "${originalTitle}" → Match: ${userToolsMatches[0]}`);
-              console.log(`  - URL as text: "${urlAsText}" → Match: ${userToolsMatches[1]}`);
-              console.log(`  - Page title: "${pageTitle}" → Match: ${userToolsMatches[2]}`);
-              
-              available = userToolsMatches.some(match => match);
-              matchDetails.push(`User tools info check: ${available}`);
-            } 
-            
-            // Fallback 1: Check page title directly
-            if (!available && pageTitle) {
-              const titleMatches = [
-                originalTitle && textsMatch(pageTitle, originalTitle),
-                textsMatch(pageTitle, urlAsText)
-              ];
-              
-              available = titleMatches.some(match => match);
-              if (available) {
-                matchDetails.push(`Page title fallback: ${available}`);
-                console.log(`✅ Fallback: Page title match found`);
-              }
-            }
-            
-            // Fallback 2: Check if page loaded successfully (basic availability)
-            if (!available) {
-              available = pageTitle && pageTitle.length > 0;
-              if (available) {
-                matchDetails.push(`Basic page load fallback: ${available}`);
-                console.log(`⚠️ Fallback: Basic page availability (page loaded with title)`);
-              }
-            }
-          }
-          
-          console.log(`🎯 Final availability result: ${available}`);
-          // LOG UNAVAILABLE LINKS CLEARLY
+      const pageDoc = page.doc;
+      
+      // First check page status
+      const pageStatus = detectPageStatus(pageDoc, page.response);
+      
+      if (pageStatus.status !== 'loaded') {
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          urlAsText: urlAsText,
+          cruiseId: cruiseId
+        }, page, pageStatus, attempt);
+      }
+      
+      // Try multiple selectors to find price (selectors and predicate from the cruise rule)
+      let priceElement = null;
+      let priceSelector = '';
+      
+      for (const selector of priceSelectors) {
+        const element = pageDoc.querySelector(selector);
+        if (element) {
+          priceElement = element;
+          priceSelector = selector;
+          break;
+        }
+      }
+      
+      let price = null;
+      let priceText = null;
+      let parsedPrice = parsePrice(null);
+      
+      if (priceElement) {
+        priceText = priceElement.textContent.trim();
+        // Extract numeric value and currency
+        parsedPrice = parsePrice(priceText);
+        price = parsedPrice.amount;
+      }
+      
+      // Log debug info
+      console.log(`Attempt ${attempt} - Checking cruise: ${url}`);
+      console.log(`Price selector used: ${priceSelector}`);
+      console.log(`Price text found: ${priceText}`);
+      console.log(`Parsed price: ${price}`);
+      
+      // Get the page title
+      const pageTitle = pageDoc.querySelector('h1')?.textContent.trim() || 
+                        pageDoc.title || 
+                        null;
+      
+      // Get other relevant details
+      const departureInfo = pageDoc.querySelector('.al-cruise-departure')?.textContent.trim() || null;
+      const durationInfo = pageDoc.querySelector('.al-cruise-duration')?.textContent.trim() || null;
+      
+      // Cruise is available if price exists and is greater than zero
+      const available = evaluateAvailabilityRule(rule, { price: price, priceText: priceText, currency: parsedPrice.currency, isFromPrice: parsedPrice.isFromPrice }, { url: url, originalTitle: originalTitle }).available;
+      // LOG UNAVAILABLE CRUISES
 if (!available) {
-  console.log(`❌ UNAVAILABLE: ${url} | Title: "${originalTitle}" | Pattern: ${urlPattern} | UserTools: "${userToolsInfo || 'NOT FOUND'}" | PageTitle: "${pageTitle || 'NOT FOUND'}" | Matches: ${matchDetails.join(', ') || 'None'}`);
+  console.log(`❌ UNAVAILABLE CRUISE DETECTED:`);
+  console.log(`   URL: ${url}`);
+  console.log(`   Original Title: "${originalTitle}"`);
+  console.log(`   Cruise ID: ${cruiseId}`);
+  console.log(`   Price Text: "${priceText || 'NOT FOUND'}"`);
+  console.log(`   Parsed Price: ${price}`);
+  console.log(`   Page Title: "${pageTitle || 'NOT FOUND'}"`);
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+}
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        cruiseId: cruiseId,
+        priceText: priceText,
+        price: price,
+        currency: parsedPrice.currency,
+        isFromPrice: parsedPrice.isFromPrice,
+        pageTitle: pageTitle,
+        departureInfo: departureInfo,
+        durationInfo: durationInfo,
+        available: available,
+        pageStatus: 'loaded',
+        seo: collectSeoMetadata(pageDoc, page.finalUrl || url),
+        finalUrl: page.finalUrl || url,
+        redirectChain: page.redirectChain || [],
+        httpStatus: page.response ? page.response.status : null,
+        checkEngine: page.engine,
+        priceSelector: priceSelector,
+        error: null
+      };
+    } catch (error) {
+      // Handle any errors
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        cruiseId: cruiseId,
+        available: false,
+        pageStatus: 'loading_error',
+        checkEngine: page.engine,
+        error: `Attempt ${attempt}: ${error.message}`
+      };
+    } finally {
+      // Clean up
+      page.release();
+    }
+  };
+  
+  // Use retry logic
+  return await retryWithMaintenanceDetection(checkCruiseAttempt, auditConfig.retryCount, auditConfig.retryDelay, options.scheduler, options.events);
 }
-          console.log(`📝 Match details: ${matchDetails.join(', ')}`);
-          
 
+// Function to check if an operator is still available with retry logic
+// An operator is available when its page loads and still lists at least one tour or cruise with a price
+async function checkOperatorAvailability(url, originalTitle, options = {}) {
+  const urlAsText = urlPathToReadableText(url);
+  let operatorId = null;
+  const operatorIdMatch = url.match(/\/operators\/(\d+)/);
+  if (operatorIdMatch && operatorIdMatch[1]) {
+    operatorId = operatorIdMatch[1];
+  }
 
-          clearTimeout(timeout);
-          document.body.removeChild(iframe);
-          resolve({
-            url: url,
-            originalTitle: originalTitle,
-            urlAsText: urlAsText,
-            activityText: activityText,
-            contactBarTitle: contactBarTitle,
-            userToolsInfo: userToolsInfo,
-            pageTitle: pageTitle,
-            experienceOptions: experienceOptions,
-            activityOptions: activityOptions,
-            destinationLevel: destinationLevel,
-            checkMethod: isDestination ? 'user-tools-info' : 'activity-check',
-            available: available,
-            pageStatus: 'loaded',
-            error: null,
-            debugInfo: {
-              step: 'completed',
-              matchDetails: matchDetails,
-              userToolsElement: userToolsElement ? userToolsElement.outerHTML : null,
-              selectors_tried: isDestination ? userToolsSelectors : []
-            }
-          });
-          
-        } catch (error) {
-          console.log(`❌ Error in checkElements: ${error.message}`);
-          clearTimeout(timeout);
-          document.body.removeChild(iframe);
-          resolve({
-            url: url,
-            originalTitle: originalTitle,
-            urlAsText: urlAsText,
-            activityText: activityText,
-            destinationLevel: destinationLevel,
-            available: false,
-            pageStatus: 'loading_error',
-            error: `Attempt ${attempt}: ${error.message}`,
-            debugInfo: { step: 'error', details: error.message }
+  // Wrapper function for retry logic
+  const checkOperatorAttempt = async (attempt) => {
+    const page = await loadPage(url, { engine: options.engine, timeout: auditConfig.pageTimeout });
+    
+    try {
+      if (page.error) {
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          urlAsText: urlAsText,
+          operatorId: operatorId
+        }, page, page.error, attempt);
+      }
+      
+      const pageDoc = page.doc;
+      
+      // First check page status
+      const pageStatus = detectPageStatus(pageDoc, page.response);
+      
+      if (pageStatus.status !== 'loaded') {
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          urlAsText: urlAsText,
+          operatorId: operatorId
+        }, page, pageStatus, attempt);
+      }
+      
+      const rule = getAvailabilityRule('operator-with-id');
+      const operatorName = queryFirst(pageDoc, rule.selectors.operatorName).element?.textContent.trim() ||
+                           pageDoc.title || null;
+      
+      // Collect the tours and cruises listed by the operator (one entry per product URL)
+      const products = new Map();
+      const productRoot = queryFirst(pageDoc, rule.selectors.productRoot).element || pageDoc.body;
+      
+      productRoot.querySelectorAll('a[href]').forEach(anchor => {
+        const href = anchor.getAttribute('href');
+        const urlPattern = determineUrlPattern(href);
+        if (urlPattern !== 'tour-with-id' && urlPattern !== 'cruise-with-id' && urlPattern !== 'cruise-ship') {
+          return;
+        }
+        
+        // The price is inside the product link or next to it in the same card
+        const priceElement = queryFirst(anchor, rule.selectors.price).element ||
+                             (anchor.parentElement && queryFirst(anchor.parentElement, rule.selectors.price).element);
+        const parsedPrice = parsePrice(priceElement ? priceElement.textContent : null);
+        const priceText = parsedPrice.raw || null;
+        const price = parsedPrice.amount;
+        
+        const existing = products.get(href);
+        if (!existing || (existing.price === null && price !== null)) {
+          products.set(href, {
+            href: href,
+            type: urlPattern === 'tour-with-id' ? 'tour' : 'cruise',
+            title: anchor.querySelector('h1, h2, h3, h4')?.textContent.trim() || anchor.textContent.replace(/\s+/g, ' ').trim(),
+            priceText: priceText,
+            price: price,
+            currency: parsedPrice.currency
           });
         }
-      };
+      });
       
-      iframe.onload = () => {
-        setTimeout(() => {
-          try {
-            const iframeDoc = iframe.contentWindow.document;
-            
-            if (!iframeDoc || !iframeDoc.body || iframeDoc.body.innerHTML.length < 100) {
-              setTimeout(() => {
-                try {
-                  checkElements(iframe.contentWindow.document);
-                } catch (e) {
-                  clearTimeout(timeout);
-                  document.body.removeChild(iframe);
-                  resolve({
-                    url: url,
-                    originalTitle: originalTitle,
-                    urlAsText: urlAsText,
-                    activityText: activityText,
-                    destinationLevel: destinationLevel,
-                    available: false,
-                    pageStatus: 'loading_error',
-                    error: `Attempt ${attempt}: Page content not loaded properly`,
-                    debugInfo: { step: 'delayed_load_error', details: e.message }
-                  });
-                }
-              }, 3000);
-            } else {
-              checkElements(iframeDoc);
-            }
-          } catch (error) {
-            clearTimeout(timeout);
-            document.body.removeChild(iframe);
-            resolve({
-              url: url,
-              originalTitle: originalTitle,
-              urlAsText: urlAsText,
-              activityText: activityText,
-              destinationLevel: destinationLevel,
-              available: false,
-              pageStatus: 'loading_error',
-              error: `Attempt ${attempt}: Error accessing iframe content`,
-              debugInfo: { step: 'iframe_access_error', details: error.message }
-            });
-          }
-        }, 2000);
+      const productList = Array.from(products.values());
+      const pricedProducts = productList.filter(product => product.price !== null && product.price > 0);
+      const available = evaluateAvailabilityRule(rule, {
+        operatorName: operatorName,
+        products: productList,
+        productCount: productList.length,
+        pricedProductCount: pricedProducts.length
+      }, { url: url, originalTitle: originalTitle }).available;
+      
+      console.log(`Attempt ${attempt} - Checking operator: ${url}`);
+      console.log(`Products found: ${productList.length} (${pricedProducts.length} with a price)`);
+      
+      if (!available) {
+        console.log(`❌ UNAVAILABLE OPERATOR DETECTED:`);
+        console.log(`   URL: ${url}`);
+        console.log(`   Original Title: "${originalTitle}"`);
+        console.log(`   Operator: "${operatorName || 'NOT FOUND'}"`);
+        console.log(`   Products listed: ${productList.length}, with a price: ${pricedProducts.length}`);
+        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+      }
+      
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        operatorId: operatorId,
+        operatorName: operatorName,
+        productCount: productList.length,
+        pricedProductCount: pricedProducts.length,
+        tourCount: productList.filter(product => product.type === 'tour').length,
+        cruiseCount: productList.filter(product => product.type === 'cruise').length,
+        products: productList,
+        available: available,
+        pageStatus: 'loaded',
+        seo: collectSeoMetadata(pageDoc, page.finalUrl || url),
+        finalUrl: page.finalUrl || url,
+        redirectChain: page.redirectChain || [],
+        httpStatus: page.response ? page.response.status : null,
+        checkEngine: page.engine,
+        error: available ? null : 'No tours or cruises with a price listed'
+      };
+    } catch (error) {
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        operatorId: operatorId,
+        available: false,
+        pageStatus: 'loading_error',
+        checkEngine: page.engine,
+        error: `Attempt ${attempt}: ${error.message}`
       };
+    } finally {
+      page.release();
+    }
+  };
+  
+  // Use retry logic
+  return await retryWithMaintenanceDetection(checkOperatorAttempt, auditConfig.retryCount, auditConfig.retryDelay, options.scheduler, options.events);
+}
+
+// Helper function to collect the labels of a filter list (experience, activity, ship options)
+function collectFilterOptions(pageDoc, selectors) {
+  const options = [];
+  
+  for (const selector of selectors) {
+    const list = pageDoc.querySelector(selector);
+    if (list) {
+      list.querySelectorAll('li label, li, label').forEach(label => {
+        const text = label.textContent.trim();
+        if (text && !options.includes(text)) options.push(text);
+      });
+      break;
+    }
+  }
+  
+  return options;
+}
+
+// Function to check if a category page (/destination/tours, /destination/cruises) still lists results
+// The link is unavailable when the listing is empty
+async function checkCategoryAvailability(url, originalTitle, urlPattern, options = {}) {
+  const urlAsText = urlPathToReadableText(url);
+  const categoryType = urlPattern === 'cruises-category' ? 'cruises' : 'tours';
+
+  // Wrapper function for retry logic
+  const checkCategoryAttempt = async (attempt) => {
+    const page = await loadPage(url, { engine: options.engine, timeout: auditConfig.pageTimeout });
+    
+    try {
+      if (page.error) {
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          urlAsText: urlAsText,
+          categoryType: categoryType
+        }, page, page.error, attempt);
+      }
+      
+      const pageDoc = page.doc;
+      
+      // First check page status
+      const pageStatus = detectPageStatus(pageDoc, page.response);
       
-      iframe.onerror = (error) => {
-        console.log(`❌ Iframe error for ${url}: ${error}`);
-        clearTimeout(timeout);
-        document.body.removeChild(iframe);
-        resolve({
+      if (pageStatus.status !== 'loaded') {
+        return createPageFailureResult({
           url: url,
           originalTitle: originalTitle,
           urlAsText: urlAsText,
-          activityText: activityText,
-          destinationLevel: destinationLevel,
-          available: false,
-          pageStatus: 'loading_error',
-          error: `Attempt ${attempt}: Error loading page`,
-          debugInfo: { step: 'iframe_error', details: error }
+          categoryType: categoryType
+        }, page, pageStatus, attempt);
+      }
+      
+      // Count the result cards of the listing
+      const rule = getAvailabilityRule(urlPattern);
+      const cardSelectors = rule.selectors.cards;
+      
+      let productCount = 0;
+      let countMethod = null;
+      
+      for (const selector of cardSelectors) {
+        const cards = pageDoc.querySelectorAll(selector);
+        if (cards.length > 0) {
+          productCount = cards.length;
+          countMethod = `cards (${selector})`;
+          break;
+        }
+      }
+      
+      // No cards found: count the distinct product links of the listing instead
+      if (!countMethod) {
+        const listingRoot = queryFirst(pageDoc, rule.selectors.listingRoot).element || pageDoc.body;
+        const productPatterns = categoryType === 'cruises' ? ['cruise-with-id', 'cruise-ship'] : ['tour-with-id'];
+        const productUrls = new Set();
+        
+        listingRoot.querySelectorAll('a[href]').forEach(anchor => {
+          const href = anchor.getAttribute('href');
+          if (productPatterns.includes(determineUrlPattern(href))) {
+            productUrls.add(href);
+          }
         });
-      };
+        
+        productCount = productUrls.size;
+        countMethod = 'product links';
+      }
       
-      iframe.src = url;
-    });
+      // Filter facets found on the listing
+      const experienceOptions = collectFilterOptions(pageDoc, rule.selectors.experienceList);
+      const activityOptions = collectFilterOptions(pageDoc, rule.selectors.activityList);
+      
+      const available = evaluateAvailabilityRule(rule, {
+        productCount: productCount,
+        experienceOptions: experienceOptions,
+        activityOptions: activityOptions
+      }, { url: url, originalTitle: originalTitle }).available;
+      const pageTitle = pageDoc.querySelector('h1')?.textContent.trim() || pageDoc.title || null;
+      
+      console.log(`Attempt ${attempt} - Checking ${categoryType} category: ${url}`);
+      console.log(`Results found: ${productCount} (${countMethod})`);
+      
+      if (!available) {
+        console.log(`❌ EMPTY CATEGORY DETECTED:`);
+        console.log(`   URL: ${url}`);
+        console.log(`   Original Title: "${originalTitle}"`);
+        console.log(`   Page Title: "${pageTitle || 'NOT FOUND'}"`);
+        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+      }
+      
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        categoryType: categoryType,
+        pageTitle: pageTitle,
+        productCount: productCount,
+        countMethod: countMethod,
+        experienceOptions: experienceOptions,
+        activityOptions: activityOptions,
+        available: available,
+        pageStatus: 'loaded',
+        seo: collectSeoMetadata(pageDoc, page.finalUrl || url),
+        finalUrl: page.finalUrl || url,
+        redirectChain: page.redirectChain || [],
+        httpStatus: page.response ? page.response.status : null,
+        checkEngine: page.engine,
+        error: available ? null : `No ${categoryType} listed`
+      };
+    } catch (error) {
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        categoryType: categoryType,
+        available: false,
+        pageStatus: 'loading_error',
+        checkEngine: page.engine,
+        error: `Attempt ${attempt}: ${error.message}`
+      };
+    } finally {
+      page.release();
+    }
   };
   
-  return await retryWithMaintenanceDetection(checkActivityAttempt);
+  // Use retry logic
+  return await retryWithMaintenanceDetection(checkCategoryAttempt, auditConfig.retryCount, auditConfig.retryDelay, options.scheduler, options.events);
 }
 
-// Function to check multiple destination links
-async function checkDestinationsAvailability(links, maxConcurrent = 3) {
-  const results = [];
-  const queue = [...links];
-  const inProgress = [];
-  
-  // Status reporting
-  let completed = 0;
-  const total = queue.length;
-  const startTime = Date.now();
+async function checkActivityAvailability(url, originalTitle, urlPattern, options = {}) {
+  let activityText = null;
+  const toursMatch = url.match(/\/tours\/([^\/]+)\/?$/);
+  if (toursMatch && toursMatch[1]) {
+    activityText = toursMatch[1].replace(/-/g, ' ')
+      .split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
   
-  // Create status element for UI feedback
-  const statusElement = document.createElement('div');
-  statusElement.style.cssText = 'position: fixed; top: 10px; right: 10px; background: rgba(0,0,0,0.8); color: white; padding: 10px; border-radius: 5px; z-index: 9999; font-family: sans-serif;';
-  document.body.appendChild(statusElement);
+  const urlAsText = urlPathToReadableText(url);
   
-  // Update status display
-  const updateStatus = () => {
-    const elapsed = Math.floor((Date.now() - startTime) / 1000);
-    const minutesElapsed = Math.floor(elapsed / 60);
-    const secondsElapsed = elapsed % 60;
-    const timeString = `${minutesElapsed}m ${secondsElapsed}s`;
+  const isDestination = urlPattern && (
+    urlPattern.startsWith('multi-level/destination-') ||
+    urlPattern === 'destination' || 
+    urlPattern === 'destination/subdestination'
+  );
+  let destinationLevel = 1;
+  if (urlPattern && urlPattern.startsWith('multi-level/destination-')) {
+    const levelMatch = urlPattern.match(/destination-(\d+)/);
+    if (levelMatch && levelMatch[1]) {
+      destinationLevel = parseInt(levelMatch[1]);
+    }
+  }
+
+  const checkActivityAttempt = async (attempt) => {
+    // ENHANCED DEBUGGING
+    console.log(`🔍 DEBUGGING URL: ${url}`);
+    console.log(`📍 Original Title: "${originalTitle}"`);
+    console.log(`🏷️ URL Pattern: ${urlPattern}`);
+    console.log(`🌍 Is Destination: ${isDestination}`);
+    console.log(`📊 Destination Level: ${destinationLevel}`);
+    
+    const page = await loadPage(url, { engine: options.engine, timeout: auditConfig.activityTimeout });
+    
+    try {
+      if (page.error) {
+        console.log(`⏰ Attempt ${attempt}: ${page.error.message} for ${url}`);
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          urlAsText: urlAsText,
+          activityText: activityText,
+          destinationLevel: destinationLevel
+        }, page, page.error, attempt, { debugInfo: { step: page.error.status === 'timeout' ? 'timeout' : 'page_load_error', details: page.error.message } });
+      }
+      
+      const pageDoc = page.doc;
+      const pageStatus = detectPageStatus(pageDoc, page.response);
+      
+      
+      if (pageStatus.status !== 'loaded') {
+        console.log(`❌ Page status: ${pageStatus.status} - ${pageStatus.message}`);
+        return createPageFailureResult({
+          url: url,
+          originalTitle: originalTitle,
+          urlAsText: urlAsText,
+          activityText: activityText,
+          destinationLevel: destinationLevel
+        }, page, pageStatus, attempt, { debugInfo: { step: 'page_status_check', details: pageStatus } });
+      }
+      
+      console.log(`✅ Page loaded successfully for ${url}`);
+      
+      let experienceOptions = [];
+      let activityOptions = [];
+      let activityAvailable = null;
+      let contactBarTitle = null;
+      let userToolsInfo = null;
+      let userToolsElement = null;
+      
+      // Selectors and predicates come from the destination and activity rules
+      const destinationRule = getAvailabilityRule(isDestination ? urlPattern : 'destination');
+      const activityRule = getAvailabilityRule('tour-activity');
+      
+      // ENHANCED USER TOOLS INFO CHECKING WITH MULTIPLE SELECTORS
+      const userToolsSelectors = destinationRule.selectors.userToolsInfo;
+      if (isDestination) {
+        
+        
+        console.log(`🎯 Checking destination with ${userToolsSelectors.length} selectors...`);
+        
+        for (const selector of userToolsSelectors) {
+          userToolsElement = pageDoc.querySelector(selector);
+          if (userToolsElement) {
+            userToolsInfo = userToolsElement.textContent.trim();
+            console.log(`✅ Found user tools info with selector "${selector}": "${userToolsInfo}"`);
+            break;
+          } else {
+            console.log(`❌ Selector "${selector}" not found`);
+          }
+        }
+        
+        if (!userToolsInfo) {
+          console.log(`⚠️ No user tools info found, checking page structure...`);
+          // Log what elements ARE available for debugging
+          const userToolsContainer = pageDoc.querySelector('.al-user-tools-info');
+          if (userToolsContainer) {
+            console.log(`📦 User tools container found, innerHTML: ${userToolsContainer.innerHTML.substring(0, 200)}...`);
+          } else {
+            console.log(`❌ No .al-user-tools-info container found at all`);
+          }
+        }
+      }
+      
+      // EXPERIENCE AND ACTIVITY OPTIONS (for non-destination links)
+      const experienceSelectors = activityRule.selectors.experienceList;
+      
+      let experienceList = null;
+      for (const selector of experienceSelectors) {
+        experienceList = pageDoc.querySelector(selector);
+        if (experienceList) break;
+      }
+      
+      if (experienceList) {
+        const experienceLabels = experienceList.querySelectorAll('li label, li, label');
+        experienceLabels.forEach(label => {
+          const text = label.textContent.trim();
+          if (text) experienceOptions.push(text);
+        });
+        console.log(`🎯 Found ${experienceOptions.length} experience options`);
+      }
+      
+      const activitySelectors = activityRule.selectors.activityList;
+      
+      let activityList = null;
+      for (const selector of activitySelectors) {
+        activityList = pageDoc.querySelector(selector);
+        if (activityList) break;
+      }
+      
+      if (activityList) {
+        const activityLabels = activityList.querySelectorAll('li label, li, label');
+        activityLabels.forEach(label => {
+          const text = label.textContent.trim();
+          if (text) activityOptions.push(text);
+        });
+        console.log(`🎯 Found ${activityOptions.length} activity options`);
+      }
+      
+      // ACTIVITY AVAILABILITY CHECK
+      const textMatches = [];
+      if (activityText && (experienceOptions.length > 0 || activityOptions.length > 0)) {
+        const activityOutcome = evaluateAvailabilityRule(activityRule, {
+          activityText: activityText,
+          experienceOptions: experienceOptions,
+          activityOptions: activityOptions
+        }, { url: url, originalTitle: originalTitle });
+        activityAvailable = activityOutcome.available;
+        textMatches.push(...activityOutcome.textMatches);
+        console.log(`🎯 Activity "${activityText}" available: ${activityAvailable} ${activityOutcome.details.join(', ')}`);
+      }
+      
+      const pageTitle = pageDoc.querySelector('h1')?.textContent.trim() || 
+                        pageDoc.title || 
+                        null;
+      
+      console.log(`📄 Page title: "${pageTitle}"`);
+      
+      // ENHANCED AVAILABILITY LOGIC WITH FALLBACKS
+      let available = false;
+      let matchDetails = [];
+      
+      if (activityText && activityAvailable !== null) {
+        available = activityAvailable;
+        matchDetails.push(`Activity check: ${activityAvailable}`);
+      } else if (isDestination) {
+        console.log(`🔍 Checking destination availability...`);
+        
+        const outcome = evaluateAvailabilityRule(destinationRule, {
+          userToolsInfo: userToolsInfo,
+          pageTitle: pageTitle,
+          urlAsText: urlAsText
+        }, { url: url, originalTitle: originalTitle, urlPattern: urlPattern });
+        available = outcome.available;
+        matchDetails.push(...outcome.details);
+        textMatches.push(...outcome.textMatches);
+      }
+      
+      console.log(`🎯 Final availability result: ${available}`);
+      // LOG UNAVAILABLE LINKS CLEARLY
+if (!available) {
+  console.log(`❌ UNAVAILABLE: ${url} | Title: "${originalTitle}" | Pattern: ${urlPattern} | UserTools: "${userToolsInfo || 'NOT FOUND'}" | PageTitle: "${pageTitle || 'NOT FOUND'}" | Matches: ${matchDetails.join(', ') || 'None'}`);
+}
+      console.log(`📝 Match details: ${matchDetails.join(', ')}`);
+      
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        activityText: activityText,
+        contactBarTitle: contactBarTitle,
+        userToolsInfo: userToolsInfo,
+        pageTitle: pageTitle,
+        experienceOptions: experienceOptions,
+        activityOptions: activityOptions,
+        destinationLevel: destinationLevel,
+        checkMethod: isDestination ? 'user-tools-info' : 'activity-check',
+        available: available,
+        pageStatus: 'loaded',
+        seo: collectSeoMetadata(pageDoc, page.finalUrl || url),
+        finalUrl: page.finalUrl || url,
+        redirectChain: page.redirectChain || [],
+        httpStatus: page.response ? page.response.status : null,
+        checkEngine: page.engine,
+        error: null,
+        debugInfo: {
+          step: 'completed',
+          matchDetails: matchDetails,
+          textMatches: textMatches,
+          userToolsElement: userToolsElement ? userToolsElement.outerHTML : null,
+          selectors_tried: isDestination ? userToolsSelectors : []
+        }
+      };
+    } catch (error) {
+      console.log(`❌ Error checking page elements: ${error.message}`);
+      return {
+        url: url,
+        originalTitle: originalTitle,
+        urlAsText: urlAsText,
+        activityText: activityText,
+        destinationLevel: destinationLevel,
+        available: false,
+        pageStatus: 'loading_error',
+        checkEngine: page.engine,
+        error: `Attempt ${attempt}: ${error.message}`,
+        debugInfo: { step: 'error', details: error.message }
+      };
+    } finally {
+      page.release();
+    }
+  };
+  
+  return await retryWithMaintenanceDetection(checkActivityAttempt, auditConfig.retryCount, auditConfig.retryDelay, options.scheduler, options.events);
+}
+
+// How long cached availability results stay valid (6 hours)
+const DEFAULT_CACHE_TTL = 6 * 60 * 60 * 1000;
+
+// Helper function to create an in-memory storage with the localStorage interface
+function createMemoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => data.has(key) ? data.get(key) : null,
+    setItem: (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+    keys: () => Array.from(data.keys())
+  };
+}
+
+// Helper function to get the browser's persistent storage (falls back to memory)
+function getDefaultStorage() {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    }
+  } catch (e) {
+    // Storage can be disabled (privacy mode, sandboxed frames)
+  }
+  return createMemoryStorage();
+}
+
+// Helper function to list the keys of a storage (localStorage or an adapter with keys())
+function getStorageKeys(storage) {
+  if (typeof storage.keys === 'function') {
+    return storage.keys();
+  }
+  
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    keys.push(storage.key(i));
+  }
+  return keys;
+}
+
+// Function to create the availability result cache
+// Options:
+// - ttl: how long results stay valid in ms (default: DEFAULT_CACHE_TTL)
+// - storage: object with getItem/setItem/removeItem (default: localStorage; the Node CLI passes a file store)
+// - prefix: key prefix inside the storage
+function createResultCache(options = {}) {
+  const ttl = options.ttl !== undefined ? options.ttl : auditConfig.cacheTtl;
+  const storage = options.storage || getDefaultStorage();
+  const prefix = options.prefix || 'al-audit-cache:';
+  
+  return {
+    ttl: ttl,
+    
+    // Returns { result, storedAt, ageMs } or null when missing or expired
+    get(key) {
+      try {
+        const raw = storage.getItem(prefix + key);
+        if (!raw) return null;
+        
+        const entry = JSON.parse(raw);
+        const ageMs = Date.now() - entry.storedAt;
+        if (ageMs > ttl) {
+          storage.removeItem(prefix + key);
+          return null;
+        }
+        
+        return { result: entry.result, storedAt: entry.storedAt, ageMs: ageMs };
+      } catch (error) {
+        return null;
+      }
+    },
+    
+    set(key, result) {
+      try {
+        storage.setItem(prefix + key, JSON.stringify({ storedAt: Date.now(), result: result }));
+      } catch (error) {
+        // Quota exceeded or storage unavailable - the run still works without the cache
+        console.log(`⚠️ Could not cache result for ${key}: ${error.message}`);
+      }
+    },
+    
+    clear() {
+      getStorageKeys(storage)
+        .filter(key => key && key.startsWith(prefix))
+        .forEach(key => storage.removeItem(key));
+    }
+  };
+}
+
+// Helper function to build the cache key of a link: its normalized absolute URL
+// (cruise ships also depend on the page whose tours list is checked, and links whose rule
+// matches the link label - destinations and cruise ships - on that label)
+function getCheckCacheKey(item, absoluteUrl) {
+  let key = normalizeAbsoluteUrl(absoluteUrl, absoluteUrl);
+  if (item.urlPattern === 'cruise-ship') {
+    const pageUrl = item.pageUrl || (typeof window !== 'undefined' ? window.location.href : '');
+    key += ` @ ${normalizeAbsoluteUrl(pageUrl, pageUrl)}`;
+  }
+  const rule = getAvailabilityRule(item.urlPattern);
+  if (rule && rule.usesLabel) {
+    key += ` # ${(item.text || '').trim()}`;
+  }
+  return key;
+}
+
+// Helper function to decide whether a check result can be reused later
+// (only conclusive results: loaded pages and 404s, never other HTTP errors, timeouts or maintenance)
+function isCacheableResult(result) {
+  if (!result || result.skipped) return false;
+  return result.pageStatus === 'loaded' || result.finalStatus === 'broken_link_404';
+}
+
+// Helper function to format a cache age for the reports
+function formatCacheAge(ageMs) {
+  const minutes = Math.floor(ageMs / 60000);
+  if (minutes < 1) return 'less than 1m';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Helper function to build the report note of a cached result
+function getCacheNoteHtml(result) {
+  if (!result.fromCache) return '';
+  return `<br><span style="color: #666; font-size: 12px;">Cached result (${formatCacheAge(result.cacheAgeMs || 0)} old)</span>`;
+}
+
+// Price alerts: flag a price that dropped by more than this percentage since the last run
+const DEFAULT_MAX_PRICE_DROP_PERCENT = 50;
+// ... or rose by more than this percentage (e.g. a lost decimal separator multiplies the price by 100)
+const DEFAULT_MAX_PRICE_INCREASE_PERCENT = 100;
+
+// Function to create the price history store (one list of prices per tour / cruise ID)
+// Options:
+// - storage: same storages as createResultCache (default: localStorage; the Node CLI passes a file store)
+// - maxEntries: prices kept per product (default: 50)
+function createPriceHistory(options = {}) {
+  const storage = options.storage || getDefaultStorage();
+  const prefix = options.prefix || 'al-audit-prices:';
+  const maxEntries = options.maxEntries || 50;
+  
+  return {
+    // Returns the recorded prices of a product, oldest first
+    get(key) {
+      try {
+        const raw = storage.getItem(prefix + key);
+        return raw ? JSON.parse(raw) : [];
+      } catch (error) {
+        return [];
+      }
+    },
+    
+    record(key, entry) {
+      try {
+        const entries = this.get(key);
+        entries.push(entry);
+        storage.setItem(prefix + key, JSON.stringify(entries.slice(-maxEntries)));
+      } catch (error) {
+        console.log(`⚠️ Could not record price history for ${key}: ${error.message}`);
+      }
+    },
+    
+    keys() {
+      return getStorageKeys(storage)
+        .filter(key => key && key.startsWith(prefix))
+        .map(key => key.substring(prefix.length));
+    }
+  };
+}
+
+// Helper function to get the price history key of a checked link (null for links without a product ID)
+function getPriceHistoryKey(link) {
+  const result = link.checkResult;
+  if (link.urlPattern === 'tour-with-id' && result.tourId) return `tour:${result.tourId}`;
+  if (link.urlPattern === 'cruise-with-id' && result.cruiseId) return `cruise:${result.cruiseId}`;
+  return null;
+}
+
+// Function to compare the prices of a run with the price history, flag anomalies and record the new prices
+// Options:
+// - priceHistory: a createPriceHistory() instance (default: one in localStorage)
+// - maxPriceDropPercent: flag drops larger than this (default: DEFAULT_MAX_PRICE_DROP_PERCENT)
+// - maxPriceIncreasePercent: flag increases larger than this (default: DEFAULT_MAX_PRICE_INCREASE_PERCENT)
+// - priceFloor: flag prices below this amount (default: no floor)
+// Adds priceHistory and priceAnomalies to the check results and returns the flagged links
+function trackPrices(checkedLinks, options = {}) {
+  const history = options.priceHistory || createPriceHistory();
+  const maxDropPercent = options.maxPriceDropPercent !== undefined ? options.maxPriceDropPercent : DEFAULT_MAX_PRICE_DROP_PERCENT;
+  const maxIncreasePercent = options.maxPriceIncreasePercent !== undefined ? options.maxPriceIncreasePercent : DEFAULT_MAX_PRICE_INCREASE_PERCENT;
+  const priceFloor = options.priceFloor !== undefined && options.priceFloor !== null ? options.priceFloor : null;
+  const recordedAt = new Date().toISOString();
+  const flagged = [];
+  const recordedKeys = new Set();
+  
+  checkedLinks.forEach(link => {
+    const result = link.checkResult;
+    const key = result ? getPriceHistoryKey(link) : null;
+    
+    // Only fresh prices count - cached or reused results were recorded when they were checked
+    if (!key || typeof result.price !== 'number' || result.fromCache || result.reusedInRun) return;
+    
+    const entries = history.get(key);
+    const previous = entries.length > 0 ? entries[entries.length - 1] : null;
+    const anomalies = [];
+    
+    // Prices in different currencies are not comparable (e.g. the site switched the display currency)
+    let changePercent = null;
+    const sameCurrency = !previous || !previous.currency || !result.currency || previous.currency === result.currency;
+    if (previous && previous.price > 0 && sameCurrency) {
+      changePercent = Math.round((result.price - previous.price) / previous.price * 1000) / 10;
+      // A zero price is already reported as unavailable, so it is not a drop
+      if (result.price > 0 && -changePercent > maxDropPercent) {
+        anomalies.push({
+          type: 'price_drop',
+          message: `Price dropped ${-changePercent}% (${previous.priceText} → ${result.priceText})`
+        });
+      }
+      if (changePercent > maxIncreasePercent) {
+        anomalies.push({
+          type: 'price_increase',
+          message: `Price rose ${changePercent}% (${previous.priceText} → ${result.priceText})`
+        });
+      }
+    }
+    
+    // The floor only applies to real prices as well
+    if (priceFloor !== null && result.price > 0 && result.price < priceFloor) {
+      anomalies.push({
+        type: 'below_floor',
+        message: `Price ${result.priceText} is below the floor of ${priceFloor}`
+      });
+    }
+    
+    result.priceHistory = {
+      previousPrice: previous ? previous.price : null,
+      previousPriceText: previous ? previous.priceText : null,
+      previousRecordedAt: previous ? previous.recordedAt : null,
+      changePercent: changePercent,
+      runsRecorded: entries.length + 1
+    };
+    result.priceAnomalies = anomalies;
+    
+    if (anomalies.length > 0) {
+      console.log(`⚠️ PRICE ANOMALY: ${link.href} - ${anomalies.map(anomaly => anomaly.message).join('; ')}`);
+      flagged.push(link);
+    }
+    
+    // The same product linked twice in one run is recorded once
+    if (!recordedKeys.has(key)) {
+      recordedKeys.add(key);
+      history.record(key, { price: result.price, priceText: result.priceText, currency: result.currency || null, recordedAt: recordedAt, url: result.url });
+    }
+  });
+  
+  return flagged;
+}
+
+// ==================== REDIRECT DETECTION ====================
+
+// Label used in the reports for links that redirect away from what they point to
+const RETIRED_REDIRECT_LABEL = 'Redirected – likely retired product';
+
+// Helper function to tell whether a path is a search results page
+function isSearchPath(pathname, search) {
+  return /(^|\/)search(\/|$)/i.test(pathname) || /[?&](q|query|search|keywords?)=/i.test(search || '');
+}
+
+// Function to describe the redirect of a check result, or null when the link was not redirected
+// A redirect to the root, to a search page or to another URL pattern (e.g. a tour ID that lands on
+// the destination page) usually means the product was retired and is flagged as such, and so does
+// a redirect to another site.
+function analyzeRedirect(urlPattern, result) {
+  if (!result || !result.finalUrl || !result.url) return null;
+  
+  let requested;
+  let final;
+  try {
+    requested = new URL(result.url, window.location.href);
+    final = new URL(result.finalUrl, requested.href);
+  } catch (error) {
+    return null;
+  }
+  
+  // A trailing slash or http → https hop is not a redirect to another page
+  const samePage = requested.host === final.host &&
+                   requested.pathname.replace(/\/+$/, '') === final.pathname.replace(/\/+$/, '') &&
+                   requested.search === final.search;
+  if (samePage) return null;
+  
+  // The full URL, so a redirect to another host comes back as 'external'
+  const finalPattern = determineUrlPattern(final.href);
+  let reason = null;
+  if (finalPattern === 'external') {
+    reason = 'external';
+  } else if (final.pathname === '/' || final.pathname === '') {
+    reason = 'root';
+  } else if (isSearchPath(final.pathname, final.search)) {
+    reason = 'search';
+  } else if (finalPattern !== urlPattern) {
+    reason = 'pattern';
+  }
+  
+  return {
+    from: requested.href,
+    to: final.href,
+    chain: result.redirectChain || [],
+    finalPattern: finalPattern,
+    retired: reason !== null,
+    reason: reason,
+    message: reason === 'external' ? `${RETIRED_REDIRECT_LABEL} (redirects to another site: ${final.host})` :
+             reason === 'root' ? `${RETIRED_REDIRECT_LABEL} (redirects to the home page)` :
+             reason === 'search' ? `${RETIRED_REDIRECT_LABEL} (redirects to a search page)` :
+             reason === 'pattern' ? `${RETIRED_REDIRECT_LABEL} (redirects to a ${getReadableLinkType(finalPattern) || finalPattern} page)` :
+             `Redirects to ${final.pathname}`
+  };
+}
+
+// Helper function to build the report note of a redirect
+function getRedirectNoteHtml(result) {
+  if (!result.redirect) return '';
+  const chainText = result.redirect.chain.map(hop => `${hop.url}${hop.status ? ` (${hop.status})` : ''}`).join(' → ');
+  return `<br><span style="color: ${result.redirect.retired ? 'red' : '#666'}; font-weight: ${result.redirect.retired ? 'bold' : 'normal'};" title="${chainText}">↪️ ${result.redirect.message}: ${result.redirect.to}</span>`;
+}
+
+// ==================== SEO METADATA ====================
+
+// JSON-LD types that describe a bookable product and carry its price
+const SEO_PRODUCT_TYPES = ['Tour', 'TouristTrip', 'Trip', 'Product', 'Offer'];
+
+// Helper function to list the JSON-LD nodes of a document (arrays and @graph are flattened)
+function getJsonLdNodes(pageDoc) {
+  const nodes = [];
+  const addNode = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(addNode);
+    } else if (node && typeof node === 'object') {
+      nodes.push(node);
+      if (node['@graph']) addNode(node['@graph']);
+    }
+  };
+  
+  pageDoc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      addNode(JSON.parse(script.textContent));
+    } catch (error) {
+      nodes.push({ '@type': 'InvalidJSON', error: error.message });
+    }
+  });
+  
+  return nodes;
+}
+
+// Function to read the SEO metadata of a page: canonical, meta description, robots, og: tags,
+// hreflang alternates and the JSON-LD tour/product data with its price
+function collectSeoMetadata(pageDoc, pageUrl) {
+  if (!pageDoc || !pageDoc.head) return null;
+  
+  const getMeta = (attribute, name) => {
+    const element = pageDoc.querySelector(`meta[${attribute}="${name}"]`);
+    return element ? (element.getAttribute('content') || '').trim() : null;
+  };
+  const resolveUrl = (href) => {
+    try {
+      return new URL(href, pageUrl).href;
+    } catch (error) {
+      return href;
+    }
+  };
+  
+  const canonicalElement = pageDoc.querySelector('link[rel="canonical"]');
+  const robots = [getMeta('name', 'robots'), getMeta('name', 'googlebot')].filter(Boolean).join(', ') || null;
+  
+  const og = {};
+  pageDoc.querySelectorAll('meta[property^="og:"]').forEach(meta => {
+    og[meta.getAttribute('property').slice(3)] = meta.getAttribute('content');
+  });
+  
+  const hreflang = Array.from(pageDoc.querySelectorAll('link[rel="alternate"][hreflang]')).map(link => ({
+    lang: link.getAttribute('hreflang'),
+    href: resolveUrl(link.getAttribute('href'))
+  }));
+  
+  const jsonLd = getJsonLdNodes(pageDoc)
+    .filter(node => {
+      const types = [].concat(node['@type'] || []);
+      return types.includes('InvalidJSON') || types.some(type => SEO_PRODUCT_TYPES.includes(type));
+    })
+    .map(node => {
+      if (node['@type'] === 'InvalidJSON') return { type: 'InvalidJSON', error: node.error };
+      
+      // The price sits in offers (an Offer, an AggregateOffer with lowPrice, or a list of offers)
+      const offers = [].concat(node.offers || (node['@type'] === 'Offer' ? node : []));
+      const offer = offers.find(item => item && (item.price !== undefined || item.lowPrice !== undefined)) || null;
+      const priceValue = offer ? (offer.price !== undefined ? offer.price : offer.lowPrice) : null;
+      
+      return {
+        type: [].concat(node['@type']).join(', '),
+        name: node.name || null,
+        price: priceValue !== null ? parsePrice(String(priceValue)).amount : null,
+        priceCurrency: offer ? offer.priceCurrency || null : null
+      };
+    });
+  
+  return {
+    canonical: canonicalElement ? resolveUrl(canonicalElement.getAttribute('href')) : null,
+    metaDescription: getMeta('name', 'description'),
+    robots: robots,
+    noindex: !!(robots && /noindex|\bnone\b/i.test(robots)),
+    og: og,
+    hreflang: hreflang,
+    jsonLd: jsonLd
+  };
+}
+
+// Helper function to compare page URLs by path: a local mirror serves the pages on another host
+// than the one in their canonical, so only the path tells whether the canonical points elsewhere
+function getComparablePath(url) {
+  try {
+    const parsed = new URL(url);
+    return decodeURIComponent(parsed.pathname).replace(/\/+$/, '').toLowerCase() || '/';
+  } catch (error) {
+    return url;
+  }
+}
+
+// Function to list the SEO problems of a check result
+// - an available page that is noindexed
+// - a canonical that points to another page
+// - a JSON-LD price that disagrees with the visible price (tours and cruises)
+function getSeoIssues(result) {
+  const seo = result ? result.seo : null;
+  if (!seo) return [];
+  
+  const issues = [];
+  
+  if (seo.noindex && result.available) {
+    issues.push({ type: 'noindex', message: `Available but noindexed (robots: ${seo.robots})` });
+  }
+  
+  if (seo.canonical && result.url) {
+    const pageUrl = result.finalUrl || result.url;
+    if (getComparablePath(seo.canonical) !== getComparablePath(new URL(pageUrl, window.location.href).href)) {
+      issues.push({ type: 'canonical', message: `Canonical points elsewhere: ${seo.canonical}` });
+    }
+  }
+  
+  seo.jsonLd.filter(item => item.type === 'InvalidJSON').forEach(item => {
+    issues.push({ type: 'json_ld', message: `Invalid JSON-LD: ${item.error}` });
+  });
+  
+  if (typeof result.price === 'number') {
+    const pricedItem = seo.jsonLd.find(item => typeof item.price === 'number');
+    if (pricedItem && Math.abs(pricedItem.price - result.price) >= 0.01) {
+      issues.push({
+        type: 'json_ld_price',
+        message: `JSON-LD price ${pricedItem.price}${pricedItem.priceCurrency ? ' ' + pricedItem.priceCurrency : ''} differs from the visible price ${result.priceText}`
+      });
+    } else if (pricedItem && pricedItem.priceCurrency && result.currency && pricedItem.priceCurrency !== result.currency) {
+      issues.push({
+        type: 'json_ld_price',
+        message: `JSON-LD currency ${pricedItem.priceCurrency} differs from the visible currency ${result.currency}`
+      });
+    }
+  }
+  
+  return issues;
+}
+
+// Helper function to build the report note of SEO issues
+function getSeoIssuesHtml(result) {
+  if (!result.seoIssues || result.seoIssues.length === 0) return '';
+  return result.seoIssues
+    .map(issue => `<br><span style="color: darkorange; font-weight: bold;">🔎 ${issue.message}</span>`)
+    .join('');
+}
+
+// ==================== LABEL MISMATCH CHECK ====================
+
+// Labels scoring below this similarity to the target page h1 are reported as mismatches
+const DEFAULT_LABEL_MISMATCH_THRESHOLD = 0.5;
+
+// The cruise ship checker reads the destination tours page, so its page title is not the link target's
+const LABEL_CHECK_SKIPPED_PATTERNS = ['cruise-ship'];
+
+// Helper function to list the letter pairs of each word ("vik" → vi, ik)
+function getBigrams(text) {
+  const bigrams = [];
+  normalizeText(foldDiacritics(text || ''))
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 0)
+    .forEach(word => {
+      if (word.length === 1) {
+        bigrams.push(word);
+        return;
+      }
+      for (let i = 0; i < word.length - 1; i++) {
+        bigrams.push(word.slice(i, i + 2));
+      }
+    });
+  return bigrams;
+}
+
+// Dice coefficient of the bigrams of two texts: 1 for the same words, 0 for nothing in common
+function getTextSimilarity(text1, text2) {
+  const bigrams1 = getBigrams(text1);
+  const bigrams2 = getBigrams(text2);
+  if (bigrams1.length === 0 || bigrams2.length === 0) return 0;
+  
+  const counts = new Map();
+  bigrams1.forEach(bigram => counts.set(bigram, (counts.get(bigram) || 0) + 1));
+  
+  let shared = 0;
+  bigrams2.forEach(bigram => {
+    const count = counts.get(bigram) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(bigram, count - 1);
+    }
+  });
+  
+  return Math.round(2 * shared / (bigrams1.length + bigrams2.length) * 100) / 100;
+}
+
+// Function to compare each link label with the h1 of the page it points to
+// Options:
+// - labelMismatchThreshold: report labels scoring below this (default: DEFAULT_LABEL_MISMATCH_THRESHOLD)
+// Adds labelCheck to the check results and returns the mismatches
+function findLabelMismatches(checkedLinks, options = {}) {
+  const threshold = options.labelMismatchThreshold !== undefined && options.labelMismatchThreshold !== null ?
+                    options.labelMismatchThreshold : DEFAULT_LABEL_MISMATCH_THRESHOLD;
+  const mismatches = [];
+  
+  checkedLinks.forEach(link => {
+    const result = link.checkResult;
+    if (!result || !result.pageTitle || LABEL_CHECK_SKIPPED_PATTERNS.includes(link.urlPattern)) return;
+    if (!link.text || link.text === '[No text]') return;
+    
+    const score = getTextSimilarity(link.text, result.pageTitle);
+    result.labelCheck = {
+      label: link.text,
+      pageTitle: result.pageTitle,
+      score: score,
+      threshold: threshold,
+      mismatch: score < threshold
+    };
+    
+    if (result.labelCheck.mismatch) {
+      console.log(`🏷️ LABEL MISMATCH: "${link.text}" → "${result.pageTitle}" (score ${score}) ${link.href}`);
+      mismatches.push({
+        text: link.text,
+        href: link.href,
+        section: link.section || null,
+        urlPattern: link.urlPattern,
+        pageTitle: result.pageTitle,
+        score: score
+      });
+    }
+  });
+  
+  return mismatches;
+}
+
+// Helper function to build the report note of price anomalies
+function getPriceAnomalyHtml(result) {
+  if (!result.priceAnomalies || result.priceAnomalies.length === 0) return '';
+  return result.priceAnomalies
+    .map(anomaly => `<br><span style="color: red; font-weight: bold;">⚠️ ${anomaly.message}</span>`)
+    .join('');
+}
+
+// Function to run the right checker for a link based on its URL pattern, then flag SEO issues and
+// redirects of the target
+async function runLinkCheck(item, absoluteUrl, options = {}) {
+  const result = await runLinkChecker(item, absoluteUrl, options);
+  if (result && result.seo) {
+    result.seoIssues = getSeoIssues(result);
+  }
+  
+  // A page that still loads after redirecting elsewhere is not the product the link promises
+  const redirect = analyzeRedirect(item.urlPattern, result);
+  if (redirect) {
+    result.redirect = redirect;
+    console.log(`↪️ REDIRECT: ${item.href} → ${redirect.to}${redirect.retired ? ` - ${RETIRED_REDIRECT_LABEL}` : ''}`);
+    if (redirect.retired && result.available) {
+      result.available = false;
+      result.redirectedFromAvailable = true;
+    }
+  }
+  return result;
+}
+
+// Function to pick and run the checker of a link (see getLinkChecker)
+async function runLinkChecker(item, absoluteUrl, options = {}) {
+  const checker = getLinkChecker(item);
+  if (checker) {
+    return await checker(absoluteUrl, item, options);
+  }
+  
+  // Skip other URL patterns
+  return {
+    url: item.href,
+    originalTitle: item.text,
+    available: null,
+    error: 'Not a checkable link pattern',
+    skipped: true
+  };
+}
+
+// Key prefix of saved audit runs in storage (one run per audited page)
+const AUDIT_STATE_PREFIX = 'al-audit-run:';
+
+// Finished links are saved to the audit run at most this often (ms); pausing saves at once
+const AUDIT_STATE_SAVE_INTERVAL = 2000;
+
+// Helper function to get the storage key of the audit run of a page
+function getAuditStateKey(pageUrl) {
+  return AUDIT_STATE_PREFIX + normalizeAbsoluteUrl(pageUrl, pageUrl);
+}
+
+// Function to create the saved state of an audit run, so it can be resumed after a reload
+// `extraction` is the extractor result without availability; `links` are the links still to check
+function createAuditState(extraction, links, options = {}) {
+  return {
+    pageUrl: window.location.href,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    extraction: extraction,
+    pending: links,
+    results: [],
+    // Only plain values are kept - a cache or storage object cannot be saved
+    checkOptions: {
+      engine: options.engine,
+      maxConcurrent: options.maxConcurrent,
+      cacheTtl: options.cacheTtl
+    },
+    storage: options.stateStorage || getDefaultStorage()
+  };
+}
+
+// Function to persist an audit run (the storage object itself is not saved)
+function saveAuditState(state) {
+  try {
+    const { storage, ...savedState } = state;
+    savedState.updatedAt = new Date().toISOString();
+    storage.setItem(getAuditStateKey(state.pageUrl), JSON.stringify(savedState));
+  } catch (error) {
+    // Quota exceeded or storage unavailable - the run continues, it just cannot be resumed
+    console.log(`⚠️ Could not save audit progress: ${error.message}`);
+  }
+}
+
+// Function to load the interrupted audit run of a page (null when there is none)
+function loadAuditState(pageUrl = window.location.href, storage = getDefaultStorage()) {
+  try {
+    const raw = storage.getItem(getAuditStateKey(pageUrl));
+    if (!raw) return null;
+    return { ...JSON.parse(raw), storage: storage };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to forget the saved audit run of a page
+function clearAuditState(pageUrl = window.location.href, storage = getDefaultStorage()) {
+  try {
+    storage.removeItem(getAuditStateKey(pageUrl));
+  } catch (error) {
+    // Nothing saved or storage unavailable
+  }
+}
+
+// Helper function to summarize checked links for the availability part of the results
+function summarizeAvailability(checkedLinks) {
+  return {
+    checkedLinks: checkedLinks.length,
+    available: checkedLinks.filter(link => link.checkResult.available).length,
+    unavailable: checkedLinks.filter(link => link.checkResult.available === false).length,
+    unknown: checkedLinks.filter(link => link.checkResult.available === null).length,
+    fromCache: checkedLinks.filter(link => link.checkResult.fromCache).length,
+    priceAnomalies: checkedLinks.filter(link => link.checkResult.priceAnomalies && link.checkResult.priceAnomalies.length > 0).length,
+    labelMismatches: checkedLinks.filter(link => link.checkResult.labelCheck && link.checkResult.labelCheck.mismatch).length,
+    seoIssues: checkedLinks.filter(link => link.checkResult.seoIssues && link.checkResult.seoIssues.length > 0).length,
+    retiredRedirects: checkedLinks.filter(link => link.checkResult.redirect && link.checkResult.redirect.retired).length,
+    details: checkedLinks
+  };
+}
+
+// ==================== PROGRESS EVENTS ====================
+
+// Failures kept in the mini log of the status overlay
+const MAX_OVERLAY_FAILURES = 5;
+// In-flight URLs listed on the status overlay
+const MAX_OVERLAY_IN_FLIGHT = 5;
+
+// Function to create an event emitter for audit progress
+// Events (every listener gets one object with its type and a timestamp):
+// - started:       { total, completed, earlierResults } - completed counts results of a resumed run
+// - item-started:  { item, index, url }
+// - item-finished: { item, index, url, result, status, completed, total } - status is a getStatusCategory() value
+// - retry:         { url, attempt, maxRetries, delay, pageStatus, message }
+// - finished:      { results, completed, total, cancelled, tally, durationMs }
+// on(type, listener) returns a function that removes the listener; '*' receives every event.
+function createAuditEvents() {
+  const listeners = new Map();
+  
+  const off = (type, listener) => {
+    if (listeners.has(type)) {
+      listeners.get(type).delete(listener);
+    }
+  };
+  
+  return {
+    on(type, listener) {
+      if (!listeners.has(type)) {
+        listeners.set(type, new Set());
+      }
+      listeners.get(type).add(listener);
+      return () => off(type, listener);
+    },
+    
+    off: off,
+    
+    emit(type, payload = {}) {
+      const event = { ...payload, type: type, timestamp: Date.now() };
+      [type, '*'].forEach(key => {
+        (listeners.get(key) || []).forEach(listener => {
+          try {
+            listener(event);
+          } catch (error) {
+            // A failing listener must not stop the run
+            console.error(`Listener for "${type}" failed:`, error);
+          }
+        });
+      });
+    }
+  };
+}
+
+// Default emitter: runs without options.events report here, so the console can subscribe before
+// starting an audit, e.g. ALAudit.auditEvents.on('item-finished', event => console.log(event.url, event.status))
+const auditEvents = createAuditEvents();
+
+// Helper function to put a check result in one of the tally categories of the status overlay:
+// available, unavailable, maintenance, broken (404 or another HTTP error), timeout or unknown (skipped)
+function getStatusCategory(result) {
+  if (!result) return 'unknown';
+  if (result.finalStatus === 'broken_link_404' || result.finalStatus === 'http_error') return 'broken';
+  if (result.finalStatus === 'under_maintenance') return 'maintenance';
+  if (result.finalStatus === 'timeout') return 'timeout';
+  if (result.available) return 'available';
+  if (result.available === false) return 'unavailable';
+  return 'unknown';
+}
+
+// Function to create the floating status box of a check run; it follows the run through its events
+// Options:
+// - scheduler: adaptive scheduler whose state is shown
+// - getRunState(): { paused, cancelled } of the run
+// - onPause() / onCancel(): called by the Pause / Resume and Cancel buttons
+// Returns { element, render(), remove() }
+function createStatusOverlay(events, options = {}) {
+  const tally = { available: 0, unavailable: 0, maintenance: 0, broken: 0, timeout: 0, unknown: 0 };
+  const inFlight = new Map(); // pool index -> URL
+  const retries = new Map(); // URL -> retry note
+  const failures = []; // latest first
+  let completed = 0;
+  let completedAtStart = 0;
+  let total = 0;
+  const startTime = Date.now();
+  
+  // Create status element for UI feedback
+  const statusElement = document.createElement('div');
+  statusElement.style.cssText = 'position: fixed; top: 10px; right: 10px; max-width: 380px; background: rgba(0,0,0,0.8); color: white; padding: 10px; border-radius: 5px; z-index: 9999; font-family: sans-serif; font-size: 13px;';
+  const statusText = document.createElement('div');
+  statusElement.appendChild(statusText);
+  
+  // Pause / resume / cancel buttons
+  const controls = document.createElement('div');
+  controls.style.cssText = 'margin-top: 8px; display: flex; gap: 5px;';
+  const buttonStyle = 'padding: 3px 8px; cursor: pointer; border: none; border-radius: 3px; font-size: 12px;';
+  const pauseButton = document.createElement('button');
+  pauseButton.textContent = 'Pause';
+  pauseButton.style.cssText = buttonStyle;
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = buttonStyle;
+  controls.appendChild(pauseButton);
+  controls.appendChild(cancelButton);
+  statusElement.appendChild(controls);
+  document.body.appendChild(statusElement);
+  
+  pauseButton.addEventListener('click', () => {
+    if (options.onPause) options.onPause();
+    render();
+  });
+  cancelButton.addEventListener('click', () => {
+    if (options.onCancel) options.onCancel();
+    render();
+  });
+  
+  // Shorten a URL to its path for the overlay
+  const shortUrl = (url) => {
+    try {
+      const urlObj = new URL(url, window.location.href);
+      return urlObj.origin === window.location.origin ? urlObj.pathname : urlObj.href;
+    } catch (error) {
+      return url;
+    }
+  };
+  
+  // Update status display
+  const render = () => {
+    const runState = options.getRunState ? options.getRunState() : { paused: false, cancelled: false };
+    const elapsed = Math.floor((Date.now() - startTime) / 1000);
+    const minutesElapsed = Math.floor(elapsed / 60);
+    const secondsElapsed = elapsed % 60;
+    const timeString = `${minutesElapsed}m ${secondsElapsed}s`;
     
     // Calculate estimated time remaining
     let etaString = 'calculating...';
-    if (completed > 5) { // Need some data to make a reasonable estimate
-      const msPerItem = (Date.now() - startTime) / completed;
+    if (completed - completedAtStart > 5) { // Need some data to make a reasonable estimate
+      const msPerItem = (Date.now() - startTime) / (completed - completedAtStart);
       const msRemaining = msPerItem * (total - completed);
       const secondsRemaining = Math.floor(msRemaining / 1000);
       const minutesRemaining = Math.floor(secondsRemaining / 60);
@@ -1473,323 +3611,1483 @@ async function checkDestinationsAvailability(links, maxConcurrent = 3) {
       etaString = `~${minutesRemaining}m ${secondsRemainingMod}s`;
     }
     
-    statusElement.innerHTML = `Checking links: ${completed}/${total} (${Math.floor(completed/total*100)}%)<br>
-                              Time elapsed: ${timeString}<br>
-                              Est. remaining: ${etaString}`;
+    let stateText = '';
+    if (runState.cancelled) {
+      stateText = `<br><strong>Cancelling - waiting for ${inFlight.size} running checks</strong>`;
+    } else if (runState.paused) {
+      stateText = `<br><strong>Paused</strong>${inFlight.size > 0 ? ` - finishing ${inFlight.size} running checks` : ''}`;
+    }
+    
+    let html = `Checking links: ${completed}/${total} (${total > 0 ? Math.floor(completed/total*100) : 0}%)<br>
+                Time elapsed: ${timeString}<br>
+                Est. remaining: ${etaString}`;
+    
+    // Live tally
+    html += '<div style="margin-top: 6px;">' +
+            `<span style="color: #7CFC00;">✔ ${tally.available}</span> · ` +
+            `<span style="color: #ff6b6b;">✘ ${tally.unavailable}</span> · ` +
+            `<span style="color: orange;">🔧 ${tally.maintenance}</span> · ` +
+            `<span style="color: #d39bff;">404 ${tally.broken}</span> · ` +
+            `<span style="color: #bbb;">⏱ ${tally.timeout}</span>` +
+            (tally.unknown ? ` · <span style="color: #bbb;">? ${tally.unknown}</span>` : '') +
+            '</div>';
+    
+    if (options.scheduler) {
+      html += `<div style="margin-top: 6px;">${getSchedulerStatusHtml(options.scheduler)}</div>`;
+    }
+    
+    // URLs being checked right now
+    if (inFlight.size > 0) {
+      const urls = Array.from(inFlight.values());
+      html += '<div style="margin-top: 6px;"><small>Checking:<br>' +
+              urls.slice(0, MAX_OVERLAY_IN_FLIGHT).map(url => `↻ ${escapeHtml(shortUrl(url))}${retries.has(url) ? ` <span style="color: orange;">(${retries.get(url)})</span>` : ''}`).join('<br>') +
+              (urls.length > MAX_OVERLAY_IN_FLIGHT ? `<br>+${urls.length - MAX_OVERLAY_IN_FLIGHT} more` : '') +
+              '</small></div>';
+    }
+    
+    // Latest failures - click to open the page
+    if (failures.length > 0) {
+      html += '<div style="margin-top: 6px;"><small>Latest failures (click to open):<br>' +
+              failures.map(failure => `<a href="${escapeHtml(failure.url)}" target="_blank" title="${escapeHtml(failure.error)}" style="color: #ffb3b3;">${escapeHtml(failure.statusText)}: ${escapeHtml(shortUrl(failure.url))}</a>`).join('<br>') +
+              '</small></div>';
+    }
+    
+    statusText.innerHTML = html + stateText;
+    pauseButton.textContent = runState.paused ? 'Resume' : 'Pause';
+    pauseButton.disabled = runState.cancelled;
+    cancelButton.disabled = runState.cancelled;
+  };
+  
+  const unsubscribe = events.on('*', (event) => {
+    if (event.type === 'started') {
+      total = event.total;
+      completed = event.completed;
+      completedAtStart = event.completed;
+      (event.earlierResults || []).forEach(link => tally[getStatusCategory(link.checkResult)]++);
+    } else if (event.type === 'item-started') {
+      inFlight.set(event.index, event.url);
+    } else if (event.type === 'retry') {
+      retries.set(event.url, `retry ${event.attempt + 1}/${event.maxRetries} in ${Math.round(event.delay / 1000)}s`);
+    } else if (event.type === 'item-finished') {
+      inFlight.delete(event.index);
+      retries.delete(event.url);
+      completed = event.completed;
+      tally[event.status]++;
+      
+      if (event.status !== 'available' && event.status !== 'unknown') {
+        failures.unshift({
+          url: event.url,
+          statusText: getAvailabilityStatus(event.result).text,
+          error: event.result.error
+        });
+        failures.length = Math.min(failures.length, MAX_OVERLAY_FAILURES);
+      }
+    } else {
+      return;
+    }
+    render();
+  });
+  
+  // Elapsed time and backoff countdowns change without any event
+  const timer = setInterval(render, 1000);
+  render();
+  
+  return {
+    element: statusElement,
+    render: render,
+    remove() {
+      clearInterval(timer);
+      unsubscribe();
+      statusElement.remove();
+    }
+  };
+}
+
+// Function to check multiple destination links
+// The links run through a promise pool (createPromisePool) paced by the adaptive scheduler;
+// the results keep the order of the links (a resumed run: earlier results first).
+// options.cache: a createResultCache() instance, or false to disable caching
+// (default: a cache in localStorage with options.cacheTtl or DEFAULT_CACHE_TTL)
+// options.priceHistory, maxPriceDropPercent, maxPriceIncreasePercent, priceFloor: price tracking, see trackPrices()
+// options.auditState: a createAuditState() / loadAuditState() run - its results are kept and
+// the pending links and results are saved as items complete (at most every AUDIT_STATE_SAVE_INTERVAL)
+// options.signal: AbortSignal that cancels the run like the Cancel button (running checks finish)
+// options.events: a createAuditEvents() emitter for started / item-started / item-finished / retry / finished
+// (default: the shared auditEvents); the status box follows the run through these events
+// options.onProgress(event): per-item progress, see createPromisePool
+// options.linkChecker(item, absoluteUrl, options): checker used instead of runLinkCheck
+async function checkDestinationsAvailability(links, maxConcurrent = auditConfig.concurrency, options = {}) {
+  const auditState = options.auditState || null;
+  const earlierResults = auditState ? [...auditState.results] : [];
+  const newResults = new Array(links.length);
+  const inFlightChecks = new Map(); // cache key -> pending check, so duplicate links are checked once
+  const cache = options.cache === false ? null : (options.cache || createResultCache({ ttl: options.cacheTtl }));
+  const linkChecker = options.linkChecker || runLinkCheck;
+  
+  // maxConcurrent is where the adaptive scheduler starts (options.adaptiveConcurrency: false keeps it fixed)
+  const scheduler = options.scheduler || createAdaptiveScheduler({ ...options, initialConcurrent: maxConcurrent });
+  const events = options.events || auditEvents;
+  const checkOptions = { ...options, scheduler: scheduler, events: events };
+  
+  // The Cancel button and options.signal both abort the pool
+  const controller = new AbortController();
+  if (options.signal) {
+    if (options.signal.aborted) {
+      controller.abort();
+    } else {
+      options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+  
+  // Progress (a resumed run starts with its earlier results counted)
+  let completed = earlierResults.length;
+  const total = earlierResults.length + links.length;
+  const startTime = Date.now();
+  let pool = null;
+  
+  // Status box with the live tally, running URLs, latest failures and Pause / Cancel buttons
+  const overlay = createStatusOverlay(events, {
+    scheduler: scheduler,
+    getRunState: () => ({ paused: pool ? pool.isPaused() : false, cancelled: controller.signal.aborted }),
+    onPause: () => {
+      if (!pool) return;
+      if (pool.isPaused()) {
+        pool.resume();
+      } else {
+        pool.pause();
+      }
+      saveProgress();
+    },
+    onCancel: () => controller.abort()
+  });
+  
+  // Save the run so resumeAudit() can continue it after a reload
+  // (links that were still running are checked again on resume)
+  let lastSaveTime = 0;
+  let saveTimer = null;
+  const saveProgress = () => {
+    if (!auditState) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    lastSaveTime = Date.now();
+    auditState.pending = pool ? [...pool.getRunning(), ...pool.getPending()] : [...links];
+    auditState.results = earlierResults.concat(newResults.filter(Boolean));
+    auditState.paused = pool ? pool.isPaused() : false;
+    saveAuditState(auditState);
+  };
+  
+  // Finished items are saved on a throttle (the last one included) instead of one write per item
+  const scheduleSaveProgress = () => {
+    if (!auditState || saveTimer) return;
+    saveTimer = setTimeout(saveProgress, Math.max(0, lastSaveTime + AUDIT_STATE_SAVE_INTERVAL - Date.now()));
+  };
+  
+  saveProgress();
+  events.emit('started', { total: total, completed: completed, earlierResults: earlierResults });
+  
+  // Get the absolute URL (crawled links already carry one)
+  const getAbsoluteUrl = (item) => {
+    const baseUrl = window.location.origin;
+    return item.absoluteUrl || (item.href.startsWith('http') ? 
+           item.href : 
+           `${baseUrl}${item.href.startsWith('/') ? '' : '/'}${item.href}`);
+  };
+  
+  // Function to check one link (errors are turned into a result by onError below)
+  const checkItem = async (item) => {
+    const absoluteUrl = getAbsoluteUrl(item);
+    const itemOptions = item.pageUrl ? { ...checkOptions, pageUrl: item.pageUrl } : checkOptions;
+    
+    // Reuse cached results and links already being checked in this run
+    const cacheKey = getCheckCacheKey(item, absoluteUrl);
+    const cached = cache ? cache.get(cacheKey) : null;
+    let result;
+    
+    if (cached) {
+      result = {
+        ...cached.result,
+        originalTitle: item.text,
+        fromCache: true,
+        cachedAt: new Date(cached.storedAt).toISOString(),
+        cacheAgeMs: cached.ageMs
+      };
+    } else if (inFlightChecks.has(cacheKey)) {
+      result = {
+        ...(await inFlightChecks.get(cacheKey)),
+        originalTitle: item.text,
+        reusedInRun: true
+      };
+    } else {
+      // Check availability based on URL pattern
+      const check = linkChecker(item, absoluteUrl, itemOptions);
+      inFlightChecks.set(cacheKey, check);
+      result = await check;
+      
+      if (cache && isCacheableResult(result)) {
+        cache.set(cacheKey, result);
+      }
+    }
+    
+    return {
+      ...item,
+      checkResult: result
+    };
+  };
+  
+  pool = createPromisePool(links, checkItem, {
+    scheduler: scheduler,
+    getKey: getAbsoluteUrl,
+    signal: controller.signal,
+    onError: (error, item) => ({
+      ...item,
+      checkResult: {
+        url: item.href,
+        originalTitle: item.text,
+        available: false,
+        error: error.message
+      }
+    }),
+    onProgress: (event) => {
+      const url = getAbsoluteUrl(event.item);
+      if (event.type === 'item-started') {
+        events.emit('item-started', { item: event.item, index: event.index, url: url });
+      } else if (event.type === 'item-finished') {
+        completed++;
+        newResults[event.index] = event.result;
+        scheduleSaveProgress();
+        events.emit('item-finished', {
+          item: event.item,
+          index: event.index,
+          url: url,
+          result: event.result.checkResult,
+          status: getStatusCategory(event.result.checkResult),
+          completed: completed,
+          total: total
+        });
+      }
+      if (options.onProgress) {
+        options.onProgress(event);
+      }
+    }
+  });
+  
+  controller.signal.addEventListener('abort', overlay.render, { once: true });
+  
+  // Wait until every started check is complete
+  const poolResults = await pool.done;
+  const results = earlierResults.concat(poolResults.filter(Boolean));
+  
+  // Remove status element when done
+  overlay.remove();
+  
+  const schedulerState = scheduler.getState();
+  console.log(`⚙️ Finished at concurrency ${schedulerState.concurrency}` +
+              (schedulerState.throttled ? ` (${schedulerState.throttled} rate-limited or maintenance responses)` : ''));
+  
+  // A finished or cancelled run has nothing left to resume
+  clearTimeout(saveTimer);
+  if (auditState) {
+    clearAuditState(auditState.pageUrl, auditState.storage);
+  }
+  if (controller.signal.aborted) {
+    console.log(`⏹️ Check cancelled after ${results.length} of ${total} links`);
+  }
+  
+  // Compare tour and cruise prices with earlier runs (options.priceHistory: false to skip)
+  if (options.priceHistory !== false) {
+    trackPrices(results, options);
+  }
+  
+  // Compare link labels with the target page titles (options.labelCheck: false to skip)
+  if (options.labelCheck !== false) {
+    findLabelMismatches(results, options);
+  }
+  
+  const tally = { available: 0, unavailable: 0, maintenance: 0, broken: 0, timeout: 0, unknown: 0 };
+  results.forEach(link => tally[getStatusCategory(link.checkResult)]++);
+  events.emit('finished', {
+    results: results,
+    completed: results.length,
+    total: total,
+    cancelled: controller.signal.aborted,
+    tally: tally,
+    durationMs: Date.now() - startTime
+  });
+  
+  return results;
+}
+
+// Helper function to get a readable link type name
+function getReadableLinkType(urlPattern) {
+  // Label of the pattern's route (custom link types: the label of their rule)
+  const route = getUrlRoute(urlPattern);
+  if (route) {
+    return typeof route.label === 'function' ? route.label(urlPattern) : route.label;
+  }
+  
+  // Legacy and other patterns
+  return urlPattern.split('/').pop() || 'Unknown';
+}
+
+// Helper function to read the url(...) values of a CSS background-image
+function getCssImageUrls(value) {
+  const urls = [];
+  if (!value || value === 'none') return urls;
+  const urlPattern = /url\((['"]?)(.*?)\1\)/g;
+  let match;
+  while ((match = urlPattern.exec(value)) !== null) {
+    if (match[2]) urls.push(match[2]);
+  }
+  return urls;
+}
+
+// Function to collect the images of a section: img src, srcset candidates and CSS background images
+function collectSectionImages(section) {
+  const images = [];
+  const seen = new Set();
+  
+  const addImage = (kind, src, element, alt) => {
+    const key = `${kind} ${src}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    
+    const linkElement = element.closest('a[href]');
+    images.push({
+      kind: kind,
+      src: src,
+      alt: alt,
+      linkHref: linkElement ? linkElement.getAttribute('href') : null
+    });
+  };
+  
+  section.querySelectorAll('img').forEach(img => {
+    const src = (img.getAttribute('src') || img.getAttribute('data-src') || '').trim();
+    addImage('img', src, img, img.getAttribute('alt'));
+    
+    // srcset candidates other than the src itself ("a.jpg 1x, a@2x.jpg 2x")
+    const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset') || '';
+    srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(url => url && url !== src).forEach(url => {
+      addImage('srcset', url, img, img.getAttribute('alt'));
+    });
+  });
+  
+  // <picture> sources
+  section.querySelectorAll('picture source[srcset]').forEach(source => {
+    const img = source.parentElement.querySelector('img');
+    source.getAttribute('srcset').split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean).forEach(url => {
+      addImage('srcset', url, source, img ? img.getAttribute('alt') : null);
+    });
+  });
+  
+  // Background images: inline styles, lazy-load attributes and (in a browser) the computed style
+  const canComputeStyle = typeof window !== 'undefined' && typeof window.getComputedStyle === 'function';
+  [section, ...section.querySelectorAll('*')].forEach(element => {
+    const values = [
+      element.style ? element.style.backgroundImage : null,
+      element.getAttribute('data-bg') ? `url(${element.getAttribute('data-bg')})` : null
+    ];
+    if (canComputeStyle) {
+      try {
+        values.push(window.getComputedStyle(element).backgroundImage);
+      } catch (error) {
+        // Documents parsed with DOMParser have no computed style
+      }
+    }
+    values.forEach(value => getCssImageUrls(value).forEach(url => addImage('background', url, element, null)));
+  });
+  
+  return images;
+}
+
+// Function to extract the links of every al-sec-* section inside the main element (auditConfig.mainSelector)
+// of a document. Returns null when the document has no main element
+function extractSectionLinks(rootDoc) {
+  const mainElement = rootDoc.querySelector(auditConfig.mainSelector);
+  if (!mainElement) {
+    return null;
+  }
+
+  // Find all sections with class starting with al-sec-
+  const sections = mainElement.querySelectorAll('[class*="al-sec-"]');
+  const result = {
+    summary: {
+      totalLinks: 0,
+      sectionTypes: {},
+      urlPatterns: {}
+    },
+    sections: {},
+    urlPatterns: {},
+    images: []
+  };
+
+  // Extract section types and create a map
+  const sectionTypeMap = {};
+  let allLinks = [];
+  
+  sections.forEach(section => {
+    const classes = Array.from(section.classList);
+    let sectionType = null;
+    
+    // Find the class that starts with al-sec-
+    for (const className of classes) {
+      if (className.startsWith('al-sec-') && className !== 'al-sec-title' && className !== 'al-sec-content') {
+        sectionType = className.replace('al-sec-', '');
+        break;
+      }
+    }
+    
+    if (sectionType) {
+      // Get section title if available
+      let sectionTitle = '';
+      const sectionTitleElement = section.querySelector(auditConfig.sectionTitleSelector);
+      if (sectionTitleElement) {
+        sectionTitle = sectionTitleElement.textContent.trim();
+      }
+      
+      // Create a readable section type name
+      const readableSectionType = sectionType.charAt(0).toUpperCase() + sectionType.slice(1);
+      
+      // Initialize section in results if needed
+      if (!result.sections[readableSectionType]) {
+        result.sections[readableSectionType] = [];
+        result.summary.sectionTypes[readableSectionType] = 0;
+      }
+      
+      // Extract links from this section (the section type decides where tile descriptions are)
+      const links = extractLinksFromElement(section, sectionType);
+      
+      // Images are collected for every section, including story sections without links
+      collectSectionImages(section).forEach(image => {
+        result.images.push({
+          ...image,
+          section: readableSectionType,
+          sectionTitle: sectionTitle || `${readableSectionType} Section`
+        });
+      });
+      
+      if (links.length > 0) {
+        // Add section info to each link
+        const linksWithSection = links.map(link => ({
+          ...link,
+          section: readableSectionType,
+          sectionTitle: sectionTitle || `${readableSectionType} Section`
+        }));
+        
+        // Add all links to our global list
+        allLinks = [...allLinks, ...linksWithSection];
+        
+        // Add section to results
+        result.sections[readableSectionType].push({
+          title: sectionTitle || `${readableSectionType} Section`,
+          links: links
+        });
+        
+        // Update section type counts
+        result.summary.totalLinks += links.length;
+        result.summary.sectionTypes[readableSectionType] += links.length;
+        
+        // Update URL pattern counts and organize by URL pattern
+        links.forEach(link => {
+          const pattern = link.urlPattern;
+          
+          // Initialize URL pattern in summary if needed
+          if (!result.summary.urlPatterns[pattern]) {
+            result.summary.urlPatterns[pattern] = 0;
+          }
+          
+          // Initialize URL pattern in results if needed
+          if (!result.urlPatterns[pattern]) {
+            result.urlPatterns[pattern] = [];
+          }
+          
+          // Update URL pattern count
+          result.summary.urlPatterns[pattern]++;
+          
+          // Add link to URL patterns section
+          result.urlPatterns[pattern].push({
+            section: readableSectionType,
+            sectionTitle: sectionTitle || `${readableSectionType} Section`,
+            text: link.text,
+            href: link.href
+          });
+        });
+      }
+    }
+  });
+
+  return { result: result, allLinks: allLinks };
+}
+
+// ==================== IMAGE AUDIT ====================
+
+// Images larger than this (file size, width or height) are flagged as oversized
+const DEFAULT_MAX_IMAGE_BYTES = 500 * 1024;
+const DEFAULT_MAX_IMAGE_DIMENSION = 2560;
+
+// Helper function to format a file size for the report
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Function to read the pixel size from the header of a PNG, GIF, JPEG or WebP file
+// Returns { format, width, height } or null (e.g. SVG, which has no fixed size)
+function readImageDimensions(bytes) {
+  const uint16BE = (offset) => (bytes[offset] << 8) | bytes[offset + 1];
+  const uint16LE = (offset) => bytes[offset] | (bytes[offset + 1] << 8);
+  const uint24LE = (offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+  const ascii = (offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+  
+  if (bytes.length >= 24 && ascii(1, 3) === 'PNG') {
+    return { format: 'png', width: (uint16BE(16) << 16 | uint16BE(18)) >>> 0, height: (uint16BE(20) << 16 | uint16BE(22)) >>> 0 };
+  }
+  if (bytes.length >= 10 && ascii(0, 3) === 'GIF') {
+    return { format: 'gif', width: uint16LE(6), height: uint16LE(8) };
+  }
+  if (bytes.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+    const chunk = ascii(12, 4);
+    if (chunk === 'VP8 ') return { format: 'webp', width: uint16LE(26) & 0x3fff, height: uint16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      return {
+        format: 'webp',
+        width: 1 + (((bytes[22] & 0x3f) << 8) | bytes[21]),
+        height: 1 + (((bytes[24] & 0x0f) << 10) | (bytes[23] << 2) | ((bytes[22] & 0xc0) >> 6))
+      };
+    }
+    if (chunk === 'VP8X') return { format: 'webp', width: 1 + uint24LE(24), height: 1 + uint24LE(27) };
+    return null;
+  }
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    // JPEG: walk the segments up to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = bytes[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { format: 'jpeg', width: uint16BE(offset + 7), height: uint16BE(offset + 5) };
+      }
+      offset += 2 + uint16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// Helper function to load an image the way the browser shows it (works for cross-origin images)
+function loadImageElement(src, timeoutMs) {
+  return new Promise(resolve => {
+    const img = new Image();
+    const timer = setTimeout(() => {
+      img.src = '';
+      resolve({ loaded: false, error: 'Timeout while loading image' });
+    }, timeoutMs);
+    img.onload = () => {
+      clearTimeout(timer);
+      resolve({ loaded: true, width: img.naturalWidth, height: img.naturalHeight });
+    };
+    img.onerror = () => {
+      clearTimeout(timer);
+      resolve({ loaded: false, error: 'Image failed to load' });
+    };
+    img.src = src;
+  });
+}
+
+// Function to check one image URL: HTTP status, file size, format and natural size
+// Falls back to an <img> element when fetch is blocked (cross-origin CDNs without CORS headers);
+// jsdom never loads <img> elements, so the fallback only runs in a real browser.
+async function checkImageAsset(src, options = {}) {
+  const timeoutMs = options.imageTimeout || auditConfig.imageTimeout;
+  const check = {
+    absoluteSrc: null,
+    loaded: false,
+    status: null,
+    bytes: null,
+    format: null,
+    width: null,
+    height: null,
+    error: null
+  };
+  
+  if (!src || INVALID_IMAGE_SOURCES.includes(src)) {
+    check.error = 'Invalid image src';
+    return check;
+  }
+  
+  try {
+    check.absoluteSrc = new URL(src, options.baseUrl || window.location.href).href;
+  } catch (error) {
+    check.error = 'Invalid image src';
+    return check;
+  }
+  
+  const canUseImageElement = typeof Image === 'function' &&
+                             !(typeof navigator !== 'undefined' && /jsdom/i.test(navigator.userAgent));
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await fetch(check.absoluteSrc, { credentials: 'same-origin', signal: controller.signal });
+    check.status = response.status;
+    
+    if (!response.ok) {
+      check.error = `HTTP ${response.status}`;
+      return check;
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    check.bytes = bytes.length;
+    
+    // An HTML page with status 200 (soft 404, login page) is not an image
+    if (contentType.includes('text/html')) {
+      check.error = 'Not an image (HTML page)';
+      return check;
+    }
+    
+    check.loaded = true;
+    const dimensions = readImageDimensions(bytes);
+    if (dimensions) {
+      check.format = dimensions.format;
+      check.width = dimensions.width;
+      check.height = dimensions.height;
+    } else {
+      check.format = contentType.split(';')[0].replace('image/', '') || null;
+      if (canUseImageElement) {
+        const element = await loadImageElement(check.absoluteSrc, timeoutMs);
+        check.width = element.width || null;
+        check.height = element.height || null;
+      }
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      check.error = 'Timeout while loading image';
+    } else if (canUseImageElement) {
+      const element = await loadImageElement(check.absoluteSrc, timeoutMs);
+      check.loaded = element.loaded;
+      check.width = element.width || null;
+      check.height = element.height || null;
+      check.error = element.loaded ? null : element.error;
+    } else {
+      check.error = `Fetch failed: ${error.message}`;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+  
+  return check;
+}
+
+// Function to check every collected image once per URL and flag broken, oversized and alt-less images
+// Options:
+// - maxImageBytes / maxImageDimension: oversize limits (default: DEFAULT_MAX_IMAGE_BYTES / DEFAULT_MAX_IMAGE_DIMENSION)
+// - imageConcurrency: parallel image requests (default: 4)
+// - baseUrl: URL the srcs are relative to (default: the current page)
+// Adds check and issues to each image and returns the counts
+async function auditImages(images, options = {}) {
+  const maxBytes = options.maxImageBytes || DEFAULT_MAX_IMAGE_BYTES;
+  const maxDimension = options.maxImageDimension || DEFAULT_MAX_IMAGE_DIMENSION;
+  const concurrency = options.imageConcurrency || 4;
+  
+  const uniqueSrcs = Array.from(new Set(images.map(image => image.src)));
+  
+  console.log(`🖼️ Checking ${uniqueSrcs.length} images...`);
+  const imageChecks = await createPromisePool(uniqueSrcs, src => checkImageAsset(src, options), { concurrency: concurrency }).done;
+  const checks = new Map(uniqueSrcs.map((src, index) => [src, imageChecks[index]]));
+  
+  images.forEach(image => {
+    const check = checks.get(image.src);
+    const issues = [];
+    
+    if (!check.loaded) {
+      issues.push(check.status === 404 ? 'Broken 404' : `Not loading (${check.error})`);
+    }
+    if (check.bytes !== null && check.bytes > maxBytes) {
+      issues.push(`Oversized file (${formatBytes(check.bytes)} > ${formatBytes(maxBytes)})`);
+    }
+    if ((check.width && check.width > maxDimension) || (check.height && check.height > maxDimension)) {
+      issues.push(`Oversized dimensions (${check.width}×${check.height} > ${maxDimension}px)`);
+    }
+    // Background images have no alt text; alt="" marks a decorative image and is fine
+    if (image.kind !== 'background' && image.alt === null) {
+      issues.push('Missing alt text');
+    }
+    
+    image.check = check;
+    image.issues = issues;
+  });
+  
+  const summary = {
+    checked: uniqueSrcs.length,
+    broken: images.filter(image => !image.check.loaded).length,
+    oversized: images.filter(image => image.issues.some(issue => issue.startsWith('Oversized'))).length,
+    missingAlt: images.filter(image => image.issues.includes('Missing alt text')).length,
+    maxImageBytes: maxBytes,
+    maxImageDimension: maxDimension
+  };
+  
+  console.log(`🖼️ Images: ${summary.checked} checked, ${summary.broken} broken, ${summary.oversized} oversized, ${summary.missingAlt} without alt text`);
+  return summary;
+}
+
+// Function to build the Images table of the report (thumbnail, load status, size and issues)
+function generateImagesTableHtml(images) {
+  let html = '<table border="1" style="border-collapse: collapse; width: 100%;" class="filterable-table">';
+  html += '<thead style="background-color: #f2f2f2;"><tr>' + 
+          '<th>#</th>' +
+          '<th>Preview</th>' + 
+          '<th>Image URL</th>' + 
+          '<th>Type</th>' + 
+          '<th>Section</th>' +
+          '<th>Loads</th>' + 
+          '<th>Size</th>' +
+          '<th>Alt Text</th>' +
+          '<th>Issues</th>' +
+          '</tr></thead>';
+  html += '<tbody>';
+  
+  images.forEach((image, index) => {
+    const check = image.check || {};
+    let loadsColor = 'gray';
+    let loadsText = 'Not checked';
+    if (image.check) {
+      loadsColor = check.loaded ? 'green' : check.status === 404 ? 'purple' : 'red';
+      loadsText = check.loaded ? 'Yes' : check.status === 404 ? 'Broken 404' : 'No';
+    }
+    const previewSrc = check.absoluteSrc || image.src;
+    const sizeText = [formatBytes(check.bytes), check.width ? `${check.width}×${check.height}` : null, check.format]
+      .filter(Boolean).map(escapeHtml).join('<br>');
+    
+    html += `<tr data-section="${escapeHtml(image.section)}">`;
+    html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+    html += `<td style="padding: 8px; text-align: center;">${previewSrc ? `<a href="${escapeHtml(previewSrc)}" target="_blank"><img src="${escapeHtml(previewSrc)}" alt=""" style="max-width: 100px; max-height: 70px;"></a>` : '-'}</td>`;
+    html += `<td style="padding: 8px; font-family: monospace; word-break: break-all;">${image.src ? escapeHtml(image.src) : '(empty)'}${image.linkHref ? `<br><small>in link ${escapeHtml(image.linkHref)}</small>` : ''}</td>`;
+    html += `<td style="padding: 8px;">${escapeHtml(image.kind)}</td>`;
+    html += `<td style="padding: 8px;">${escapeHtml(image.section)}</td>`;
+    html += `<td style="padding: 8px; color: ${loadsColor}; text-align: center;"><strong>${loadsText}</strong></td>`;
+    html += `<td style="padding: 8px; text-align: center;">${sizeText || '-'}</td>`;
+    html += `<td style="padding: 8px;">${image.alt === null ? '<span style="color: gray;">(none)</span>' : escapeHtml(image.alt) || '<span style="color: gray;">(decorative)</span>'}</td>`;
+    html += `<td style="padding: 8px; color: ${image.issues && image.issues.length > 0 ? 'red' : 'green'};">${image.issues ? (image.issues.map(escapeHtml).join('<br>') || 'OK') : '-'}</td>`;
+    html += '</tr>';
+  });
+  
+  html += '</tbody></table>';
+  return html;
+}
+
+// ==================== EXTERNAL LINK CHECK ====================
+
+// Parallel requests to other domains (kept low so partner sites are not flooded)
+const DEFAULT_EXTERNAL_CONCURRENCY = 2;
+const DEFAULT_EXTERNAL_TIMEOUT = 15000;
+
+// Helper function to test a hostname against a list of domains (a domain also matches its subdomains)
+function matchesDomainList(hostname, domains) {
+  return (domains || []).some(domain => {
+    const cleanDomain = String(domain).trim().toLowerCase().replace(/^\*?\./, '');
+    return cleanDomain && (hostname === cleanDomain || hostname.endsWith(`.${cleanDomain}`));
+  });
+}
+
+// Helper function to build the request URL of an external link
+// options.externalProxy is a same-origin URL that fetches the target for us (browsers block reading
+// cross-origin responses without CORS headers). "{url}" in it is replaced by the encoded target URL,
+// otherwise the encoded URL is appended, e.g. '/proxy?url=' or '/proxy/{url}'.
+function getExternalRequestUrl(url, options = {}) {
+  if (!options.externalProxy) return url;
+  return options.externalProxy.includes('{url}') ?
+         options.externalProxy.replace('{url}', encodeURIComponent(url)) :
+         options.externalProxy + encodeURIComponent(url);
+}
+
+// Function to check one off-domain URL: HEAD first, GET when the server refuses or mishandles HEAD
+// Returns { absoluteUrl, hostname, checked, ok, status, method, finalUrl, redirectChain, responseTime, viaProxy, opaque, skipped, error }
+// ok is null when the status cannot be read: the domain was skipped, or the browser only got an opaque
+// (no-cors) response because the site sends no CORS headers and no proxy is configured.
+async function checkExternalLink(href, options = {}) {
+  const timeoutMs = options.externalTimeout || auditConfig.externalTimeout;
+  const check = {
+    absoluteUrl: null,
+    hostname: null,
+    checked: false,
+    ok: null,
+    status: null,
+    method: null,
+    finalUrl: null,
+    redirectChain: [],
+    responseTime: null,
+    viaProxy: Boolean(options.externalProxy),
+    opaque: false,
+    skipped: null,
+    error: null
   };
   
-  updateStatus();
+  try {
+    const urlObj = new URL(href, options.baseUrl || window.location.href);
+    check.absoluteUrl = urlObj.href;
+    check.hostname = urlObj.hostname.toLowerCase();
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+      check.skipped = `Not a web link (${urlObj.protocol})`;
+      return check;
+    }
+  } catch (error) {
+    check.ok = false;
+    check.error = 'Invalid URL';
+    return check;
+  }
   
-  // Function to process next item in queue
-  const processNext = async () => {
-    if (queue.length === 0) return;
-    
-    const item = queue.shift();
-    inProgress.push(item);
+  // Allow / deny lists (the allow list, when given, is the only set of domains checked)
+  if (options.externalAllow && options.externalAllow.length > 0 && !matchesDomainList(check.hostname, options.externalAllow)) {
+    check.skipped = 'Domain not in the allow list';
+    return check;
+  }
+  if (matchesDomainList(check.hostname, options.externalDeny)) {
+    check.skipped = 'Domain in the deny list';
+    return check;
+  }
+  
+  const requestUrl = getExternalRequestUrl(check.absoluteUrl, options);
+  
+  const request = async (method) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startedAt = Date.now();
     
     try {
-      // Get the absolute URL
-      const baseUrl = window.location.origin;
-      const absoluteUrl = item.href.startsWith('http') ? 
-                          item.href : 
-                          `${baseUrl}${item.href.startsWith('/') ? '' : '/'}${item.href}`;
-      
-      // Check availability based on URL pattern - FIXED pattern handling
-      let result;
-      // SKIP special destination pages immediately
-      if (item.urlPattern === 'destination-special-page') {
-        result = {
-          url: item.href,
-          originalTitle: item.text,
-          available: null,
-          error: 'Special destination page - automatically skipped',
-          skipped: true,
-          specialPageType: item.href.split('/').pop() // gets 'tours', 'cruises', etc.
-        };
-      }
-
-      else if (item.urlPattern === 'tour-with-id') {
-        // For tour URLs with ID, use the tour check
-        result = await checkTourAvailability(absoluteUrl, item.text);
-      }
-      else if (item.urlPattern === 'cruise-ship') {
-        // For cruise ship URLs, use the ship availability check
-        result = await checkCruiseShipAvailability(absoluteUrl, item.text);
-      }
-      else if (item.urlPattern === 'cruise-with-id') {
-        // For destination cruise URLs with ID, use the cruise check
-        result = await checkCruiseAvailability(absoluteUrl, item.text);
-      }
-      else if (item.urlPattern === 'tour-activity') {
-        // For activity URLs, use the activity check
-        result = await checkActivityAvailability(absoluteUrl, item.text, item.urlPattern);
-      }
-      // Check for destination URLs (including multi-level) - UPDATED to pass urlPattern
-      else if ((item.urlPattern === 'destination' || 
-                item.urlPattern === 'destination/subdestination' ||
-                item.urlPattern.startsWith('multi-level/destination-')) && 
-                isTrueDestination(item.href, item.urlPattern)) {
-        // For true destination URLs, use the availability check with urlPattern
-        result = await checkActivityAvailability(absoluteUrl, item.text, item.urlPattern);
-      }
-      // Handle Table section links that aren't specifically categorized
-      else if (item.section === 'Table') {
-        // For Table section links, determine by URL content
-        if (item.href.match(/^\/cruises\/\d+/) || item.href.includes('/cruises/') && item.href.match(/cruises\/\d+/)) {
-          // Check if it's a cruise ship or destination cruise
-          if (item.urlPattern === 'cruise-ship') {
-            result = await checkCruiseShipAvailability(absoluteUrl, item.text);
-          } else {
-            result = await checkCruiseAvailability(absoluteUrl, item.text);
-          }
-        } else if (item.href.includes('/tours/') && item.href.match(/\/tours\/\d+/)) {
-          result = await checkTourAvailability(absoluteUrl, item.text);
-        } else {
-          // Default to activity check for other table links
-          result = await checkActivityAvailability(absoluteUrl, item.text, item.urlPattern);
-        }
-      }
-      // Skip other URL patterns
-      else {
-        result = {
-          url: item.href,
-          originalTitle: item.text,
-          available: null,
-          error: 'Not a checkable link pattern',
-          skipped: true
-        };
+      const init = { method: method, credentials: 'omit', signal: controller.signal };
+      // Through the proxy the redirects happen on the proxy, so only the final answer is seen
+      const { response, redirectChain } = options.externalProxy ?
+        { response: await fetch(requestUrl, { ...init, redirect: 'follow' }), redirectChain: [] } :
+        await fetchWithRedirectChain(requestUrl, init);
+      if (response.body && response.body.cancel) {
+        response.body.cancel().catch(() => {});
       }
-      
-      // Add the result
-      results.push({
-        ...item,
-        checkResult: result
-      });
+      return { response: response, redirectChain: redirectChain, responseTime: Date.now() - startedAt, error: null };
     } catch (error) {
-      // Handle errors
-      results.push({
-        ...item,
-        checkResult: {
-          url: item.href,
-          originalTitle: item.text,
-          available: false,
-          error: error.message
-        }
-      });
+      return { response: null, redirectChain: [], responseTime: Date.now() - startedAt, error: error };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+  
+  check.checked = true;
+  check.method = 'HEAD';
+  let attempt = await request('HEAD');
+  
+  // Many servers answer HEAD with 403/405/501 or drop the connection while GET works
+  const headFailed = attempt.error ? attempt.error.name !== 'AbortError' : attempt.response.status >= 400;
+  if (headFailed) {
+    check.method = 'GET';
+    attempt = await request('GET');
+  }
+  
+  check.responseTime = attempt.responseTime;
+  
+  if (attempt.error) {
+    if (attempt.error.name === 'AbortError') {
+      check.ok = false;
+      check.error = 'Timeout';
+      return check;
     }
     
-    // Update progress and status
-    completed++;
-    updateStatus();
-    
-    // Remove from in-progress list
-    const index = inProgress.indexOf(item);
-    if (index > -1) {
-      inProgress.splice(index, 1);
+    // A browser without a proxy cannot read cross-origin responses: a no-cors request at least
+    // tells whether the server answers at all
+    if (!options.externalProxy && typeof document !== 'undefined' && !(typeof navigator !== 'undefined' && /jsdom/i.test(navigator.userAgent))) {
+      try {
+        const startedAt = Date.now();
+        await fetch(check.absoluteUrl, { mode: 'no-cors', credentials: 'omit' });
+        check.responseTime = Date.now() - startedAt;
+        check.opaque = true;
+        check.error = 'Status hidden by CORS (configure externalProxy to read it)';
+        return check;
+      } catch (error) {
+        // Not reachable at all - reported below
+      }
     }
     
-    // Start next item if queue is not empty
-    if (queue.length > 0) {
-      processNext();
+    check.ok = false;
+    check.error = `Request failed: ${attempt.error.message}`;
+    return check;
+  }
+  
+  check.status = attempt.response.status;
+  check.ok = attempt.response.status < 400;
+  check.redirectChain = attempt.redirectChain;
+  
+  const finalUrl = attempt.redirectChain.length > 0 ? attempt.redirectChain[attempt.redirectChain.length - 1].url : check.absoluteUrl;
+  if (finalUrl !== check.absoluteUrl) {
+    check.finalUrl = finalUrl;
+  }
+  if (!check.ok) {
+    check.error = `HTTP ${attempt.response.status}`;
+  }
+  
+  return check;
+}
+
+// Helper function to get the report status of an external link check
+function getExternalLinkStatus(check) {
+  if (!check) return { text: 'Not checked', color: 'gray' };
+  if (check.skipped) return { text: 'Skipped', color: 'gray' };
+  if (check.error === 'Timeout') return { text: 'Timeout', color: 'gray' };
+  if (check.status === 404 || check.status === 410) return { text: `Broken ${check.status}`, color: 'purple' };
+  if (check.ok) return { text: 'Yes', color: 'green' };
+  if (check.ok === false) return { text: 'No', color: 'red' };
+  return { text: 'Reachable (status hidden)', color: 'gray' };
+}
+
+// Function to check the off-domain links of a page (urlPattern 'external') once per URL
+// Options:
+// - externalConcurrency: parallel requests (default: DEFAULT_EXTERNAL_CONCURRENCY)
+// - externalTimeout: per request in ms (default: DEFAULT_EXTERNAL_TIMEOUT)
+// - externalAllow / externalDeny: domain lists ('partner.com' also matches www.partner.com)
+// - externalProxy: same-origin proxy URL for browsers (see getExternalRequestUrl)
+// Adds check to each link and returns the counts
+async function checkExternalLinks(links, options = {}) {
+  const concurrency = options.externalConcurrency || auditConfig.externalConcurrency;
+  const baseUrl = options.baseUrl || window.location.href;
+  
+  const getUrl = (link) => {
+    try {
+      return new URL(link.href, baseUrl).href;
+    } catch (error) {
+      return link.href;
     }
   };
   
-  // Start initial batch of requests
-  const initialBatch = Math.min(maxConcurrent, queue.length);
-  for (let i = 0; i < initialBatch; i++) {
-    processNext();
-  }
+  const uniqueUrls = Array.from(new Set(links.map(getUrl)));
   
-  // Wait until all requests are complete
-  while (inProgress.length > 0 || queue.length > 0) {
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
+  console.log(`🌐 Checking ${uniqueUrls.length} external links...`);
+  const externalChecks = await createPromisePool(uniqueUrls, url => checkExternalLink(url, options), { concurrency: concurrency }).done;
+  const checks = new Map(uniqueUrls.map((url, index) => [url, externalChecks[index]]));
   
-  // Remove status element when done
-  document.body.removeChild(statusElement);
+  links.forEach(link => {
+    link.check = checks.get(getUrl(link));
+  });
   
-  return results;
+  const checked = links.filter(link => link.check.checked);
+  const responseTimes = checked.filter(link => link.check.responseTime !== null).map(link => link.check.responseTime);
+  const summary = {
+    checked: Array.from(checks.values()).filter(check => check.checked).length,
+    available: checked.filter(link => link.check.ok).length,
+    broken: checked.filter(link => link.check.ok === false).length,
+    redirected: checked.filter(link => link.check.finalUrl).length,
+    unknown: checked.filter(link => link.check.ok === null).length,
+    skipped: links.filter(link => link.check.skipped).length,
+    averageResponseTime: responseTimes.length > 0 ?
+                         Math.round(responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length) : null
+  };
+  
+  console.log(`🌐 External links: ${summary.checked} checked, ${summary.broken} broken, ${summary.redirected} redirected, ${summary.skipped} skipped`);
+  return summary;
 }
 
-// Helper function to get a readable link type name
-function getReadableLinkType(urlPattern) {
-  // Simplified pattern handling
-  if (urlPattern === 'tour-with-id') return 'Tour';
-  if (urlPattern === 'cruise-ship') return 'Cruise Ship';
-  if (urlPattern === 'cruise-with-id') return 'Cruise';
-  if (urlPattern === 'operator-with-id') return 'Operator';
-  if (urlPattern === 'tour-activity') return 'Activity';
-  if (urlPattern === 'tours-category') return 'Tours';
-  if (urlPattern === 'cruises-category') return 'Cruises';
-  if (urlPattern === 'destination-special-page') return 'Special Destination Page';
-  
-  // FLEXIBLE: Handle multi-level patterns
-  if (urlPattern.startsWith('multi-level/destination-')) {
-    const level = urlPattern.split('-')[1];
-    return level === '1' ? 'Destination' : 'Subdestination';
-  }
-  
-  if (urlPattern.includes('/articles')) return 'Article';
-  if (urlPattern.includes('/stories')) return 'Story';
-  if (urlPattern.includes('/deals')) return 'Deal';
+// Function to build the External table of the report (status code, redirect target and response time)
+function generateExternalLinksTableHtml(links) {
+  let html = '<table border="1" style="border-collapse: collapse; width: 100%;" class="filterable-table">';
+  html += '<thead style="background-color: #f2f2f2;"><tr>' + 
+          '<th>#</th>' +
+          '<th>Text</th>' + 
+          '<th>URL</th>' + 
+          '<th>Domain</th>' + 
+          `<th>${links.some(link => link.sources) ? 'Found On' : 'Section'}</th>` +
+          '<th>Available</th>' + 
+          '<th>HTTP Status</th>' +
+          '<th>Redirect Target</th>' +
+          '<th>Response Time</th>' +
+          '<th>Details</th>' +
+          '</tr></thead>';
+  html += '<tbody>';
   
-  // Legacy and other patterns
-  return urlPattern.split('/').pop() || 'Unknown';
+  links.forEach((link, index) => {
+    const check = link.check || {};
+    const status = getExternalLinkStatus(link.check);
+    
+    html += `<tr data-section="${escapeHtml(link.section)}">`;
+    html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+    html += `<td style="padding: 8px;"><strong>${escapeHtml(link.text)}</strong></td>`;
+    html += `<td style="padding: 8px; font-family: monospace; word-break: break-all;"><a href="${escapeHtml(link.href)}" target="_blank">${escapeHtml(link.href)}</a></td>`;
+    html += `<td style="padding: 8px;">${check.hostname ? escapeHtml(check.hostname) : '-'}</td>`;
+    // Crawl results also list the pages the link was found on
+    html += `<td style="padding: 8px;">${link.sources ? link.sources.map(source => `<a href="${escapeHtml(source.page)}" target="_blank">${escapeHtml(source.page)}</a> (${escapeHtml(source.section)})`).join('<br>') : escapeHtml(link.section)}</td>`;
+    html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
+    html += `<td style="padding: 8px; text-align: center;">${check.status ? `${check.status} (${check.method})` : '-'}</td>`;
+    html += `<td style="padding: 8px; font-family: monospace; word-break: break-all;">${check.finalUrl ? `<a href="${escapeHtml(check.finalUrl)}" target="_blank">${escapeHtml(check.finalUrl)}</a>` : '-'}</td>`;
+    html += `<td style="padding: 8px; text-align: center;">${check.responseTime !== null && check.responseTime !== undefined ? `${check.responseTime} ms` : '-'}</td>`;
+    html += `<td style="padding: 8px;">${escapeHtml(check.skipped || check.error || (check.viaProxy ? 'Checked through the proxy' : ''))}</td>`;
+    html += '</tr>';
+  });
+  
+  html += '</tbody></table>';
+  return html;
 }
 
-// Modified enhancedLinkExtractor to include destination availability checking
-async function enhancedLinkExtractorWithAvailabilityCheck(checkAvailability = false) {
-  const mainElement = document.querySelector('.al-main, [id="al-main"]');
-  if (!mainElement) {
-    console.error('Cannot find .al-main element on this page');
-    return null;
+// Helper function to build the summary line above the External table
+function getExternalAuditSummaryHtml(externalAudit) {
+  if (!externalAudit) return '';
+  let html = '<div style="margin-bottom: 10px; padding: 10px; background-color: #f8f8f8; border: 1px solid #ddd; border-radius: 4px;">';
+  html += `<strong>External links:</strong> ${externalAudit.checked} checked - `;
+  html += `<span style="color: green;">${externalAudit.available} available</span>, `;
+  html += `<span style="color: red;">${externalAudit.broken} broken</span>, `;
+  html += `<span style="color: orange;">${externalAudit.redirected} redirected</span>, `;
+  html += `<span style="color: gray;">${externalAudit.unknown} status unknown, ${externalAudit.skipped} skipped</span>`;
+  if (externalAudit.averageResponseTime !== null) {
+    html += ` - average response time ${externalAudit.averageResponseTime} ms`;
   }
+  html += '</div>';
+  return html;
+}
 
-  // Find all sections with class starting with al-sec-
-  const sections = mainElement.querySelectorAll('[class*="al-sec-"]');
-  const result = {
-    summary: {
-      totalLinks: 0,
-      sectionTypes: {},
-      urlPatterns: {}
-    },
-    sections: {},
-    urlPatterns: {}
-  };
+// ==================== AUDIT CONFIG ====================
 
-  // Extract section types and create a map
-  const sectionTypeMap = {};
-  let allLinks = [];
+// Every setting the checkers read instead of a literal. Each entry has a type ('string', 'string[]',
+// 'integer', 'number', 'object' or 'object[]'), an optional minimum and a description.
+// rules and textMatching are handed to configureAvailabilityRules() / configureTextMatching(),
+// so the selectors of every link type (price, user-tools-info, ship list...) are set there.
+const AUDIT_CONFIG_SCHEMA = {
+  // Markup
+  mainSelector: { type: 'string', description: 'Element whose al-sec-* sections are audited' },
+  sectionTitleSelector: { type: 'string', description: 'Title of a section, inside the section element' },
+  specialEndings: { type: 'string[]', description: 'Last path segments that are always special destination pages (skipped)' },
+  destinationSpecialEndings: { type: 'string[]', description: 'Last path segments that are special pages after a destination' },
+  legacySpecialEndings: { type: 'string[]', description: 'Endings that older runs listed as special pages (now checked); only named in the reports' },
+  maintenanceKeywords: { type: 'string[]', description: 'Texts that mark a page as under maintenance (lower case)' },
+  rules: { type: 'object', description: 'Availability rule overrides per link type (see configureAvailabilityRules)' },
+  textMatching: { type: 'object', description: 'Text match mode and threshold per check type (see configureTextMatching)' },
+  routes: { type: 'object[]', description: 'URL routes added to the route table, e.g. { name, match, label, checker, before } (see registerUrlRoute)' },
   
-  sections.forEach(section => {
-    const classes = Array.from(section.classList);
-    let sectionType = null;
+  // Timeouts and delays (ms)
+  pageTimeout: { type: 'integer', min: 1, description: 'Timeout of a checked page' },
+  cruiseTimeout: { type: 'integer', min: 1, description: 'Timeout of a cruise page (slow to render)' },
+  activityTimeout: { type: 'integer', min: 1, description: 'Timeout of the tours page an activity is looked up on' },
+  imageTimeout: { type: 'integer', min: 1, description: 'Timeout of an image request' },
+  externalTimeout: { type: 'integer', min: 1, description: 'Timeout of an off-domain request' },
+  settleDelay: { type: 'integer', min: 0, description: 'Wait after the iframe load event before reading the page' },
+  cruiseSettleDelay: { type: 'integer', min: 0, description: 'Wait after the load event of a cruise page before polling it' },
+  emptyPageDelay: { type: 'integer', min: 0, description: 'Extra wait when an iframe page is still empty after settleDelay' },
+  readyCheckInterval: { type: 'integer', min: 1, description: 'Interval between checks whether a client-rendered page is ready' },
+  maxReadyChecks: { type: 'integer', min: 1, description: 'Checks before a client-rendered page is read as it is' },
+  cruiseMaxReadyChecks: { type: 'integer', min: 1, description: 'Checks before a cruise page is read as it is' },
+  
+  // Retries
+  retryCount: { type: 'integer', min: 1, description: 'Attempts per link (maintenance pages, rate limits, timeouts)' },
+  retryDelay: { type: 'integer', min: 0, description: 'Wait before a retry; rate-limited retries start there and double' },
+  maxRetryDelay: { type: 'integer', min: 0, description: 'Longest wait before a retry, Retry-After included' },
+  
+  // Concurrency and cache
+  concurrency: { type: 'integer', min: 1, description: 'Parallel checks at the start of a run' },
+  maxAdaptiveConcurrent: { type: 'integer', min: 1, description: 'Highest concurrency the adaptive scheduler may reach' },
+  externalConcurrency: { type: 'integer', min: 1, description: 'Parallel requests to other domains' },
+  cacheTtl: { type: 'integer', min: 0, description: 'How long cached check results stay valid' }
+};
+
+const DEFAULT_AUDIT_CONFIG = {
+  mainSelector: '.al-main, [id="al-main"]',
+  sectionTitleSelector: '.al-sec-title h2',
+  specialEndings: ['land-tours', 'ships', 'videos', 'myTrips'],
+  destinationSpecialEndings: ['hotels', 'deals', 'info', 'articles'],
+  legacySpecialEndings: ['cruises', 'tours'],
+  maintenanceKeywords: [
+    'under maintenance',
+    'temporarily unavailable', 
+    'maintenance mode',
+    'service temporarily unavailable',
+    'site maintenance',
+    'under construction',
+    'temporarily down',
+    'service unavailable',
+    '503 service unavailable',
+    'maintenance in progress'
+  ],
+  rules: {},
+  textMatching: {},
+  routes: [],
+  pageTimeout: 15000,
+  cruiseTimeout: 30000,
+  activityTimeout: 10000,
+  imageTimeout: 15000,
+  externalTimeout: DEFAULT_EXTERNAL_TIMEOUT,
+  settleDelay: 2000,
+  cruiseSettleDelay: 1000,
+  emptyPageDelay: 3000,
+  readyCheckInterval: READY_CHECK_INTERVAL,
+  maxReadyChecks: DEFAULT_MAX_READY_CHECKS,
+  cruiseMaxReadyChecks: 40,
+  retryCount: 3,
+  retryDelay: DEFAULT_RETRY_BASE_DELAY,
+  maxRetryDelay: DEFAULT_MAX_RETRY_DELAY,
+  concurrency: 3,
+  maxAdaptiveConcurrent: DEFAULT_MAX_ADAPTIVE_CONCURRENT,
+  externalConcurrency: DEFAULT_EXTERNAL_CONCURRENCY,
+  cacheTtl: DEFAULT_CACHE_TTL
+};
+
+// Storage key and URL parameter loadAuditConfig() reads
+const AUDIT_CONFIG_STORAGE_KEY = 'al-audit-config';
+const AUDIT_CONFIG_URL_PARAM = 'alAuditConfig';
+
+// The active config (defaults plus configureAudit() overrides)
+let auditConfig = JSON.parse(JSON.stringify(DEFAULT_AUDIT_CONFIG));
+
+// Function to validate a (partial) config object against AUDIT_CONFIG_SCHEMA
+// Returns a list of problems, empty when the config is valid
+function validateAuditConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Audit config must be an object'];
+  }
+  
+  const errors = [];
+  Object.keys(config).forEach(key => {
+    const field = AUDIT_CONFIG_SCHEMA[key];
+    const value = config[key];
     
-    // Find the class that starts with al-sec-
-    for (const className of classes) {
-      if (className.startsWith('al-sec-') && className !== 'al-sec-title' && className !== 'al-sec-content') {
-        sectionType = className.replace('al-sec-', '');
-        break;
+    if (!field) {
+      errors.push(`Unknown setting "${key}"`);
+    } else if (field.type === 'string' && (typeof value !== 'string' || !value.trim())) {
+      errors.push(`${key} must be a non-empty string`);
+    } else if (field.type === 'string[]' && (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item))) {
+      errors.push(`${key} must be a list of non-empty strings`);
+    } else if (field.type === 'object' && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      errors.push(`${key} must be an object`);
+    } else if (field.type === 'object[]' && (!Array.isArray(value) || !value.every(item => item && typeof item === 'object' && !Array.isArray(item)))) {
+      errors.push(`${key} must be a list of objects`);
+    } else if ((field.type === 'integer' || field.type === 'number') && typeof value !== 'number') {
+      errors.push(`${key} must be a number`);
+    } else if (field.type === 'integer' && !Number.isInteger(value)) {
+      errors.push(`${key} must be a whole number`);
+    } else if (field.min !== undefined && value < field.min) {
+      errors.push(`${key} must be at least ${field.min}`);
+    }
+  });
+  
+  // Selectors that do not parse would only fail later, on every page
+  ['mainSelector', 'sectionTitleSelector'].forEach(key => {
+    if (typeof config[key] === 'string' && config[key].trim() && typeof document !== 'undefined') {
+      try {
+        document.createDocumentFragment().querySelector(config[key]);
+      } catch (error) {
+        errors.push(`${key} is not a valid CSS selector: ${config[key]}`);
       }
     }
-    
-    if (sectionType) {
-      // Get section title if available
-      let sectionTitle = '';
-      const sectionTitleElement = section.querySelector('.al-sec-title h2');
-      if (sectionTitleElement) {
-        sectionTitle = sectionTitleElement.textContent.trim();
+  });
+  
+  return errors;
+}
+
+// Function to apply a config object, e.g. configureAudit({ pageTimeout: 20000, specialEndings: ['videos'] })
+// Throws with every problem listed when the config does not match the schema (nothing is applied then);
+// problems inside rules, textMatching or routes are thrown by configureAvailabilityRules / configureTextMatching /
+// registerUrlRoute
+function configureAudit(config = {}) {
+  const errors = validateAuditConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid audit config:\n- ${errors.join('\n- ')}`);
+  }
+  
+  if (config.rules) {
+    configureAvailabilityRules(config.rules);
+  }
+  if (config.textMatching) {
+    configureTextMatching(config.textMatching);
+  }
+  if (config.routes) {
+    config.routes.forEach(route => registerUrlRoute(route));
+  }
+  
+  auditConfig = {
+    ...auditConfig,
+    ...JSON.parse(JSON.stringify(config)),
+    rules: { ...auditConfig.rules, ...(config.rules || {}) },
+    textMatching: { ...auditConfig.textMatching, ...(config.textMatching || {}) },
+    routes: auditConfig.routes.concat(config.routes || [])
+  };
+  return getAuditConfig();
+}
+
+// Function to restore the default config (and the default rules, text matching and routes it changed)
+function resetAuditConfig() {
+  auditConfig = JSON.parse(JSON.stringify(DEFAULT_AUDIT_CONFIG));
+  resetAvailabilityRules();
+  resetTextMatching();
+  resetUrlRoutes();
+}
+
+// Function to get a copy of the active config
+function getAuditConfig() {
+  return JSON.parse(JSON.stringify(auditConfig));
+}
+
+// Function to load the config of the browser run and apply it
+// Sources, later ones overriding earlier ones:
+// 1. localStorage['al-audit-config'] (JSON), e.g. saved once per staging site
+// 2. the alAuditConfig URL parameter: inline JSON, or the URL of a JSON file
+//    (?alAuditConfig=/al-audit/staging.json)
+// Options: storage (default: localStorage), url (default: the current page)
+// Returns the applied config; throws when a source cannot be read or is invalid
+async function loadAuditConfig(options = {}) {
+  const storage = options.storage || getDefaultStorage();
+  const pageUrl = options.url || window.location.href;
+  const sources = [];
+  
+  const stored = storage.getItem(AUDIT_CONFIG_STORAGE_KEY);
+  if (stored) {
+    try {
+      sources.push({ name: `localStorage["${AUDIT_CONFIG_STORAGE_KEY}"]`, config: JSON.parse(stored) });
+    } catch (error) {
+      throw new Error(`localStorage["${AUDIT_CONFIG_STORAGE_KEY}"] is not valid JSON: ${error.message}`);
+    }
+  }
+  
+  const param = new URL(pageUrl, window.location.href).searchParams.get(AUDIT_CONFIG_URL_PARAM);
+  if (param) {
+    if (param.trim().startsWith('{')) {
+      try {
+        sources.push({ name: `URL parameter ${AUDIT_CONFIG_URL_PARAM}`, config: JSON.parse(param) });
+      } catch (error) {
+        throw new Error(`URL parameter ${AUDIT_CONFIG_URL_PARAM} is not valid JSON: ${error.message}`);
       }
-      
-      // Create a readable section type name
-      const readableSectionType = sectionType.charAt(0).toUpperCase() + sectionType.slice(1);
-      
-      // Initialize section in results if needed
-      if (!result.sections[readableSectionType]) {
-        result.sections[readableSectionType] = [];
-        result.summary.sectionTypes[readableSectionType] = 0;
+    } else {
+      const configUrl = new URL(param, pageUrl).href;
+      const response = await fetch(configUrl, { credentials: 'same-origin' });
+      if (!response.ok) {
+        throw new Error(`Could not load audit config ${configUrl}: HTTP ${response.status}`);
       }
+      sources.push({ name: configUrl, config: await response.json() });
+    }
+  }
+  
+  sources.forEach(source => {
+    console.log(`⚙️ Applying audit config from ${source.name}`);
+    configureAudit(source.config);
+  });
+  return getAuditConfig();
+}
+
+// Helper function to name the ending of a special destination page ('land-tours' -> 'Land Tours')
+// The legacy endings name the special pages of exported runs from before category pages were checked
+function getSpecialEndingType(href) {
+  const endings = auditConfig.specialEndings.concat(auditConfig.destinationSpecialEndings, auditConfig.legacySpecialEndings);
+  const path = href.split(/[?#]/)[0].replace(/\/+$/, '');
+  const ending = endings.find(candidate => path.endsWith('/' + candidate) || path === candidate);
+  if (!ending) return 'Unknown';
+  
+  return ending
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[-_\s]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Helper function to list the special endings for the report copy ('/land-tours, /ships, ...')
+function getSpecialEndingsText() {
+  return auditConfig.specialEndings.concat(auditConfig.destinationSpecialEndings).map(ending => '/' + ending).join(', ');
+}
+
+// ==================== SECTION QUALITY AUDIT ====================
+
+// Image sources that can never load
+const INVALID_IMAGE_SOURCES = ['#', 'about:blank', 'undefined', 'null'];
+
+// Function to score the tiles of every al-sec-* section
+// Flags tiles without a description or image, empty or broken image srcs, [No text] labels and
+// links repeated within a section. A section's score is the share of passed tile checks (0-100).
+// Options:
+// - checkImages: false to skip loading the image srcs (only empty/invalid srcs are flagged)
+// - baseUrl: URL the image srcs are relative to (default: the current page)
+async function auditSectionQuality(extractionResult, options = {}) {
+  const baseUrl = options.baseUrl || window.location.href;
+  const checkImages = options.checkImages !== false && typeof fetch === 'function';
+  const imageChecks = new Map(); // src -> Promise of checkImageAsset
+  
+  // Images already checked by auditImages are not requested again
+  (extractionResult.images || []).filter(image => image.check).forEach(image => {
+    imageChecks.set(image.src, Promise.resolve(image.check));
+  });
+  
+  const getImageCheck = (src) => {
+    if (!imageChecks.has(src)) {
+      imageChecks.set(src, checkImageAsset(src, { ...options, baseUrl: baseUrl }));
+    }
+    return imageChecks.get(src);
+  };
+  
+  const sections = [];
+  
+  for (const sectionType of Object.keys(extractionResult.sections)) {
+    const expectations = SECTION_QUALITY_EXPECTATIONS[sectionType.toLowerCase()] || { description: null, image: false };
+    
+    for (const section of extractionResult.sections[sectionType]) {
+      const seenHrefs = new Set();
+      const tiles = [];
+      let checksTotal = 0;
+      let checksPassed = 0;
       
-      // Extract links from this section
-      const links = extractLinksFromElement(section);
-      
-      if (links.length > 0) {
-        // Add section info to each link
-        const linksWithSection = links.map(link => ({
-          ...link,
-          section: readableSectionType,
-          sectionTitle: sectionTitle || `${readableSectionType} Section`
-        }));
+      for (const link of section.links) {
+        const issues = [];
+        const addCheck = (passed, issue) => {
+          checksTotal++;
+          if (passed) {
+            checksPassed++;
+          } else {
+            issues.push(issue);
+          }
+        };
         
-        // Add all links to our global list
-        allLinks = [...allLinks, ...linksWithSection];
+        addCheck(link.text !== '[No text]' && link.text !== '[No text label]', 'No text label');
         
-        // Add section to results
-        result.sections[readableSectionType].push({
-          title: sectionTitle || `${readableSectionType} Section`,
-          links: links
-        });
+        const normalizedHref = link.href.replace(/[?#].*$/, '').replace(/\/$/, '');
+        addCheck(!seenHrefs.has(normalizedHref), 'Duplicate link in section');
+        seenHrefs.add(normalizedHref);
         
-        // Update section type counts
-        result.summary.totalLinks += links.length;
-        result.summary.sectionTypes[readableSectionType] += links.length;
+        if (expectations.description) {
+          addCheck(link.hasDescription, 'Missing description');
+        }
         
-        // Update URL pattern counts and organize by URL pattern
-        links.forEach(link => {
-          const pattern = link.urlPattern;
-          
-          // Initialize URL pattern in summary if needed
-          if (!result.summary.urlPatterns[pattern]) {
-            result.summary.urlPatterns[pattern] = 0;
-          }
-          
-          // Initialize URL pattern in results if needed
-          if (!result.urlPatterns[pattern]) {
-            result.urlPatterns[pattern] = [];
+        if (expectations.image || link.image) {
+          addCheck(!!link.image, 'Missing image');
+          if (link.image) {
+            addCheck(!!link.image.src, 'Empty image src');
+            if (link.image.src && (checkImages || INVALID_IMAGE_SOURCES.includes(link.image.src))) {
+              const imageCheck = await getImageCheck(link.image.src);
+              addCheck(imageCheck.loaded, `Broken image src (${imageCheck.error})`);
+            }
           }
-          
-          // Update URL pattern count
-          result.summary.urlPatterns[pattern]++;
-          
-          // Add link to URL patterns section
-          result.urlPatterns[pattern].push({
-            section: readableSectionType,
-            sectionTitle: sectionTitle || `${readableSectionType} Section`,
-            text: link.text,
-            href: link.href
-          });
+        }
+        
+        tiles.push({
+          text: link.text,
+          href: link.href,
+          imageSrc: link.image ? link.image.src : null,
+          issues: issues
         });
       }
+      
+      const score = checksTotal > 0 ? Math.round(checksPassed / checksTotal * 100) : 100;
+      const flaggedTiles = tiles.filter(tile => tile.issues.length > 0);
+      
+      if (flaggedTiles.length > 0) {
+        console.log(`🧩 Section "${section.title}" (${sectionType}): score ${score}, ${flaggedTiles.length} of ${tiles.length} tiles with issues`);
+      }
+      
+      sections.push({
+        section: sectionType,
+        title: section.title,
+        tileCount: tiles.length,
+        flaggedTiles: flaggedTiles.length,
+        score: score,
+        tiles: tiles
+      });
     }
+  }
+  
+  return {
+    averageScore: sections.length > 0 ? Math.round(sections.reduce((sum, section) => sum + section.score, 0) / sections.length) : null,
+    flaggedTiles: sections.reduce((sum, section) => sum + section.flaggedTiles, 0),
+    sections: sections
+  };
+}
+
+// Function to build the Section Quality table of the report
+function generateSectionQualityHtml(sectionQuality) {
+  if (!sectionQuality || sectionQuality.sections.length === 0) return '';
+  
+  let html = '<h2>Section Quality</h2>';
+  html += `<div style="margin-bottom: 10px;"><strong>Average score:</strong> ${sectionQuality.averageScore} / 100 - ${sectionQuality.flaggedTiles} tiles with issues</div>`;
+  html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+  html += '<thead style="background-color: #f2f2f2;"><tr><th>#</th><th>Section Type</th><th>Section Title</th><th>Tiles</th><th>Score</th><th>Issues</th></tr></thead>';
+  html += '<tbody>';
+  
+  sectionQuality.sections.forEach((section, index) => {
+    const scoreColor = section.score >= 90 ? 'green' : section.score >= 70 ? 'orange' : 'red';
+    const issueItems = section.tiles
+      .filter(tile => tile.issues.length > 0)
+      .map(tile => `<li><strong>${escapeHtml(tile.text)}</strong> <span style="font-family: monospace;">${escapeHtml(tile.href)}</span>: ${escapeHtml(tile.issues.join(', '))}</li>`);
+    
+    html += `<tr data-section="${escapeHtml(section.section)}">`;
+    html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+    html += `<td style="padding: 8px;"><strong>${escapeHtml(section.section)}</strong></td>`;
+    html += `<td style="padding: 8px;">${escapeHtml(section.title)}</td>`;
+    html += `<td style="padding: 8px; text-align: center;">${section.tileCount}</td>`;
+    html += `<td style="padding: 8px; text-align: center; color: ${scoreColor};"><strong>${section.score}</strong></td>`;
+    html += `<td style="padding: 8px;">${issueItems.length > 0 ? `<ul style="margin: 0; padding-left: 20px;">${issueItems.join('')}</ul>` : 'No issues'}</td>`;
+    html += '</tr>';
   });
+  
+  html += '</tbody></table>';
+  return html;
+}
 
-  // Check destination availability if requested
-  if (checkAvailability) {
-    console.log('Checking link availability, this may take a while...');
-    
-    const linksToCheck = allLinks.filter(link => {
-  // Always include links from table sections
-  if (link.section === 'Table') {
+// Helper function to decide whether an extracted link goes to the availability check
+function shouldCheckLink(link) {
+  // Links bound to a checker: by their rule, their route or their section's fallback route
+  // (special destination pages too, so they can be marked as skipped with proper reason)
+  if (getLinkChecker(link)) {
     return true;
   }
   
-  // SKIP special destination pages
-  if (link.urlPattern === 'destination-special-page') {
-    return true; // Include them so they can be marked as skipped with proper reason
+  // FLEXIBLE: Include all content patterns so they can be properly marked as skipped
+  if (link.urlPattern.includes('/articles') ||
+      link.urlPattern.includes('/stories') ||
+      link.urlPattern.includes('/deals')) {
+    return true;
   }
   
-  // Simplified pattern checking
-  if (link.urlPattern === 'tour-with-id' || 
-      link.urlPattern === 'cruise-ship' ||
-      link.urlPattern === 'cruise-with-id' ||
-      link.urlPattern === 'tour-activity' ||
-      link.urlPattern === 'tours-category' ||
-      link.urlPattern === 'cruises-category' ||
-      link.urlPattern === 'operator-with-id') {
-    return true;
+  return false;
+}
+
+// Modified enhancedLinkExtractor to include destination availability checking
+// `options` is passed through to the checkers (e.g. { engine: 'fetch' | 'iframe' | 'auto' }).
+// Headless runs pass { interactive: false } to skip the confirmation dialog
+// and { resumable: false } to save no state for resumeAudit().
+async function enhancedLinkExtractorWithAvailabilityCheck(checkAvailability = false, options = {}) {
+  const extraction = extractSectionLinks(document);
+  if (!extraction) {
+    console.error(`Cannot find the main element (${auditConfig.mainSelector}) on this page`);
+    return null;
   }
   
-  // FLEXIBLE: Check multi-level destinations
-  if (link.urlPattern.startsWith('multi-level/destination-') &&
-      isTrueDestination(link.href, link.urlPattern)) {
-    return true;
+  const result = extraction.result;
+  const allLinks = extraction.allLinks;
+  
+  // Identify the run so exported results can be compared later (compareAuditRuns)
+  result.pageUrl = window.location.href;
+  result.extractedAt = new Date().toISOString();
+  
+  // SEO metadata of the audited page (the checked targets get theirs in runLinkCheck)
+  result.pageSeo = collectSeoMetadata(document, window.location.href);
+  if (result.pageSeo) {
+    result.pageSeo.issues = getSeoIssues({ url: window.location.href, available: true, seo: result.pageSeo });
   }
   
-  // Legacy destination patterns
-  if ((link.urlPattern === 'destination' || link.urlPattern === 'destination/subdestination') &&
-      isTrueDestination(link.href, link.urlPattern)) {
-    return true;
+  // Load every section image once (options.checkImages: false to skip)
+  if (options.checkImages !== false && result.images.length > 0) {
+    result.imageAudit = await auditImages(result.images, options);
   }
   
-  // FLEXIBLE: Include all content patterns so they can be properly marked as skipped
-  if (link.urlPattern.includes('/articles') ||
-      link.urlPattern.includes('/stories') ||
-      link.urlPattern.includes('/deals')) {
-    return true;
+  // Score the tiles of each section (options.sectionQuality: false to skip)
+  if (options.sectionQuality !== false) {
+    result.sectionQuality = await auditSectionQuality(result, options);
   }
   
-  return false;
-});
+  // Request the off-domain links (options.checkExternal: true to enable)
+  if (options.checkExternal) {
+    result.externalLinks = allLinks
+      .filter(link => link.urlPattern === 'external')
+      .map(link => ({ text: link.text, href: link.href, section: link.section, sectionTitle: link.sectionTitle }));
+    if (result.externalLinks.length > 0) {
+      result.externalAudit = await checkExternalLinks(result.externalLinks, options);
+    }
+  }
+
+  // Check destination availability if requested
+  if (checkAvailability) {
+    console.log('Checking link availability, this may take a while...');
+    
+    const linksToCheck = allLinks.filter(shouldCheckLink);
     
     // Count links by type for the confirmation dialog
     const tourCount = linksToCheck.filter(l => 
@@ -1818,6 +5116,14 @@ async function enhancedLinkExtractorWithAvailabilityCheck(checkAvailability = fa
       l.urlPattern === 'tour-activity'
     ).length;
     
+    const operatorCount = linksToCheck.filter(l => 
+      l.urlPattern === 'operator-with-id'
+    ).length;
+    
+    const categoryCount = linksToCheck.filter(l => 
+      l.urlPattern === 'tours-category' || l.urlPattern === 'cruises-category'
+    ).length;
+    
     // Count special destination pages that will be skipped
     const specialDestinationCount = linksToCheck.filter(l => 
       l.urlPattern === 'destination-special-page'
@@ -1828,31 +5134,30 @@ async function enhancedLinkExtractorWithAvailabilityCheck(checkAvailability = fa
     
     if (linksToCheck.length > 0) {
       // Show a confirmation dialog with the number of links to check
-      const confirmCheck = confirm(
+      const confirmCheck = options.interactive === false || confirm(
         `This will check availability for ${linksToCheck.length} links:\n` +
         `- ${destCount + multiLevelDestCount} destination links (all levels - user-tools-info check)\n` +
         `- ${tourCount} tour links\n` +
         `- ${cruiseShipCount} cruise ship links (ship list check)\n` +
         `- ${cruiseCount} cruise links (price check)\n` +
         `- ${activityCount} activity links\n` +
+        `- ${operatorCount} operator links (priced tours/cruises check)\n` +
+        `- ${categoryCount} tours/cruises category links (result count check)\n` +
         `- ${tableCount} table links\n` +
-        `- ${specialDestinationCount} special destination pages (will be skipped: /land-tours, /ships, /videos, /myTrips, /articles)\n\n` +
-        `This process may take several minutes and open multiple iframes.\n\n` +
+        `- ${specialDestinationCount} special destination pages (will be skipped: ${getSpecialEndingsText()})\n\n` +
+        `This process may take several minutes (pages are fetched, with a hidden iframe fallback for client-rendered pages).\n\n` +
         `Do you want to continue?`
       );
       
       if (confirmCheck) {
+        // Save the run as it progresses so resumeAudit() can pick it up after a reload
+        const auditState = options.resumable === false ? null : createAuditState(result, linksToCheck, options);
+        
         // Check availability of links
-        const checkedLinks = await checkDestinationsAvailability(linksToCheck);
+        const checkedLinks = await checkDestinationsAvailability(linksToCheck, options.maxConcurrent || auditConfig.concurrency, { ...options, auditState: auditState });
         
         // Add availability information to results
-        result.availability = {
-          checkedLinks: checkedLinks.length,
-          available: checkedLinks.filter(link => link.checkResult.available).length,
-          unavailable: checkedLinks.filter(link => link.checkResult.available === false).length,
-          unknown: checkedLinks.filter(link => link.checkResult.available === null).length,
-          details: checkedLinks
-        };
+        result.availability = summarizeAvailability(checkedLinks);
       }
     } else {
       console.log('No links found to check.');
@@ -1873,6 +5178,18 @@ async function enhancedLinkExtractorWithAvailabilityCheck(checkAvailability = fa
     console.log(`- ${pattern}: ${result.summary.urlPatterns[pattern]} links`);
   });
   
+  if (result.imageAudit) {
+    console.log(`\nImages: ${result.imageAudit.checked} checked, ${result.imageAudit.broken} broken, ${result.imageAudit.oversized} oversized, ${result.imageAudit.missingAlt} without alt text`);
+  }
+  
+  if (result.externalAudit) {
+    console.log(`\nExternal links: ${result.externalAudit.checked} checked, ${result.externalAudit.broken} broken, ${result.externalAudit.redirected} redirected, ${result.externalAudit.skipped} skipped`);
+  }
+  
+  if (result.sectionQuality && result.sectionQuality.averageScore !== null) {
+    console.log(`\nSection quality: average score ${result.sectionQuality.averageScore}/100, ${result.sectionQuality.flaggedTiles} tiles with issues`);
+  }
+  
   // Print availability results if checked
   if (result.availability) {
     console.log('\n=== AVAILABILITY RESULTS ===');
@@ -1885,6 +5202,249 @@ async function enhancedLinkExtractorWithAvailabilityCheck(checkAvailability = fa
   return result;
 }
 
+// Helper function to turn an href into a normalized absolute URL (no hash, no trailing slash)
+function normalizeAbsoluteUrl(href, baseUrl) {
+  try {
+    const urlObj = new URL(href, baseUrl);
+    urlObj.hash = '';
+    if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+      urlObj.pathname = urlObj.pathname.slice(0, -1);
+    }
+    return urlObj.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper function to read the page URLs listed in a sitemap (follows one level of sitemap indexes)
+async function loadSitemapUrls(sitemapUrl) {
+  const fetchSitemap = async (url) => {
+    const response = await fetch(url, { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`Sitemap ${url} returned HTTP ${response.status}`);
+    }
+    return new DOMParser().parseFromString(await response.text(), 'application/xml');
+  };
+  
+  const readLocs = (xmlDoc, parentTag) => Array.from(xmlDoc.getElementsByTagName(parentTag))
+    .map(parent => parent.getElementsByTagName('loc')[0])
+    .filter(loc => loc && loc.textContent.trim())
+    .map(loc => loc.textContent.trim());
+  
+  const sitemapDoc = await fetchSitemap(sitemapUrl);
+  const urls = readLocs(sitemapDoc, 'url');
+  
+  // Sitemap index: collect the pages of every nested sitemap
+  for (const nestedUrl of readLocs(sitemapDoc, 'sitemap')) {
+    try {
+      urls.push(...readLocs(await fetchSitemap(nestedUrl), 'url'));
+    } catch (error) {
+      console.log(`⚠️ Skipping nested sitemap: ${error.message}`);
+    }
+  }
+  
+  return urls;
+}
+
+// Helper function to decide whether the crawler should visit a linked page
+// (destinations, subdestinations and activity pages)
+function isCrawlablePage(link) {
+  if (link.urlPattern === 'tour-activity' || link.urlPattern === 'multi-level/tours/activity') {
+    return true;
+  }
+  
+  return (link.urlPattern.startsWith('multi-level/destination-') ||
+          link.urlPattern === 'destination' ||
+          link.urlPattern === 'destination/subdestination') &&
+         isTrueDestination(link.href, link.urlPattern);
+}
+
+// Function to crawl the site and check every link found on the visited pages
+// Options:
+// - seeds: page URLs to start from (default: the current page)
+// - sitemapUrl: sitemap whose pages are added to the seeds
+// - maxDepth: how many link levels to follow from the seeds (default: 2)
+// - maxPages: stop after visiting this many pages (default: 50)
+// - checkAvailability: set to false to only collect links
+// Other options (engine, maxConcurrent) are passed on to checkDestinationsAvailability.
+// Each URL is checked once, no matter how many pages link to it.
+async function crawlSite(options = {}) {
+  const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 2;
+  const maxPages = options.maxPages || 50;
+  const seeds = options.seeds && options.seeds.length > 0 ? options.seeds : [window.location.href];
+  const crawlOrigin = new URL(seeds[0], window.location.href).origin;
+  
+  const queue = [];
+  const queued = new Set();
+  const pages = [];
+  const linkIndex = new Map(); // crawl key -> { link, sources }
+  
+  const enqueue = (url, depth, foundOn) => {
+    const normalizedUrl = normalizeAbsoluteUrl(url, window.location.href);
+    if (!normalizedUrl || queued.has(normalizedUrl)) return;
+    if (new URL(normalizedUrl).origin !== crawlOrigin) return;
+    
+    queued.add(normalizedUrl);
+    queue.push({ url: normalizedUrl, depth: depth, foundOn: foundOn });
+  };
+  
+  seeds.forEach(seed => enqueue(seed, 0, null));
+  
+  if (options.sitemapUrl) {
+    try {
+      const sitemapUrls = await loadSitemapUrls(new URL(options.sitemapUrl, window.location.href).href);
+      console.log(`🗺️ Sitemap lists ${sitemapUrls.length} pages`);
+      sitemapUrls.forEach(url => enqueue(url, 0, 'sitemap'));
+    } catch (error) {
+      console.error(`Could not read sitemap: ${error.message}`);
+    }
+  }
+  
+  // Visit pages breadth-first and collect their links
+  while (queue.length > 0 && pages.length < maxPages) {
+    const current = queue.shift();
+    console.log(`🕷️ Crawling ${pages.length + 1}/${maxPages} (depth ${current.depth}): ${current.url}`);
+    
+    const page = await loadPage(current.url, { engine: options.engine, timeout: auditConfig.pageTimeout });
+    const pageInfo = {
+      url: current.url,
+      depth: current.depth,
+      foundOn: current.foundOn,
+      httpStatus: page.response ? page.response.status : null,
+      linkCount: 0,
+      error: null
+    };
+    pages.push(pageInfo);
+    
+    try {
+      if (page.error) {
+        pageInfo.error = page.error.message;
+        continue;
+      }
+      if (page.response && !page.response.ok) {
+        pageInfo.error = `HTTP ${page.response.status}`;
+        continue;
+      }
+      
+      const extraction = extractSectionLinks(page.doc);
+      if (!extraction) {
+        pageInfo.error = `No main element (${auditConfig.mainSelector}) found`;
+        continue;
+      }
+      
+      pageInfo.linkCount = extraction.allLinks.length;
+      
+      // Tile quality of the page's sections (image srcs are relative to the crawled page)
+      if (options.sectionQuality !== false) {
+        const sectionQuality = await auditSectionQuality(extraction.result, { ...options, baseUrl: current.url });
+        pageInfo.sectionScore = sectionQuality.averageScore;
+        pageInfo.flaggedTiles = sectionQuality.flaggedTiles;
+      }
+      
+      extraction.allLinks.forEach(link => {
+        const absoluteUrl = normalizeAbsoluteUrl(link.href, current.url);
+        if (!absoluteUrl) return;
+        
+        // Cruise ships are checked against the tours page of the page linking to them
+        const crawlKey = link.urlPattern === 'cruise-ship' ? `${absoluteUrl} @ ${current.url}` : absoluteUrl;
+        
+        if (!linkIndex.has(crawlKey)) {
+          linkIndex.set(crawlKey, {
+            link: { ...link, absoluteUrl: absoluteUrl, pageUrl: current.url, crawlKey: crawlKey },
+            sources: []
+          });
+        }
+        linkIndex.get(crawlKey).sources.push({
+          page: current.url,
+          section: link.section,
+          sectionTitle: link.sectionTitle,
+          text: link.text
+        });
+        
+        if (current.depth < maxDepth && isCrawlablePage(link)) {
+          enqueue(absoluteUrl, current.depth + 1, current.url);
+        }
+      });
+    } finally {
+      page.release();
+    }
+  }
+  
+  const uniqueLinks = Array.from(linkIndex.values());
+  const linksToCheck = uniqueLinks
+    .filter(entry => shouldCheckLink(entry.link))
+    .map(entry => entry.link);
+  
+  let checkedLinks = [];
+  if (options.checkAvailability !== false && linksToCheck.length > 0) {
+    console.log(`Checking ${linksToCheck.length} unique links found on ${pages.length} pages...`);
+    checkedLinks = await checkDestinationsAvailability(linksToCheck, options.maxConcurrent || auditConfig.concurrency, options);
+  }
+  
+  const details = checkedLinks.map(checked => ({
+    ...checked,
+    sources: linkIndex.get(checked.crawlKey).sources
+  }));
+  
+  // Off-domain links are requested once for the whole site (options.checkExternal)
+  let externalLinks = null;
+  let externalAudit = null;
+  if (options.checkExternal) {
+    externalLinks = uniqueLinks
+      .filter(entry => entry.link.urlPattern === 'external')
+      .map(entry => ({
+        text: entry.link.text,
+        href: entry.link.absoluteUrl,
+        section: entry.link.section,
+        sectionTitle: entry.link.sectionTitle,
+        sources: entry.sources
+      }));
+    if (externalLinks.length > 0) {
+      externalAudit = await checkExternalLinks(externalLinks, options);
+    }
+  }
+  
+  const crawlResult = {
+    crawledAt: new Date().toISOString(),
+    seeds: seeds,
+    sitemapUrl: options.sitemapUrl || null,
+    maxDepth: maxDepth,
+    maxPages: maxPages,
+    summary: {
+      pagesVisited: pages.length,
+      pagesNotVisited: queue.length,
+      uniqueLinks: uniqueLinks.length,
+      checkedLinks: details.length,
+      available: details.filter(link => link.checkResult.available).length,
+      unavailable: details.filter(link => link.checkResult.available === false).length,
+      unknown: details.filter(link => link.checkResult.available === null).length,
+      fromCache: details.filter(link => link.checkResult.fromCache).length,
+      priceAnomalies: details.filter(link => link.checkResult.priceAnomalies && link.checkResult.priceAnomalies.length > 0).length,
+      labelMismatches: details.filter(link => link.checkResult.labelCheck && link.checkResult.labelCheck.mismatch).length,
+      seoIssues: details.filter(link => link.checkResult.seoIssues && link.checkResult.seoIssues.length > 0).length,
+      retiredRedirects: details.filter(link => link.checkResult.redirect && link.checkResult.redirect.retired).length,
+      externalBroken: externalAudit ? externalAudit.broken : 0
+    },
+    pages: pages,
+    brokenLinks: details.filter(link => link.checkResult.available === false),
+    details: details,
+    externalLinks: externalLinks,
+    externalAudit: externalAudit
+  };
+  
+  console.log('=== CRAWL RESULTS ===');
+  console.log(`Pages visited: ${crawlResult.summary.pagesVisited} (${crawlResult.summary.pagesNotVisited} left in queue)`);
+  console.log(`Unique links: ${crawlResult.summary.uniqueLinks}, checked: ${crawlResult.summary.checkedLinks}`);
+  console.log(`- Available: ${crawlResult.summary.available}`);
+  console.log(`- Unavailable: ${crawlResult.summary.unavailable}`);
+  console.log(`- Unknown/Skipped: ${crawlResult.summary.unknown}`);
+  if (externalAudit) {
+    console.log(`External links: ${externalAudit.checked} checked, ${externalAudit.broken} broken, ${externalAudit.redirected} redirected`);
+  }
+  
+  return crawlResult;
+}
+
 // Function to update the section filter dropdown with all section types
 function updateSectionFilterDropdown(relevantResults, skippedResults) {
   const sectionTypes = new Set();
@@ -1954,6 +5514,36 @@ function generateHtmlTable(data) {
   
   html += '</tbody></table>';
   
+  // SEO metadata of the audited page itself
+  if (data.pageSeo) {
+    const pageSeo = data.pageSeo;
+    html += '<h2>Page SEO</h2>';
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+    html += '<tbody>';
+    html += `<tr><th style="padding: 8px; text-align: left; width: 200px;">Canonical</th><td style="padding: 8px; font-family: monospace;">${pageSeo.canonical || '-'}</td></tr>`;
+    html += `<tr><th style="padding: 8px; text-align: left;">Robots</th><td style="padding: 8px;">${pageSeo.robots || 'index'}</td></tr>`;
+    html += `<tr><th style="padding: 8px; text-align: left;">Meta Description</th><td style="padding: 8px;">${pageSeo.metaDescription || '<span style="color: red;">missing</span>'}</td></tr>`;
+    html += `<tr><th style="padding: 8px; text-align: left;">og: Tags</th><td style="padding: 8px;">${Object.keys(pageSeo.og).map(key => `${key}: ${pageSeo.og[key]}`).join('<br>') || '-'}</td></tr>`;
+    html += `<tr><th style="padding: 8px; text-align: left;">hreflang</th><td style="padding: 8px;">${pageSeo.hreflang.map(alternate => `${alternate.lang}: ${alternate.href}`).join('<br>') || '-'}</td></tr>`;
+    html += `<tr><th style="padding: 8px; text-align: left;">JSON-LD</th><td style="padding: 8px;">${pageSeo.jsonLd.map(item => item.type + (item.name ? ` (${item.name})` : '')).join('<br>') || '-'}</td></tr>`;
+    html += `<tr><th style="padding: 8px; text-align: left;">Issues</th><td style="padding: 8px; color: darkorange;">${pageSeo.issues.map(issue => issue.message).join('<br>') || '<span style="color: green;">None</span>'}</td></tr>`;
+    html += '</tbody></table>';
+  }
+  
+  // Tile quality per section
+  html += generateSectionQualityHtml(data.sectionQuality);
+  
+  // Without availability data there are no tabs, so the images get their own table
+  if (!data.availability && data.images && data.images.length > 0) {
+    html += '<h2>Images</h2>';
+    html += generateImagesTableHtml(data.images);
+  }
+  if (!data.availability && data.externalLinks && data.externalLinks.length > 0) {
+    html += '<h2>External Links</h2>';
+    html += getExternalAuditSummaryHtml(data.externalAudit);
+    html += generateExternalLinksTableHtml(data.externalLinks);
+  }
+  
   // If we have availability data, add that table
   if (data.availability) {
     html += '<h2>Link Availability Check Results</h2>';
@@ -1962,18 +5552,38 @@ function generateHtmlTable(data) {
     html += `<span style="color: green;">${data.availability.available} available</span>, `;
     html += `<span style="color: red;">${data.availability.unavailable} unavailable</span>, `;
     html += `<span style="color: gray;">${data.availability.unknown} unknown/skipped</span>`;
+    if (data.availability.fromCache) {
+      html += ` (${data.availability.fromCache} from cache)`;
+    }
+    if (data.availability.priceAnomalies) {
+      html += ` - <span style="color: red;"><strong>${data.availability.priceAnomalies} price alerts</strong></span>`;
+    }
+    if (data.availability.labelMismatches) {
+      html += ` - <span style="color: orange;"><strong>${data.availability.labelMismatches} label mismatches</strong></span>`;
+    }
+    if (data.availability.retiredRedirects) {
+      html += ` - <span style="color: red;"><strong>${data.availability.retiredRedirects} redirected (likely retired)</strong></span>`;
+    }
+    if (data.availability.seoIssues) {
+      html += ` - <span style="color: darkorange;"><strong>${data.availability.seoIssues} pages with SEO issues</strong></span>`;
+    }
     html += '</div>';
     
     // Filter out skipped links for cleaner results, but show special destination pages in skipped tab
+    // (tabs and details follow the report type of each link's route, see getLinkType)
     const relevantResults = data.availability.details.filter(link => 
-      !link.checkResult.skipped || link.urlPattern === 'destination-special-page'
+      !link.checkResult.skipped || getLinkType(link.urlPattern) === 'special'
     );
     const skippedResults = data.availability.details.filter(link => 
-      link.checkResult.skipped && link.urlPattern !== 'destination-special-page'
+      link.checkResult.skipped && getLinkType(link.urlPattern) !== 'special'
     );
     const specialDestinationResults = data.availability.details.filter(link => 
-      link.urlPattern === 'destination-special-page'
+      getLinkType(link.urlPattern) === 'special'
     );
+    const labelMismatchResults = data.availability.details.filter(link => 
+      link.checkResult.labelCheck && link.checkResult.labelCheck.mismatch
+    );
+    const seoResults = data.availability.details.filter(link => link.checkResult.seo);
     
     // Create tabs for different link types and section filters
     html += '<div class="tab-container" style="margin-bottom: 20px;">';
@@ -1987,6 +5597,15 @@ function generateHtmlTable(data) {
     html += '<button class="tab-button" data-tab="cruise-ships" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">Cruise Ships</button>';
     html += '<button class="tab-button" data-tab="cruises" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">Cruises</button>';
     html += '<button class="tab-button" data-tab="activities" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">Activities</button>';
+    html += '<button class="tab-button" data-tab="operators" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">Operators</button>';
+    if (data.images && data.images.length > 0) {
+      html += `<button class="tab-button" data-tab="images" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">Images (${data.images.length})</button>`;
+    }
+    if (data.externalLinks && data.externalLinks.length > 0) {
+      html += `<button class="tab-button" data-tab="external" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">External (${data.externalLinks.length})</button>`;
+    }
+    html += `<button class="tab-button" data-tab="seo" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">SEO (${data.availability.seoIssues || 0} issues)</button>`;
+    html += `<button class="tab-button" data-tab="label-mismatches" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">Label Mismatches (${labelMismatchResults.length})</button>`;
     if (specialDestinationResults.length > 0) {
       html += '<button class="tab-button" data-tab="special-destinations" style="padding: 8px 12px; margin-right: 5px; cursor: pointer; background-color: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;">Special Destination Pages</button>';
     }
@@ -2011,7 +5630,7 @@ html += '<select id="availability-status-filter" style="padding: 8px; border-rad
 html += '<option value="all">All Status</option>';
 html += '<option value="available">Available Only</option>';
 html += '<option value="unavailable">Unavailable Only</option>';
-html += '<option value="broken">Broken Links (404)</option>';
+html += '<option value="broken">Broken Links (404 / HTTP errors)</option>';
 html += '<option value="maintenance">Under Maintenance</option>';
 html += '<option value="timeout">Timeout</option>';
 html += '<option value="unknown">Unknown/Skipped</option>';
@@ -2035,34 +5654,13 @@ html += '</div>'; // End filter container
     html += '<tbody>';
     
     const allLinksExcludingSpecial = relevantResults.filter(link => 
-      link.urlPattern !== 'destination-special-page'
+      getLinkType(link.urlPattern) !== 'special'
     );
     
     allLinksExcludingSpecial.forEach((link, index) => {
       const result = link.checkResult;
       
-      // Determine availability color and text based on final status
-      let availabilityColor, availabilityText;
-      
-      if (result.finalStatus === 'broken_link_404') {
-        availabilityColor = 'purple';
-        availabilityText = 'Broken 404';
-      } else if (result.finalStatus === 'under_maintenance') {
-        availabilityColor = 'orange';
-        availabilityText = 'Maintenance';
-      } else if (result.finalStatus === 'timeout') {
-        availabilityColor = 'gray';
-        availabilityText = 'Timeout';
-      } else if (result.available) {
-        availabilityColor = 'green';
-        availabilityText = 'Yes';
-      } else if (result.available === false) {
-        availabilityColor = 'red';
-        availabilityText = 'No';
-      } else {
-        availabilityColor = 'gray';
-        availabilityText = 'Unknown';
-      }
+      const status = getAvailabilityStatus(result);
       
       html += `<tr data-section="${link.section || ''}">`;
       html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
@@ -2070,54 +5668,55 @@ html += '</div>'; // End filter container
       html += `<td style="padding: 8px;"><strong>${link.text}</strong></td>`;
       html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
       html += `<td style="padding: 8px;">${link.section || ''}</td>`;
-      html += `<td style="padding: 8px; color: ${availabilityColor}; text-align: center;"><strong>${availabilityText}</strong></td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
       
       // Different details based on link type
+      const linkType = getLinkType(link.urlPattern);
       html += '<td style="padding: 8px;">';
-      if (link.urlPattern === 'tour-with-id') {
+      if (linkType === 'tour') {
         html += `Tour ID: <strong>${result.tourId || '-'}</strong><br>`;
-        if (result.finalStatus === 'broken_link_404') {
-          html += `<span style="color: red;">Broken Link 404 - Page not found</span>`;
-        } else if (result.finalStatus === 'under_maintenance') {
-          html += `<span style="color: orange;">Under maintenance (tried ${result.retryAttempts || 1} times)</span>`;
-        } else if (result.finalStatus === 'timeout') {
-          html += `<span style="color: gray;">Timeout after ${result.retryAttempts || 1} attempts</span>`;
+        if (getFailureStatus(result)) {
+          html += getFailureStatusHtml(result);
         } else {
-          html += `Price: <strong>${result.priceText || 'Not found'}</strong><br>`;
+          html += `Price: <strong>${result.priceText || 'Not found'}</strong>${getPriceAnomalyHtml(result)}<br>`;
           html += `${result.departureInfo || ''} ${result.durationInfo || ''}`;
         }
-      } else if (link.urlPattern === 'cruise-ship') {
+      } else if (linkType === 'cruiseShip') {
         html += `Ship: <strong>${result.shipName || '-'}</strong><br>`;
-        if (result.finalStatus === 'broken_link_404') {
-          html += `<span style="color: red;">Broken Link 404 - Page not found</span>`;
-        } else if (result.finalStatus === 'under_maintenance') {
-          html += `<span style="color: orange;">Tours page under maintenance (tried ${result.retryAttempts || 1} times)</span>`;
-        } else if (result.finalStatus === 'timeout') {
-          html += `<span style="color: gray;">Tours page timeout after ${result.retryAttempts || 1} attempts</span>`;
+        if (getFailureStatus(result, 'Tours page')) {
+          html += getFailureStatusHtml(result, 'Tours page');
         } else {
           html += `Tours Page: <a href="${result.toursUrl}" target="_blank">Check Tours</a><br>`;
           html += `Ships Available: ${result.shipOptions ? result.shipOptions.length : '0'}`;
         }
-      } else if (link.urlPattern === 'cruise-with-id') {
+      } else if (linkType === 'cruise') {
         html += `Cruise ID: <strong>${result.cruiseId || '-'}</strong><br>`;
-        if (result.finalStatus === 'broken_link_404') {
-          html += `<span style="color: red;">Broken Link 404 - Page not found</span>`;
-        } else if (result.finalStatus === 'under_maintenance') {
-          html += `<span style="color: orange;">Under maintenance (tried ${result.retryAttempts || 1} times)</span>`;
-        } else if (result.finalStatus === 'timeout') {
-          html += `<span style="color: gray;">Timeout after ${result.retryAttempts || 1} attempts</span>`;
+        if (getFailureStatus(result)) {
+          html += getFailureStatusHtml(result);
         } else {
-          html += `Price: <strong>${result.priceText || 'Not found'}</strong><br>`;
+          html += `Price: <strong>${result.priceText || 'Not found'}</strong>${getPriceAnomalyHtml(result)}<br>`;
           html += `${result.departureInfo || ''} ${result.durationInfo || ''}`;
         }
-      } else if (link.urlPattern === 'tour-activity' || link.urlPattern === 'destination/tours/activity') {
+      } else if (linkType === 'category') {
+        html += `Category: <strong>${result.pageTitle || '-'}</strong><br>`;
+        if (getFailureStatus(result)) {
+          html += getFailureStatusHtml(result);
+        } else {
+          html += `Results: <strong>${result.productCount || 0}</strong> (${result.countMethod || '-'})<br>`;
+          html += `Experience options: ${result.experienceOptions ? result.experienceOptions.join(', ') || '0' : '0'}<br>`;
+          html += `Activity options: ${result.activityOptions ? result.activityOptions.join(', ') || '0' : '0'}`;
+        }
+      } else if (linkType === 'operator') {
+        html += `Operator: <strong>${result.operatorName || '-'}</strong><br>`;
+        if (getFailureStatus(result)) {
+          html += getFailureStatusHtml(result);
+        } else {
+          html += `Products: ${result.productCount || 0} (${result.pricedProductCount || 0} with a price)`;
+        }
+      } else if (linkType === 'activity') {
         html += `Activity: <strong>${result.activityText || '-'}</strong><br>`;
-        if (result.finalStatus === 'broken_link_404') {
-          html += `<span style="color: red;">Broken Link 404 - Page not found</span>`;
-        } else if (result.finalStatus === 'under_maintenance') {
-          html += `<span style="color: orange;">Under maintenance (tried ${result.retryAttempts || 1} times)</span>`;
-        } else if (result.finalStatus === 'timeout') {
-          html += `<span style="color: gray;">Timeout after ${result.retryAttempts || 1} attempts</span>`;
+        if (getFailureStatus(result)) {
+          html += getFailureStatusHtml(result);
         } else {
           html += `Experience options: ${result.experienceOptions ? result.experienceOptions.length : '0'}<br>`;
           html += `Activity options: ${result.activityOptions ? result.activityOptions.length : '0'}`;
@@ -2127,17 +5726,16 @@ html += '</div>'; // End filter container
         html += `URL as Text: <strong>${result.urlAsText || '-'}</strong><br>`;
         html += `Level: ${result.destinationLevel || '1'}<br>`;
         html += `Check Method: ${result.checkMethod || 'user-tools-info'}<br>`;
-        if (result.finalStatus === 'broken_link_404') {
-          html += `<span style="color: red;">Broken Link 404 - Page not found</span>`;
-        } else if (result.finalStatus === 'under_maintenance') {
-          html += `<span style="color: orange;">Under maintenance (tried ${result.retryAttempts || 1} times)</span>`;
-        } else if (result.finalStatus === 'timeout') {
-          html += `<span style="color: gray;">Timeout after ${result.retryAttempts || 1} attempts</span>`;
+        if (getFailureStatus(result)) {
+          html += getFailureStatusHtml(result);
         } else {
           html += `User Tools Info: <strong>${result.userToolsInfo || 'Not found'}</strong><br>`;
           html += `Page Title: ${result.pageTitle || '-'}`;
         }
       }
+      html += getSeoIssuesHtml(result);
+      html += getRedirectNoteHtml(result);
+      html += getCacheNoteHtml(result);
       html += '</td>';
       
       html += '</tr>';
@@ -2161,37 +5759,12 @@ html += '</div>'; // End filter container
             '</tr></thead>';
     html += '<tbody>';
     
-    const destinationLinks = relevantResults.filter(link => 
-      link.urlPattern === 'destination' || 
-      link.urlPattern === 'destination/subdestination' ||
-      link.urlPattern.startsWith('multi-level/destination-')
-    );
+    const destinationLinks = relevantResults.filter(link => getLinkType(link.urlPattern) === 'destination');
     
     destinationLinks.forEach((link, index) => {
       const result = link.checkResult;
       
-      // Determine availability color and text based on final status
-      let availabilityColor, availabilityText;
-      
-      if (result.finalStatus === 'broken_link_404') {
-        availabilityColor = 'purple';
-        availabilityText = 'Broken 404';
-      } else if (result.finalStatus === 'under_maintenance') {
-        availabilityColor = 'orange';
-        availabilityText = 'Maintenance';
-      } else if (result.finalStatus === 'timeout') {
-        availabilityColor = 'gray';
-        availabilityText = 'Timeout';
-      } else if (result.available) {
-        availabilityColor = 'green';
-        availabilityText = 'Yes';
-      } else if (result.available === false) {
-        availabilityColor = 'red';
-        availabilityText = 'No';
-      } else {
-        availabilityColor = 'gray';
-        availabilityText = 'Unknown';
-      }
+      const status = getAvailabilityStatus(result);
       
 // Continuation of the generateHtmlTable function and remaining functions
 
@@ -2202,13 +5775,15 @@ html += '</div>'; // End filter container
       html += `<td style="padding: 8px; text-align: center;">${result.destinationLevel || '1'}</td>`;
       html += `<td style="padding: 8px;">${result.checkMethod || 'user-tools-info'}</td>`;
       html += `<td style="padding: 8px;">${link.section || ''}</td>`;
-      html += `<td style="padding: 8px; color: ${availabilityColor}; text-align: center;"><strong>${availabilityText}</strong></td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
       
       // For destinations, show user tools info for all levels
       html += '<td style="padding: 8px;">';
       html += `User Tools Info: <strong>${result.userToolsInfo || 'Not found'}</strong><br>`;
       html += `Page Title: ${result.pageTitle || '-'}<br>`;
       html += `URL as Text: ${result.urlAsText || '-'}`;
+      html += getRedirectNoteHtml(result);
+      html += getCacheNoteHtml(result);
       html += '</td>';
       
       html += '</tr>';
@@ -2228,39 +5803,17 @@ html += '</div>'; // End filter container
             '<th>Section</th>' +
             '<th>Available</th>' + 
             '<th>Price</th>' +
+            '<th>Currency</th>' +
             '<th>Details</th>' +
             '</tr></thead>';
     html += '<tbody>';
     
-    const tourLinks = relevantResults.filter(link => 
-      link.urlPattern === 'tour-with-id'
-    );
+    const tourLinks = relevantResults.filter(link => getLinkType(link.urlPattern) === 'tour');
     
     tourLinks.forEach((link, index) => {
       const result = link.checkResult;
       
-      // Determine availability color and text based on final status
-      let availabilityColor, availabilityText;
-      
-      if (result.finalStatus === 'broken_link_404') {
-        availabilityColor = 'purple';
-        availabilityText = 'Broken 404';
-      } else if (result.finalStatus === 'under_maintenance') {
-        availabilityColor = 'orange';
-        availabilityText = 'Maintenance';
-      } else if (result.finalStatus === 'timeout') {
-        availabilityColor = 'gray';
-        availabilityText = 'Timeout';
-      } else if (result.available) {
-        availabilityColor = 'green';
-        availabilityText = 'Yes';
-      } else if (result.available === false) {
-        availabilityColor = 'red';
-        availabilityText = 'No';
-      } else {
-        availabilityColor = 'gray';
-        availabilityText = 'Unknown';
-      }
+      const status = getAvailabilityStatus(result);
       
       html += `<tr data-section="${link.section || ''}">`;
       html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
@@ -2268,8 +5821,9 @@ html += '</div>'; // End filter container
       html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
       html += `<td style="padding: 8px; text-align: center;">${result.tourId || '-'}</td>`;
       html += `<td style="padding: 8px;">${link.section || ''}</td>`;
-      html += `<td style="padding: 8px; color: ${availabilityColor}; text-align: center;"><strong>${availabilityText}</strong></td>`;
-      html += `<td style="padding: 8px;">${result.priceText || 'Not found'}</td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
+      html += `<td style="padding: 8px;">${result.priceText || 'Not found'}${getPriceAnomalyHtml(result)}</td>`;
+      html += `<td style="padding: 8px; text-align: center;">${result.currency || '-'}</td>`;
       html += `<td style="padding: 8px;">${result.pageTitle || '-'}<br>${result.departureInfo || ''} ${result.durationInfo || ''}</td>`;
       html += '</tr>';
     });
@@ -2292,35 +5846,12 @@ html += '</div>'; // End filter container
             '</tr></thead>';
     html += '<tbody>';
     
-    const cruiseShipLinks = relevantResults.filter(link => 
-      link.urlPattern === 'cruise-ship'
-    );
+    const cruiseShipLinks = relevantResults.filter(link => getLinkType(link.urlPattern) === 'cruiseShip');
     
     cruiseShipLinks.forEach((link, index) => {
       const result = link.checkResult;
       
-      // Determine availability color and text based on final status
-      let availabilityColor, availabilityText;
-      
-      if (result.finalStatus === 'broken_link_404') {
-        availabilityColor = 'purple';
-        availabilityText = 'Broken 404';
-      } else if (result.finalStatus === 'under_maintenance') {
-        availabilityColor = 'orange';
-        availabilityText = 'Maintenance';
-      } else if (result.finalStatus === 'timeout') {
-        availabilityColor = 'gray';
-        availabilityText = 'Timeout';
-      } else if (result.available) {
-        availabilityColor = 'green';
-        availabilityText = 'Yes';
-      } else if (result.available === false) {
-        availabilityColor = 'red';
-        availabilityText = 'No';
-      } else {
-        availabilityColor = 'gray';
-        availabilityText = 'Unknown';
-      }
+      const status = getAvailabilityStatus(result);
       
       html += `<tr data-section="${link.section || ''}">`;
       html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
@@ -2328,7 +5859,7 @@ html += '</div>'; // End filter container
       html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
       html += `<td style="padding: 8px;">${result.shipName || '-'}</td>`;
       html += `<td style="padding: 8px;">${link.section || ''}</td>`;
-      html += `<td style="padding: 8px; color: ${availabilityColor}; text-align: center;"><strong>${availabilityText}</strong></td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
       html += `<td style="padding: 8px; text-align: center;">${result.shipOptions ? result.shipOptions.length : '0'}</td>`;
       
       // Ship details
@@ -2347,6 +5878,8 @@ html += '</div>'; // End filter container
       } else {
         html += 'No ships found in tours page';
       }
+      html += getRedirectNoteHtml(result);
+      html += getCacheNoteHtml(result);
       html += '</td>';
       
       html += '</tr>';
@@ -2366,39 +5899,17 @@ html += '</div>'; // End filter container
             '<th>Section</th>' +
             '<th>Available</th>' + 
             '<th>Price</th>' +
+            '<th>Currency</th>' +
             '<th>Details</th>' +
             '</tr></thead>';
     html += '<tbody>';
     
-    const cruiseLinks = relevantResults.filter(link => 
-      link.urlPattern === 'cruise-with-id'
-    );
+    const cruiseLinks = relevantResults.filter(link => getLinkType(link.urlPattern) === 'cruise');
     
     cruiseLinks.forEach((link, index) => {
       const result = link.checkResult;
       
-      // Determine availability color and text based on final status
-      let availabilityColor, availabilityText;
-      
-      if (result.finalStatus === 'broken_link_404') {
-        availabilityColor = 'purple';
-        availabilityText = 'Broken 404';
-      } else if (result.finalStatus === 'under_maintenance') {
-        availabilityColor = 'orange';
-        availabilityText = 'Maintenance';
-      } else if (result.finalStatus === 'timeout') {
-        availabilityColor = 'gray';
-        availabilityText = 'Timeout';
-      } else if (result.available) {
-        availabilityColor = 'green';
-        availabilityText = 'Yes';
-      } else if (result.available === false) {
-        availabilityColor = 'red';
-        availabilityText = 'No';
-      } else {
-        availabilityColor = 'gray';
-        availabilityText = 'Unknown';
-      }
+      const status = getAvailabilityStatus(result);
       
       html += `<tr data-section="${link.section || ''}">`;
       html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
@@ -2406,8 +5917,9 @@ html += '</div>'; // End filter container
       html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
       html += `<td style="padding: 8px; text-align: center;">${result.cruiseId || '-'}</td>`;
       html += `<td style="padding: 8px;">${link.section || ''}</td>`;
-      html += `<td style="padding: 8px; color: ${availabilityColor}; text-align: center;"><strong>${availabilityText}</strong></td>`;
-      html += `<td style="padding: 8px;">${result.priceText || 'Not found'}</td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
+      html += `<td style="padding: 8px;">${result.priceText || 'Not found'}${getPriceAnomalyHtml(result)}</td>`;
+      html += `<td style="padding: 8px; text-align: center;">${result.currency || '-'}</td>`;
       html += `<td style="padding: 8px;">${result.pageTitle || '-'}<br>${result.departureInfo || ''} ${result.durationInfo || ''}</td>`;
       html += '</tr>';
     });
@@ -2430,35 +5942,12 @@ html += '</div>'; // End filter container
             '</tr></thead>';
     html += '<tbody>';
     
-    const activityLinks = relevantResults.filter(link => 
-      link.urlPattern === 'tour-activity' || link.urlPattern === 'destination/tours/activity'
-    );
+    const activityLinks = relevantResults.filter(link => getLinkType(link.urlPattern) === 'activity');
     
     activityLinks.forEach((link, index) => {
       const result = link.checkResult;
       
-      // Determine availability color and text based on final status
-      let availabilityColor, availabilityText;
-      
-      if (result.finalStatus === 'broken_link_404') {
-        availabilityColor = 'purple';
-        availabilityText = 'Broken 404';
-      } else if (result.finalStatus === 'under_maintenance') {
-        availabilityColor = 'orange';
-        availabilityText = 'Maintenance';
-      } else if (result.finalStatus === 'timeout') {
-        availabilityColor = 'gray';
-        availabilityText = 'Timeout';
-      } else if (result.available) {
-        availabilityColor = 'green';
-        availabilityText = 'Yes';
-      } else if (result.available === false) {
-        availabilityColor = 'red';
-        availabilityText = 'No';
-      } else {
-        availabilityColor = 'gray';
-        availabilityText = 'Unknown';
-      }
+      const status = getAvailabilityStatus(result);
       
       html += `<tr data-section="${link.section || ''}">`;
       html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
@@ -2466,7 +5955,7 @@ html += '</div>'; // End filter container
       html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
       html += `<td style="padding: 8px;">${result.activityText || '-'}</td>`;
       html += `<td style="padding: 8px;">${link.section || ''}</td>`;
-      html += `<td style="padding: 8px; color: ${availabilityColor}; text-align: center;"><strong>${availabilityText}</strong></td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
       
       // Experience options
       html += '<td style="padding: 8px;">';
@@ -2482,6 +5971,8 @@ html += '</div>'; // End filter container
       } else {
         html += 'None found';
       }
+      html += getRedirectNoteHtml(result);
+      html += getCacheNoteHtml(result);
       html += '</td>';
       
       // Activity options
@@ -2498,6 +5989,8 @@ html += '</div>'; // End filter container
       } else {
         html += 'None found';
       }
+      html += getRedirectNoteHtml(result);
+      html += getCacheNoteHtml(result);
       html += '</td>';
       
       html += '</tr>';
@@ -2506,11 +5999,170 @@ html += '</div>'; // End filter container
     html += '</tbody></table>';
     html += '</div>'; // End activities tab
     
+    // Operators tab
+    html += '<div class="tab-content" id="tab-operators" style="display: none;">';
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;" class="filterable-table">';
+    html += '<thead style="background-color: #f2f2f2;"><tr>' + 
+            '<th>#</th>' +
+            '<th>Operator</th>' + 
+            '<th>URL</th>' + 
+            '<th>ID</th>' + 
+            '<th>Section</th>' +
+            '<th>Available</th>' + 
+            '<th>Products</th>' +
+            '<th>Details</th>' +
+            '</tr></thead>';
+    html += '<tbody>';
+    
+    const operatorLinks = relevantResults.filter(link => getLinkType(link.urlPattern) === 'operator');
+    
+    operatorLinks.forEach((link, index) => {
+      const result = link.checkResult;
+      const status = getAvailabilityStatus(result);
+      
+      html += `<tr data-section="${link.section || ''}">`;
+      html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+      html += `<td style="padding: 8px;"><strong>${link.text}</strong></td>`;
+      html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
+      html += `<td style="padding: 8px; text-align: center;">${result.operatorId || '-'}</td>`;
+      html += `<td style="padding: 8px;">${link.section || ''}</td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
+      html += `<td style="padding: 8px; text-align: center;">${result.productCount !== undefined ? `${result.productCount} (${result.pricedProductCount} priced)` : '-'}</td>`;
+      html += '<td style="padding: 8px;">';
+      html += `Operator Name: <strong>${result.operatorName || '-'}</strong><br>`;
+      if (result.products && result.products.length > 0) {
+        html += `Tours: ${result.tourCount}, Cruises: ${result.cruiseCount}<br>`;
+        html += '<ul style="margin: 0; padding-left: 20px;">';
+        result.products.forEach(product => {
+          html += `<li style="color: ${product.price > 0 ? 'green' : 'red'};">${product.title} - ${product.priceText || 'no price'}</li>`;
+        });
+        html += '</ul>';
+      } else {
+        html += result.error || 'No tours or cruises found';
+      }
+      html += getRedirectNoteHtml(result);
+      html += getCacheNoteHtml(result);
+      html += '</td>';
+      html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += '</div>'; // End operators tab
+    
+    // Label Mismatches tab: link labels that differ a lot from the h1 of the page they point to
+    html += '<div class="tab-content" id="tab-label-mismatches" style="display: none;">';
+    if (labelMismatchResults.length > 0) {
+      html += '<div style="margin-bottom: 10px; padding: 10px; background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 4px;">';
+      html += `<strong>Label Mismatches:</strong> Links whose label scores below ${labelMismatchResults[0].checkResult.labelCheck.threshold} similarity (letter pairs, 0-1) to the h1 of the target page.`;
+      html += '</div>';
+    }
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;" class="filterable-table">';
+    html += '<thead style="background-color: #f2f2f2;"><tr>' + 
+            '<th>#</th>' +
+            '<th>Link Label</th>' + 
+            '<th>URL</th>' + 
+            '<th>Link Type</th>' + 
+            '<th>Section</th>' +
+            '<th>Available</th>' +
+            '<th>Target Page Title</th>' + 
+            '<th>Similarity</th>' +
+            '</tr></thead>';
+    html += '<tbody>';
+    
+    labelMismatchResults.forEach((link, index) => {
+      const labelCheck = link.checkResult.labelCheck;
+      
+      html += `<tr data-section="${link.section || ''}">`;
+      html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+      html += `<td style="padding: 8px;"><strong>${link.text}</strong></td>`;
+      html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
+      html += `<td style="padding: 8px;">${getReadableLinkType(link.urlPattern) || link.urlPattern}</td>`;
+      html += `<td style="padding: 8px;">${link.section || ''}</td>`;
+      html += `<td style="padding: 8px; color: ${getAvailabilityStatus(link.checkResult).color}; text-align: center;"><strong>${getAvailabilityStatus(link.checkResult).text}</strong></td>`;
+      html += `<td style="padding: 8px;">${labelCheck.pageTitle}</td>`;
+      html += `<td style="padding: 8px; text-align: center; color: ${labelCheck.score < labelCheck.threshold / 2 ? 'red' : 'orange'};"><strong>${labelCheck.score}</strong></td>`;
+      html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += '</div>'; // End label mismatches tab
+    
+    // SEO tab: metadata of every checked target page, pages with issues first
+    html += '<div class="tab-content" id="tab-seo" style="display: none;">';
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;" class="filterable-table">';
+    html += '<thead style="background-color: #f2f2f2;"><tr>' + 
+            '<th>#</th>' +
+            '<th>Text</th>' + 
+            '<th>URL</th>' + 
+            '<th>Link Type</th>' + 
+            '<th>Section</th>' +
+            '<th>Available</th>' + 
+            '<th>Canonical / Robots</th>' +
+            '<th>Meta Description</th>' +
+            '<th>og: / hreflang</th>' +
+            '<th>JSON-LD</th>' +
+            '<th>Issues</th>' +
+            '</tr></thead>';
+    html += '<tbody>';
+    
+    const sortedSeoResults = seoResults.slice().sort((a, b) => 
+      (b.checkResult.seoIssues || []).length - (a.checkResult.seoIssues || []).length
+    );
+    
+    sortedSeoResults.forEach((link, index) => {
+      const result = link.checkResult;
+      const seo = result.seo;
+      const status = getAvailabilityStatus(result);
+      const jsonLdText = seo.jsonLd.length > 0 ?
+                         seo.jsonLd.map(item => `${item.type}${item.price !== null && item.price !== undefined ? `: ${item.price} ${item.priceCurrency || ''}` : ''}`).join('<br>') :
+                         '-';
+      
+      html += `<tr data-section="${link.section || ''}">`;
+      html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+      html += `<td style="padding: 8px;"><strong>${link.text}</strong></td>`;
+      html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.href}" target="_blank">${link.href}</a></td>`;
+      html += `<td style="padding: 8px;">${getReadableLinkType(link.urlPattern) || link.urlPattern}</td>`;
+      html += `<td style="padding: 8px;">${link.section || ''}</td>`;
+      html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
+      html += `<td style="padding: 8px; font-family: monospace;">${seo.canonical || '<span style="color: gray;">no canonical</span>'}<br>${seo.robots || 'index'}</td>`;
+      html += `<td style="padding: 8px;">${seo.metaDescription ? `${seo.metaDescription.length} chars` : '<span style="color: red;">missing</span>'}</td>`;
+      html += `<td style="padding: 8px;">${Object.keys(seo.og).length} og: tags<br>${seo.hreflang.length > 0 ? seo.hreflang.map(alternate => alternate.lang).join(', ') : 'no hreflang'}</td>`;
+      html += `<td style="padding: 8px;">${jsonLdText}</td>`;
+      html += `<td style="padding: 8px; color: darkorange;">${(result.seoIssues || []).map(issue => issue.message).join('<br>') || '<span style="color: green;">OK</span>'}</td>`;
+      html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += '</div>'; // End SEO tab
+    
+    // Images tab: every img / srcset / background image of the sections with a thumbnail
+    if (data.images && data.images.length > 0) {
+      html += '<div class="tab-content" id="tab-images" style="display: none;">';
+      if (data.imageAudit) {
+        html += '<div style="margin-bottom: 10px; padding: 10px; background-color: #f8f8f8; border: 1px solid #ddd; border-radius: 4px;">';
+        html += `<strong>Images:</strong> ${data.imageAudit.checked} checked - `;
+        html += `<span style="color: red;">${data.imageAudit.broken} broken</span>, `;
+        html += `<span style="color: orange;">${data.imageAudit.oversized} oversized</span> (over ${formatBytes(data.imageAudit.maxImageBytes)} or ${data.imageAudit.maxImageDimension}px), `;
+        html += `${data.imageAudit.missingAlt} without alt text`;
+        html += '</div>';
+      }
+      html += generateImagesTableHtml(data.images);
+      html += '</div>'; // End images tab
+    }
+    
+    // External tab: off-domain links with status code, redirect target and response time
+    if (data.externalLinks && data.externalLinks.length > 0) {
+      html += '<div class="tab-content" id="tab-external" style="display: none;">';
+      html += getExternalAuditSummaryHtml(data.externalAudit);
+      html += generateExternalLinksTableHtml(data.externalLinks);
+      html += '</div>'; // End external tab
+    }
+    
     // Special Destination Pages tab (NEW)
     if (specialDestinationResults.length > 0) {
       html += '<div class="tab-content" id="tab-special-destinations" style="display: none;">';
       html += '<div style="margin-bottom: 10px; padding: 10px; background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 4px;">';
-      html += '<strong>Special Destination Pages:</strong> These are destination URLs with special endings (/land-tours, /ships, /videos, /myTrips, /articles) that are automatically skipped from availability checking.';
+      html += `<strong>Special Destination Pages:</strong> These are destination URLs with special endings (${getSpecialEndingsText()}) that are automatically skipped from availability checking.`;
       html += '</div>';
       html += '<table border="1" style="border-collapse: collapse; width: 100%;" class="filterable-table">';
       html += '<thead style="background-color: #f2f2f2;"><tr>' + 
@@ -2528,17 +6180,7 @@ html += '</div>'; // End filter container
         const result = link.checkResult;
         
         // Extract the ending type from the URL
-        let endingType = 'Unknown';
-        if (link.href.endsWith('land-tours')) endingType = 'Land Tours';
-        else if (link.href.endsWith('ships')) endingType = 'Ships';
-        else if (link.href.endsWith('videos')) endingType = 'Videos';
-        else if (link.href.endsWith('myTrips')) endingType = 'My Trips';
-        else if (link.href.endsWith('articles')) endingType = 'Articles';
-        else if (link.href.endsWith('cruises')) endingType = 'Cruises';
-        else if (link.href.endsWith('tours')) endingType = 'Tours';
-        else if (link.href.endsWith('hotels')) endingType = 'Hotels';
-        else if (link.href.endsWith('deals')) endingType = 'Deals';
-        else if (link.href.endsWith('info')) endingType = 'Info';
+        const endingType = getSpecialEndingType(link.href);
         
         html += `<tr data-section="${link.section || ''}">`;
         html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
@@ -2631,7 +6273,7 @@ function applyAllFilters() {
           rowStatus = 'available';
         } else if (statusText.includes('no')) {
           rowStatus = 'unavailable';
-        } else if (statusText.includes('broken') || statusText.includes('404')) {
+        } else if (statusText.includes('broken') || statusText.includes('404') || statusText.startsWith('http')) {
           rowStatus = 'broken';
         } else if (statusText.includes('maintenance')) {
           rowStatus = 'maintenance';
@@ -2696,15 +6338,103 @@ applyAllFilters();
     `;
   }
   
-  return html;
+  return html;
+}
+
+// Function to build the CSV export of the availability results
+function generateCsvReport(data) {
+  let csv = 'Link Type,Text,URL,Section,Available,Check Method,Level,Details,Currency,From Cache,Price Alert,Label Similarity,SEO Issues,Redirect Chain\n';
+  
+  const availabilityData = data.availability ? data.availability.details : [];
+  
+  availabilityData.forEach(link => {
+    if (!link.checkResult) return;
+    
+    const result = link.checkResult;
+    const linkType = getLinkType(link.urlPattern);
+    
+    // Determine availability text based on final status (special pages are never checked)
+    let availableText = getAvailabilityStatus(result).text;
+    if (availableText === 'Unknown' && linkType === 'special') {
+      availableText = 'Skipped (Special)';
+    }
+    
+    // Create details text based on link type and status
+    let detailsText = '';
+    
+    if (linkType === 'special') {
+      const endingType = getSpecialEndingType(link.href);
+      detailsText = 'Special destination page (' + endingType + ') - automatically skipped';
+    } else if (result.redirect && result.redirect.retired) {
+      detailsText = result.redirect.message + ': ' + result.redirect.to;
+    } else if (getFailureStatus(result)) {
+      detailsText = getFailureStatus(result).text;
+    } else if (linkType === 'tour') {
+      detailsText = 'Tour ID: ' + (result.tourId || '-') + ', Price: ' + (result.priceText || 'Not found');
+    } else if (linkType === 'cruiseShip') {
+      detailsText = 'Ship: ' + (result.shipName || '-') + ', Ships Available: ' + (result.shipOptions ? result.shipOptions.length : '0');
+    } else if (linkType === 'cruise') {
+      detailsText = 'Cruise ID: ' + (result.cruiseId || '-') + ', Price: ' + (result.priceText || 'Not found');
+    } else if (linkType === 'category') {
+      detailsText = 'Results: ' + (result.productCount || 0) +
+                    ', Experiences: ' + (result.experienceOptions ? result.experienceOptions.length : 0) +
+                    ', Activities: ' + (result.activityOptions ? result.activityOptions.length : 0);
+    } else if (linkType === 'operator') {
+      detailsText = 'Operator: ' + (result.operatorName || '-') + ', Products: ' + (result.productCount || 0) +
+                    ' (' + (result.pricedProductCount || 0) + ' with a price)';
+    } else if (linkType === 'activity') {
+      detailsText = 'Activity: ' + (result.activityText || '-');
+    } else {
+      detailsText = 'User Tools Info: ' + (result.userToolsInfo || 'Not found');
+    }
+    
+    // Escape quotes in CSV
+    const escapedText = link.text ? link.text.replace(/"/g, '""') : '';
+    const escapedDetailsText = detailsText.replace(/"/g, '""');
+    const sectionText = link.section || '';
+    const checkMethod = result.checkMethod || 'user-tools-info';
+    const level = result.destinationLevel || '1';
+    const cacheText = result.fromCache ? 'Yes (' + formatCacheAge(result.cacheAgeMs || 0) + ')' : '';
+    const priceAlertText = result.priceAnomalies ? result.priceAnomalies.map(anomaly => anomaly.message).join('; ').replace(/"/g, '""') : '';
+    const labelText = result.labelCheck ? result.labelCheck.score + (result.labelCheck.mismatch ? ' (mismatch)' : '') : '';
+    const redirectText = result.redirect ? result.redirect.chain.map(hop => hop.url + (hop.status ? ' (' + hop.status + ')' : '')).join(' -> ') : '';
+    const seoText = result.seoIssues ? result.seoIssues.map(issue => issue.message).join('; ').replace(/"/g, '""') : '';
+    
+    csv += '"' + (getReadableLinkType(link.urlPattern) || link.urlPattern) + '","' + escapedText + '","' + link.href + '","' + 
+          sectionText + '","' + availableText + '","' + checkMethod + '","' + level + '","' + escapedDetailsText + '","' + (result.currency || '') + '","' + cacheText + '","' + priceAlertText + '","' + labelText + '","' + seoText + '","' + redirectText + '"\n';
+  });
+  
+  // Checked off-domain links (options.checkExternal)
+  (data.externalLinks || []).forEach(link => {
+    if (!link.check) return;
+    
+    const check = link.check;
+    const detailsText = [
+      check.status ? 'HTTP ' + check.status : null,
+      check.responseTime !== null ? check.responseTime + ' ms' : null,
+      check.finalUrl ? 'Redirects to ' + check.finalUrl : null,
+      check.skipped || (check.status ? null : check.error)
+    ].filter(Boolean).join(', ');
+    const redirectText = check.redirectChain.length > 1 ? check.redirectChain.map(hop => hop.url + ' (' + hop.status + ')').join(' -> ') : '';
+    
+    csv += '"External","' + (link.text || '').replace(/"/g, '""') + '","' + link.href + '","' + (link.section || '') + '","' +
+           getExternalLinkStatus(check).text + '","' + (check.method || '') + '","","' + detailsText.replace(/"/g, '""') + '","","","","","","' + redirectText + '"\n';
+  });
+  
+  return csv;
 }
 
-// Function to open results in a new window for better viewing
-function openResultsInNewWindow(data) {
+// Helper function to serialize a value as a script literal of a report
+// (\u003c keeps a "</script>" inside link texts or page titles from closing the script element)
+function serializeForScript(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Function to build the full standalone HTML report (results window and headless runs)
+function generateReportDocument(data) {
   const html = generateHtmlTable(data);
-  const newWindow = window.open('', 'Link Extraction Results', 'width=1000,height=800,scrollbars=yes');
   
-  newWindow.document.write(`
+  return `
     <!DOCTYPE html>
     <html>
     <head>
@@ -2795,7 +6525,7 @@ function openResultsInNewWindow(data) {
           </div>
           
           <div>
-            <span class="summary-count">${data.availability.details.filter(l => l.urlPattern === 'destination-special-page').length}</span>
+            <span class="summary-count">${data.availability.details.filter(l => getLinkType(l.urlPattern) === 'special').length}</span>
             <span style="color: orange;">Special Destination Pages (Skipped)</span>
           </div>
           ` : ''}
@@ -2809,7 +6539,7 @@ function openResultsInNewWindow(data) {
       <button onclick="exportCSV()">Export as CSV</button>
       <script>
         function exportJSON() {
-          const dataStr = JSON.stringify(${JSON.stringify(data)}, null, 2);
+          const dataStr = JSON.stringify(${serializeForScript(data)}, null, 2);
           const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
           const exportFileDefaultName = 'link_extraction_data.json';
           const linkElement = document.createElement('a');
@@ -2819,81 +6549,7 @@ function openResultsInNewWindow(data) {
         }
         
         function exportCSV() {
-          let csv = 'Link Type,Text,URL,Section,Available,Check Method,Level,Details\\n';
-          
-          // Add data from the availability data
-          const availabilityData = ${JSON.stringify(data.availability ? data.availability.details : [])};
-          
-          if (availabilityData && availabilityData.length > 0) {
-            availabilityData.forEach(link => {
-              if (!link.checkResult) return;
-              
-              const result = link.checkResult;
-              
-              // Determine availability text based on final status
-              let availableText;
-              if (result.finalStatus === 'broken_link_404') {
-                availableText = 'Broken 404';
-              } else if (result.finalStatus === 'under_maintenance') {
-                availableText = 'Maintenance';
-              } else if (result.finalStatus === 'timeout') {
-                availableText = 'Timeout';
-              } else if (result.available) {
-                availableText = 'Yes';
-              } else if (result.available === false) {
-                availableText = 'No';
-              } else if (link.urlPattern === 'destination-special-page') {
-                availableText = 'Skipped (Special)';
-              } else {
-                availableText = 'Unknown';
-              }
-              
-              // Create details text based on link type and status
-              let detailsText = '';
-              
-              if (link.urlPattern === 'destination-special-page') {
-                let endingType = 'Unknown';
-                if (link.href.endsWith('land-tours')) endingType = 'Land Tours';
-                else if (link.href.endsWith('ships')) endingType = 'Ships';
-                else if (link.href.endsWith('videos')) endingType = 'Videos';
-                else if (link.href.endsWith('myTrips')) endingType = 'My Trips';
-                else if (link.href.endsWith('articles')) endingType = 'Articles';
-                else if (link.href.endsWith('cruises')) endingType = 'Cruises';
-                else if (link.href.endsWith('tours')) endingType = 'Tours';
-                else if (link.href.endsWith('hotels')) endingType = 'Hotels';
-                else if (link.href.endsWith('deals')) endingType = 'Deals';
-                else if (link.href.endsWith('info')) endingType = 'Info';
-                detailsText = 'Special destination page (' + endingType + ') - automatically skipped';
-              } else if (result.finalStatus === 'broken_link_404') {
-                detailsText = 'Broken Link 404 - Page not found';
-              } else if (result.finalStatus === 'under_maintenance') {
-                detailsText = 'Under maintenance (tried ' + (result.retryAttempts || 1) + ' times)';
-              } else if (result.finalStatus === 'timeout') {
-                detailsText = 'Timeout after ' + (result.retryAttempts || 1) + ' attempts';
-              } else if (link.urlPattern === 'tour-with-id') {
-                detailsText = 'Tour ID: ' + (result.tourId || '-') + ', Price: ' + (result.priceText || 'Not found');
-              } else if (link.urlPattern === 'cruise-ship') {
-                detailsText = 'Ship: ' + (result.shipName || '-') + ', Ships Available: ' + (result.shipOptions ? result.shipOptions.length : '0');
-              } else if (link.urlPattern === 'cruise-with-id') {
-                detailsText = 'Cruise ID: ' + (result.cruiseId || '-') + ', Price: ' + (result.priceText || 'Not found');
-              } else if (link.urlPattern === 'tour-activity' || link.urlPattern === 'destination/tours/activity') {
-                detailsText = 'Activity: ' + (result.activityText || '-');
-              } else {
-                detailsText = 'User Tools Info: ' + (result.userToolsInfo || 'Not found');
-              }
-              
-              // Escape quotes in CSV
-              const escapedText = link.text ? link.text.replace(/"/g, '""') : '';
-              const escapedDetailsText = detailsText.replace(/"/g, '""');
-              const sectionText = link.section || '';
-              const checkMethod = result.checkMethod || 'user-tools-info';
-              const level = result.destinationLevel || '1';
-              
-              csv += '"' + (getReadableLinkType(link.urlPattern) || link.urlPattern) + '","' + escapedText + '","' + link.href + '","' + 
-                    sectionText + '","' + availableText + '","' + checkMethod + '","' + level + '","' + escapedDetailsText + '"\\n';
-            });
-          }
-          
+          const csv = ${serializeForScript(generateCsvReport(data))};
           const dataUri = 'data:text/csv;charset=utf-8,'+ encodeURIComponent(csv);
           const exportFileDefaultName = 'link_extraction_data.csv';
           const linkElement = document.createElement('a');
@@ -2901,40 +6557,486 @@ function openResultsInNewWindow(data) {
           linkElement.setAttribute('download', exportFileDefaultName);
           linkElement.click();
         }
-        
-        // Define getReadableLinkType function for CSV export
-        function getReadableLinkType(urlPattern) {
-          if (urlPattern === 'tour-with-id') return 'Tour';
-          if (urlPattern === 'cruise-ship') return 'Cruise Ship';
-          if (urlPattern === 'cruise-with-id') return 'Cruise';
-          if (urlPattern === 'operator-with-id') return 'Operator';
-          if (urlPattern === 'tour-activity') return 'Activity';
-          if (urlPattern === 'tours-category') return 'Tours';
-          if (urlPattern === 'cruises-category') return 'Cruises';
-          if (urlPattern === 'destination-special-page') return 'Special Destination Page';
-          if (urlPattern.startsWith('multi-level/destination-')) {
-            const level = urlPattern.split('-')[1];
-            return level === '1' ? 'Destination' : 'Subdestination';
-          }
-          if (urlPattern.includes('/articles')) return 'Article';
-          if (urlPattern.includes('/stories')) return 'Story';
-          if (urlPattern.includes('/deals')) return 'Deal';
-          return urlPattern.split('/').pop() || 'Unknown';
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+// Function to open results in a new window for better viewing
+function openResultsInNewWindow(data) {
+  const newWindow = window.open('', 'Link Extraction Results', 'width=1000,height=800,scrollbars=yes');
+  
+  newWindow.document.write(generateReportDocument(data));
+  newWindow.document.close();
+}
+
+// Helper function to describe a check that ended without reading the page (404, HTTP error, maintenance, timeout)
+// Returns { text, color } or null when the page was read. `subject` names the page that was loaded
+// when it is not the link target itself (cruise ships are checked on the tours page).
+function getFailureStatus(result, subject = null) {
+  const attempts = result.retryAttempts || 1;
+  if (result.finalStatus === 'broken_link_404') {
+    return { text: 'Broken Link 404 - Page not found', color: 'red' };
+  }
+  if (result.finalStatus === 'http_error') {
+    return { text: `${subject ? `${subject} returned` : 'Returned'} HTTP ${result.httpStatus || 'error'}`, color: 'red' };
+  }
+  if (result.finalStatus === 'under_maintenance') {
+    return { text: `${subject ? `${subject} under` : 'Under'} maintenance (tried ${attempts} times)`, color: 'orange' };
+  }
+  if (result.finalStatus === 'timeout') {
+    return { text: `${subject ? `${subject} timeout` : 'Timeout'} after ${attempts} attempts`, color: 'gray' };
+  }
+  return null;
+}
+
+// Helper function to get the failure description of a check result as a report snippet ('' when none)
+function getFailureStatusHtml(result, subject = null) {
+  const failure = getFailureStatus(result, subject);
+  return failure ? `<span style="color: ${failure.color};">${failure.text}</span>` : '';
+}
+
+// Helper function to get the report label and color for a check result
+function getAvailabilityStatus(result) {
+  if (result.finalStatus === 'broken_link_404') return { text: 'Broken 404', color: 'purple' };
+  if (result.finalStatus === 'http_error') return { text: `HTTP ${result.httpStatus || 'error'}`, color: 'purple' };
+  if (result.finalStatus === 'under_maintenance') return { text: 'Maintenance', color: 'orange' };
+  if (result.finalStatus === 'timeout') return { text: 'Timeout', color: 'gray' };
+  if (result.available) return { text: 'Yes', color: 'green' };
+  if (result.available === false) return { text: 'No', color: 'red' };
+  return { text: 'Unknown', color: 'gray' };
+}
+
+// Function to build the standalone HTML report of a site crawl
+function generateCrawlReportDocument(crawlResult) {
+  const summary = crawlResult.summary;
+  
+  let html = '<h2>Broken or Unavailable Links</h2>';
+  html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+  html += '<thead style="background-color: #f2f2f2;"><tr>' +
+          '<th>#</th>' +
+          '<th>Link Type</th>' +
+          '<th>Text</th>' +
+          '<th>URL</th>' +
+          '<th>Status</th>' +
+          '<th>Details</th>' +
+          '<th>Found On</th>' +
+          '</tr></thead>';
+  html += '<tbody>';
+  
+  crawlResult.brokenLinks.forEach((link, index) => {
+    const result = link.checkResult;
+    const status = getAvailabilityStatus(result);
+    
+    html += '<tr>';
+    html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+    html += `<td style="padding: 8px;">${getReadableLinkType(link.urlPattern)}</td>`;
+    html += `<td style="padding: 8px;"><strong>${link.text}</strong></td>`;
+    html += `<td style="padding: 8px; font-family: monospace;"><a href="${link.absoluteUrl}" target="_blank">${link.href}</a></td>`;
+    html += `<td style="padding: 8px; color: ${status.color}; text-align: center;"><strong>${status.text}</strong></td>`;
+    html += `<td style="padding: 8px;">${result.error || result.priceText || result.userToolsInfo || '-'}</td>`;
+    html += '<td style="padding: 8px;"><ul style="margin: 0; padding-left: 20px;">';
+    link.sources.forEach(source => {
+      html += `<li><a href="${source.page}" target="_blank">${source.page}</a> (${source.section})</li>`;
+    });
+    html += '</ul></td>';
+    html += '</tr>';
+  });
+  
+  html += '</tbody></table>';
+  
+  if (crawlResult.externalLinks && crawlResult.externalLinks.length > 0) {
+    html += '<h2>External Links</h2>';
+    html += getExternalAuditSummaryHtml(crawlResult.externalAudit);
+    html += generateExternalLinksTableHtml(crawlResult.externalLinks);
+  }
+  
+  html += '<h2>Visited Pages</h2>';
+  html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+  html += '<thead style="background-color: #f2f2f2;"><tr><th>#</th><th>Page</th><th>Depth</th><th>Links</th><th>Section Score</th><th>Found On</th><th>Error</th></tr></thead>';
+  html += '<tbody>';
+  
+  crawlResult.pages.forEach((page, index) => {
+    html += '<tr>';
+    html += `<td style="padding: 8px; text-align: center;">${index + 1}</td>`;
+    html += `<td style="padding: 8px; font-family: monospace;"><a href="${page.url}" target="_blank">${page.url}</a></td>`;
+    html += `<td style="padding: 8px; text-align: center;">${page.depth}</td>`;
+    html += `<td style="padding: 8px; text-align: center;">${page.linkCount}</td>`;
+    html += `<td style="padding: 8px; text-align: center;">${page.sectionScore !== undefined && page.sectionScore !== null ? `${page.sectionScore} (${page.flaggedTiles} tiles flagged)` : '-'}</td>`;
+    html += `<td style="padding: 8px;">${page.foundOn || 'seed'}</td>`;
+    html += `<td style="padding: 8px; color: red;">${page.error || ''}</td>`;
+    html += '</tr>';
+  });
+  
+  html += '</tbody></table>';
+  
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Site Crawl Results</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1, h2 { color: #333; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 30px; }
+        th { background-color: #f2f2f2; text-align: left; padding: 10px; }
+        td { padding: 8px; border: 1px solid #ddd; vertical-align: top; }
+        .summary-block { background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin-bottom: 20px; border: 1px solid #ddd; }
+        .summary-count { font-size: 24px; font-weight: bold; color: #333; margin-right: 5px; }
+      </style>
+    </head>
+    <body>
+      <h1>Site Crawl Results</h1>
+      <div class="summary-block">
+        <div style="display: flex; flex-wrap: wrap; gap: 20px;">
+          <div><span class="summary-count">${summary.pagesVisited}</span><span>Pages Visited</span></div>
+          <div><span class="summary-count">${summary.uniqueLinks}</span><span>Unique Links</span></div>
+          <div><span class="summary-count">${summary.checkedLinks}</span><span>Checked Links</span></div>
+          <div><span class="summary-count">${summary.available}</span><span style="color: green;">Available</span></div>
+          <div><span class="summary-count">${summary.unavailable}</span><span style="color: red;">Unavailable</span></div>
+          <div><span class="summary-count">${summary.unknown}</span><span style="color: gray;">Unknown/Skipped</span></div>
+          <div><span class="summary-count">${summary.fromCache || 0}</span><span style="color: #666;">From Cache</span></div>
+          <div><span class="summary-count">${summary.priceAnomalies || 0}</span><span style="color: red;">Price Alerts</span></div>
+          <div><span class="summary-count">${summary.labelMismatches || 0}</span><span style="color: orange;">Label Mismatches</span></div>
+          <div><span class="summary-count">${summary.seoIssues || 0}</span><span style="color: darkorange;">SEO Issues</span></div>
+          <div><span class="summary-count">${summary.retiredRedirects || 0}</span><span style="color: red;">Redirected (Retired)</span></div>
+          ${crawlResult.externalAudit ? `<div><span class="summary-count">${summary.externalBroken}</span><span style="color: red;">Broken External</span></div>` : ''}
+        </div>
+        <div style="margin-top: 10px;">Crawled ${crawlResult.crawledAt} - max depth ${crawlResult.maxDepth}, max pages ${crawlResult.maxPages}${summary.pagesNotVisited > 0 ? ` (${summary.pagesNotVisited} pages not visited)` : ''}</div>
+      </div>
+      ${html}
+    </body>
+    </html>
+  `;
+}
+
+// Function to build the CSV export of a site crawl (one row per broken link and source page)
+function generateCrawlCsvReport(crawlResult) {
+  let csv = 'Link Type,Text,URL,Status,Details,Source Page,Source Section\n';
+  
+  const escape = (value) => String(value === null || value === undefined ? '' : value).replace(/"/g, '""');
+  
+  crawlResult.brokenLinks.forEach(link => {
+    const result = link.checkResult;
+    const status = getAvailabilityStatus(result);
+    
+    link.sources.forEach(source => {
+      csv += '"' + escape(getReadableLinkType(link.urlPattern)) + '","' + escape(link.text) + '","' + escape(link.absoluteUrl) + '","' +
+             escape(status.text) + '","' + escape(result.error || '') + '","' + escape(source.page) + '","' + escape(source.section) + '"\n';
+    });
+  });
+  
+  (crawlResult.externalLinks || []).filter(link => link.check && link.check.ok === false).forEach(link => {
+    const status = getExternalLinkStatus(link.check);
+    
+    link.sources.forEach(source => {
+      csv += '"External","' + escape(link.text) + '","' + escape(link.href) + '","' +
+             escape(status.text) + '","' + escape(link.check.error || '') + '","' + escape(source.page) + '","' + escape(source.section) + '"\n';
+    });
+  });
+  
+  return csv;
+}
+
+// Function to open crawl results in a new window
+function openCrawlResultsInNewWindow(crawlResult) {
+  const newWindow = window.open('', 'Site Crawl Results', 'width=1000,height=800,scrollbars=yes');
+  
+  newWindow.document.write(generateCrawlReportDocument(crawlResult));
+  newWindow.document.close();
+}
+
+// Helper function to collect the links of an exported run (extraction result or crawl result)
+// Returns { sections: { section: Map(href -> link) }, checked: Map(href -> link with checkResult) }
+function collectRunLinks(data) {
+  const sections = {};
+  const checked = new Map();
+  
+  const addToSection = (section, link) => {
+    if (!sections[section]) sections[section] = new Map();
+    if (!sections[section].has(link.href)) sections[section].set(link.href, link);
+  };
+  
+  // Extraction results list every link per section; crawl results only have the checked links
+  if (data.sections) {
+    Object.keys(data.sections).forEach(section => {
+      data.sections[section].forEach(block => {
+        block.links.forEach(link => addToSection(section, link));
+      });
+    });
+  }
+  
+  const details = data.availability ? data.availability.details : (data.details || []);
+  details.forEach(link => {
+    if (!data.sections && link.section) addToSection(link.section, link);
+    if (link.checkResult && !checked.has(link.href)) checked.set(link.href, link);
+  });
+  
+  return { sections: sections, checked: checked };
+}
+
+// Helper function to collect the ship lists seen by cruise ship checks, per tours page path
+function collectShipLists(checked) {
+  const shipLists = {};
+  
+  checked.forEach(link => {
+    const result = link.checkResult;
+    if (link.urlPattern !== 'cruise-ship' || !result.shipOptions || !result.toursUrl) return;
+    
+    let toursPath = result.toursUrl;
+    try {
+      toursPath = new URL(result.toursUrl).pathname;
+    } catch (e) {
+      // Keep the URL as it is
+    }
+    
+    shipLists[toursPath] = Array.from(new Set([...(shipLists[toursPath] || []), ...result.shipOptions]));
+  });
+  
+  return shipLists;
+}
+
+// Function to compare two exported runs (e.g. link_extraction_data.json of last week and today)
+// Reports links added/removed per section, availability flips, price changes and dropped ships
+function compareAuditRuns(previousRun, currentRun) {
+  const previous = collectRunLinks(previousRun);
+  const current = collectRunLinks(currentRun);
+  
+  const diff = {
+    comparedAt: new Date().toISOString(),
+    previous: { pageUrl: previousRun.pageUrl || null, extractedAt: previousRun.extractedAt || previousRun.crawledAt || null },
+    current: { pageUrl: currentRun.pageUrl || null, extractedAt: currentRun.extractedAt || currentRun.crawledAt || null },
+    summary: {},
+    sections: {},
+    availabilityChanges: [],
+    priceChanges: [],
+    shipsDropped: []
+  };
+  
+  // Links added and removed per section
+  const allSections = Array.from(new Set([...Object.keys(previous.sections), ...Object.keys(current.sections)])).sort();
+  allSections.forEach(section => {
+    const before = previous.sections[section] || new Map();
+    const after = current.sections[section] || new Map();
+    const toEntry = link => ({ text: link.text, href: link.href, urlPattern: link.urlPattern });
+    
+    const added = Array.from(after.values()).filter(link => !before.has(link.href)).map(toEntry);
+    const removed = Array.from(before.values()).filter(link => !after.has(link.href)).map(toEntry);
+    
+    if (added.length > 0 || removed.length > 0) {
+      diff.sections[section] = { added: added, removed: removed };
+    }
+  });
+  
+  // Availability flips and price changes of links checked in both runs
+  current.checked.forEach((link, href) => {
+    const previousLink = previous.checked.get(href);
+    if (!previousLink) return;
+    
+    const before = previousLink.checkResult;
+    const after = link.checkResult;
+    
+    if (typeof before.available === 'boolean' && typeof after.available === 'boolean' && before.available !== after.available) {
+      diff.availabilityChanges.push({
+        text: link.text,
+        href: href,
+        section: link.section || null,
+        urlPattern: link.urlPattern,
+        before: getAvailabilityStatus(before).text,
+        after: getAvailabilityStatus(after).text,
+        direction: after.available ? 'available' : 'unavailable'
+      });
+    }
+    
+    if ((link.urlPattern === 'tour-with-id' || link.urlPattern === 'cruise-with-id') &&
+        typeof before.price === 'number' && typeof after.price === 'number' && before.price !== after.price) {
+      diff.priceChanges.push({
+        text: link.text,
+        href: href,
+        type: getReadableLinkType(link.urlPattern),
+        id: after.tourId || after.cruiseId || null,
+        before: { price: before.price, priceText: before.priceText, currency: before.currency || null },
+        after: { price: after.price, priceText: after.priceText, currency: after.currency || null },
+        change: after.price - before.price,
+        changePercent: before.price > 0 ? Math.round((after.price - before.price) / before.price * 1000) / 10 : null
+      });
+    }
+  });
+  
+  // Ships that dropped off the ship list of a tours page
+  const previousShips = collectShipLists(previous.checked);
+  const currentShips = collectShipLists(current.checked);
+  Object.keys(previousShips).forEach(toursPath => {
+    if (!currentShips[toursPath]) return; // Tours page not checked in the current run
+    
+    const dropped = previousShips[toursPath].filter(ship => !currentShips[toursPath].includes(ship));
+    if (dropped.length > 0) {
+      diff.shipsDropped.push({ toursPage: toursPath, ships: dropped });
+    }
+  });
+  
+  const sectionDiffs = Object.values(diff.sections);
+  diff.summary = {
+    linksAdded: sectionDiffs.reduce((sum, section) => sum + section.added.length, 0),
+    linksRemoved: sectionDiffs.reduce((sum, section) => sum + section.removed.length, 0),
+    becameUnavailable: diff.availabilityChanges.filter(change => change.direction === 'unavailable').length,
+    becameAvailable: diff.availabilityChanges.filter(change => change.direction === 'available').length,
+    priceChanges: diff.priceChanges.length,
+    shipsDropped: diff.shipsDropped.reduce((sum, entry) => sum + entry.ships.length, 0)
+  };
+  
+  return diff;
+}
+
+// Function to build the standalone HTML report of a run comparison
+function generateDiffReportDocument(diff) {
+  const summary = diff.summary;
+  let html = '';
+  
+  // Links added and removed per section
+  html += '<h2>Links Added / Removed by Section</h2>';
+  if (Object.keys(diff.sections).length === 0) {
+    html += '<div class="no-results-message">No links were added or removed.</div>';
+  } else {
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+    html += '<thead style="background-color: #f2f2f2;"><tr><th>Section</th><th>Change</th><th>Link Type</th><th>Text</th><th>URL</th></tr></thead>';
+    html += '<tbody>';
+    Object.keys(diff.sections).forEach(section => {
+      const sectionDiff = diff.sections[section];
+      sectionDiff.added.forEach(link => {
+        html += `<tr><td style="padding: 8px;">${section}</td><td style="padding: 8px; color: green;"><strong>Added</strong></td>`;
+        html += `<td style="padding: 8px;">${getReadableLinkType(link.urlPattern)}</td><td style="padding: 8px;">${link.text}</td>`;
+        html += `<td style="padding: 8px; font-family: monospace;">${link.href}</td></tr>`;
+      });
+      sectionDiff.removed.forEach(link => {
+        html += `<tr><td style="padding: 8px;">${section}</td><td style="padding: 8px; color: red;"><strong>Removed</strong></td>`;
+        html += `<td style="padding: 8px;">${getReadableLinkType(link.urlPattern)}</td><td style="padding: 8px;">${link.text}</td>`;
+        html += `<td style="padding: 8px; font-family: monospace;">${link.href}</td></tr>`;
+      });
+    });
+    html += '</tbody></table>';
+  }
+  
+  // Availability flips
+  html += '<h2>Availability Changes</h2>';
+  if (diff.availabilityChanges.length === 0) {
+    html += '<div class="no-results-message">No availability changes.</div>';
+  } else {
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+    html += '<thead style="background-color: #f2f2f2;"><tr><th>Link Type</th><th>Text</th><th>URL</th><th>Section</th><th>Before</th><th>Now</th></tr></thead>';
+    html += '<tbody>';
+    diff.availabilityChanges.forEach(change => {
+      html += '<tr>';
+      html += `<td style="padding: 8px;">${getReadableLinkType(change.urlPattern)}</td>`;
+      html += `<td style="padding: 8px;"><strong>${change.text}</strong></td>`;
+      html += `<td style="padding: 8px; font-family: monospace;">${change.href}</td>`;
+      html += `<td style="padding: 8px;">${change.section || ''}</td>`;
+      html += `<td style="padding: 8px;">${change.before}</td>`;
+      html += `<td style="padding: 8px; color: ${change.direction === 'available' ? 'green' : 'red'};"><strong>${change.after}</strong></td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+  }
+  
+  // Price changes
+  html += '<h2>Price Changes</h2>';
+  if (diff.priceChanges.length === 0) {
+    html += '<div class="no-results-message">No price changes.</div>';
+  } else {
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+    html += '<thead style="background-color: #f2f2f2;"><tr><th>Type</th><th>ID</th><th>Text</th><th>URL</th><th>Before</th><th>Now</th><th>Change</th></tr></thead>';
+    html += '<tbody>';
+    diff.priceChanges.forEach(change => {
+      html += '<tr>';
+      html += `<td style="padding: 8px;">${change.type}</td>`;
+      html += `<td style="padding: 8px; text-align: center;">${change.id || '-'}</td>`;
+      html += `<td style="padding: 8px;"><strong>${change.text}</strong></td>`;
+      html += `<td style="padding: 8px; font-family: monospace;">${change.href}</td>`;
+      html += `<td style="padding: 8px;">${change.before.priceText}</td>`;
+      html += `<td style="padding: 8px;">${change.after.priceText}</td>`;
+      html += `<td style="padding: 8px; color: ${change.change < 0 ? 'red' : 'green'};">${change.change > 0 ? '+' : ''}${change.change}${change.changePercent !== null ? ` (${change.changePercent > 0 ? '+' : ''}${change.changePercent}%)` : ''}</td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+  }
+  
+  // Ships that dropped off
+  html += '<h2>Ships Dropped from Ship Lists</h2>';
+  if (diff.shipsDropped.length === 0) {
+    html += '<div class="no-results-message">No ships dropped off.</div>';
+  } else {
+    html += '<table border="1" style="border-collapse: collapse; width: 100%;">';
+    html += '<thead style="background-color: #f2f2f2;"><tr><th>Tours Page</th><th>Ships No Longer Listed</th></tr></thead>';
+    html += '<tbody>';
+    diff.shipsDropped.forEach(entry => {
+      html += `<tr><td style="padding: 8px; font-family: monospace;">${entry.toursPage}</td><td style="padding: 8px;">${entry.ships.join('<br>')}</td></tr>`;
+    });
+    html += '</tbody></table>';
+  }
+  
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Audit Comparison</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1, h2 { color: #333; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 30px; }
+        th { background-color: #f2f2f2; text-align: left; padding: 10px; }
+        td { padding: 8px; border: 1px solid #ddd; vertical-align: top; }
+        .summary-block { background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin-bottom: 20px; border: 1px solid #ddd; }
+        .summary-count { font-size: 24px; font-weight: bold; color: #333; margin-right: 5px; }
+        .no-results-message { padding: 15px; background-color: #f8f8f8; border: 1px solid #ddd; margin-bottom: 30px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <h1>Audit Comparison</h1>
+      <div class="summary-block">
+        <div style="display: flex; flex-wrap: wrap; gap: 20px;">
+          <div><span class="summary-count">${summary.linksAdded}</span><span style="color: green;">Links Added</span></div>
+          <div><span class="summary-count">${summary.linksRemoved}</span><span style="color: red;">Links Removed</span></div>
+          <div><span class="summary-count">${summary.becameUnavailable}</span><span style="color: red;">Became Unavailable</span></div>
+          <div><span class="summary-count">${summary.becameAvailable}</span><span style="color: green;">Became Available</span></div>
+          <div><span class="summary-count">${summary.priceChanges}</span><span>Price Changes</span></div>
+          <div><span class="summary-count">${summary.shipsDropped}</span><span style="color: orange;">Ships Dropped</span></div>
+        </div>
+        <div style="margin-top: 10px;">Previous run: ${diff.previous.extractedAt || 'unknown date'}${diff.previous.pageUrl ? ` (${diff.previous.pageUrl})` : ''}<br>
+        Current run: ${diff.current.extractedAt || 'unknown date'}${diff.current.pageUrl ? ` (${diff.current.pageUrl})` : ''}</div>
+      </div>
+      ${html}
+      <h2>Export Data</h2>
+      <button onclick="exportJSON()">Export diff as JSON</button>
+      <script>
+        function exportJSON() {
+          const dataStr = JSON.stringify(${serializeForScript(diff)}, null, 2);
+          const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
+          const linkElement = document.createElement('a');
+          linkElement.setAttribute('href', dataUri);
+          linkElement.setAttribute('download', 'link_extraction_diff.json');
+          linkElement.click();
         }
       </script>
     </body>
     </html>
-  `);
+  `;
+}
+
+// Function to open a run comparison in a new window
+function openDiffInNewWindow(diff) {
+  const newWindow = window.open('', 'Audit Comparison', 'width=1000,height=800,scrollbars=yes');
   
+  newWindow.document.write(generateDiffReportDocument(diff));
   newWindow.document.close();
 }
 
 // Execute the function and store the result
-async function runExtraction(checkAvailability = false) {
+async function runExtraction(checkAvailability = false, options = {}) {
   console.log(`Starting link extraction${checkAvailability ? ' with availability check' : ''}...`);
   
   try {
-    const extractedLinks = await enhancedLinkExtractorWithAvailabilityCheck(checkAvailability);
+    const extractedLinks = await enhancedLinkExtractorWithAvailabilityCheck(checkAvailability, options);
     console.log('Extraction complete. The raw data is available in the variable "extractedLinks"');
 
     // Open results in a new window for better viewing
@@ -2952,25 +7054,91 @@ async function runExtraction(checkAvailability = false) {
   }
 }
 
-// Ask user if they want to check availability
-const checkAvailability = confirm(
-  "Do you want to check link availability?\n\n" +
-  "This will check:\n" + 
-  "- All Destinations (level 1+): by matching title in user-tools-info (.al-user-tools-info > div:first-child span)\n" +
-  "- Tours: by checking if price exists and is > 0\n" +
-  "- Cruise Ships (/cruises/ID/ship-name): by checking ship list on current-page/tours\n" +
-  "- Cruises (/destination/cruises/ID/cruise-name): by checking if price exists and is > 0\n" +
-  "- Activities: by checking for activity in option lists\n" +
-  "- Table Links: all links in table sections\n\n" +
-  "🔄 NEW FEATURES:\n" +
-  "- Auto-retry for maintenance pages (up to 3 attempts, 10 sec delays)\n" +
-  "- 404 Detection: Broken links marked as 'Broken Link 404'\n" +
-  "- Maintenance Detection: Pages under maintenance marked separately\n" +
-  "- Status Categories: Available, Unavailable, Maintenance, Broken 404, Timeout\n" +
-  "- Special Destination Pages: URLs ending with /land-tours, /ships, /videos, /myTrips are automatically skipped\n\n" +
-  "This process can take several minutes depending on the number of links."
-);
-// TEST FUNCTION - Add this before the final execution
+// Resume the interrupted audit of the current page (or options.pageUrl) and show the results
+// The links that were not finished are checked; earlier results are kept
+async function resumeAudit(options = {}) {
+  const storage = options.stateStorage || getDefaultStorage();
+  const auditState = loadAuditState(options.pageUrl || window.location.href, storage);
+  
+  if (!auditState) {
+    console.log('No interrupted audit found for this page.');
+    return null;
+  }
+  
+  console.log(`Resuming audit started ${auditState.startedAt}: ${auditState.results.length} links done, ${auditState.pending.length} left`);
+  
+  try {
+    const checkOptions = { ...auditState.checkOptions, ...options, auditState: auditState };
+    const checkedLinks = await checkDestinationsAvailability(auditState.pending, checkOptions.maxConcurrent || auditConfig.concurrency, checkOptions);
+    
+    const extractedLinks = auditState.extraction;
+    extractedLinks.availability = summarizeAvailability(checkedLinks);
+    
+    if (options.interactive !== false) {
+      console.log('Opening detailed results in a new window...');
+      openResultsInNewWindow(extractedLinks);
+    }
+    
+    return extractedLinks;
+  } catch (error) {
+    console.error('An error occurred while resuming the audit:', error);
+    return null;
+  }
+}
+
+// Crawl the site from the current page (or options.seeds / options.sitemapUrl) and show the results
+async function runCrawl(options = {}) {
+  console.log('Starting site crawl...');
+  
+  try {
+    const crawlResult = await crawlSite(options);
+    
+    if (crawlResult.pages.length > 0) {
+      console.log('Opening crawl results in a new window...');
+      openCrawlResultsInNewWindow(crawlResult);
+    }
+    
+    return crawlResult;
+  } catch (error) {
+    console.error('An error occurred during the crawl:', error);
+    return null;
+  }
+}
+
+// Compare an earlier exported run with the current one (default: the last run on this page) and show the diff
+// Runs can be result objects, JSON strings (the contents of link_extraction_data.json) or promises
+async function runCompare(previousRun, currentRun = window.extractedLinks) {
+  try {
+    const parseRun = async (run) => {
+      const value = await run;
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+    
+    const previous = await parseRun(previousRun);
+    const current = await parseRun(currentRun);
+    
+    if (!previous || !current) {
+      console.error('Two runs are needed: ALAudit.runCompare(previousRun, currentRun)');
+      return null;
+    }
+    
+    const diff = compareAuditRuns(previous, current);
+    
+    console.log('=== RUN COMPARISON ===');
+    console.log(`- Links added: ${diff.summary.linksAdded}, removed: ${diff.summary.linksRemoved}`);
+    console.log(`- Became unavailable: ${diff.summary.becameUnavailable}, became available: ${diff.summary.becameAvailable}`);
+    console.log(`- Price changes: ${diff.summary.priceChanges}`);
+    console.log(`- Ships dropped: ${diff.summary.shipsDropped}`);
+    
+    openDiffInNewWindow(diff);
+    return diff;
+  } catch (error) {
+    console.error('An error occurred while comparing the runs:', error);
+    return null;
+  }
+}
+
+// TEST FUNCTION - Check a single destination URL from the console
 async function testSpecificURL(url, expectedTitle) {
   console.log(`\n🧪 TESTING SPECIFIC URL: ${url}`);
   console.log(`📝 Expected title: "${expectedTitle}"`);
@@ -3015,5 +7183,124 @@ async function testSpecificURL(url, expectedTitle) {
 
 // Uncomment the line below to test the specific URL:
 // testSpecificURL('/iceland/vik', 'Vik');
-// Run the extraction with or without availability check
-const extractedLinks = runExtraction(checkAvailability);
+
+// Public API
+// Loading this file has no side effects: the interactive run lives in console-entry.js.
+const ALAudit = {
+  // URL classification and extraction
+  determineUrlPattern,
+  getReadableLinkType,
+  isTrueDestination,
+  urlPathToReadableText,
+  extractLinksFromElement,
+  extractSectionLinks,
+  auditSectionQuality,
+  collectSectionImages,
+  auditImages,
+  checkImageAsset,
+  readImageDimensions,
+  shouldCheckLink,
+  enhancedLinkExtractorWithAvailabilityCheck,
+  crawlSite,
+  
+  // Page loading and checkers
+  loadPage,
+  detectPageStatus,
+  collectSeoMetadata,
+  getSeoIssues,
+  analyzeRedirect,
+  parsePrice,
+  retryWithMaintenanceDetection,
+  createAdaptiveScheduler,
+  getBackoffDelay,
+  createPromisePool,
+  createAuditEvents,
+  auditEvents,
+  getStatusCategory,
+  checkDestinationsAvailability,
+  checkTourAvailability,
+  checkCruiseShipAvailability,
+  checkCruiseAvailability,
+  checkActivityAvailability,
+  checkOperatorAvailability,
+  checkCategoryAvailability,
+  checkWithRule,
+  runLinkCheck,
+  checkExternalLink,
+  checkExternalLinks,
+  
+  // URL routes
+  DEFAULT_URL_ROUTES,
+  registerUrlRoute,
+  resetUrlRoutes,
+  getUrlRoutes,
+  getUrlRoute,
+  getLinkType,
+  
+  // Audit config
+  AUDIT_CONFIG_SCHEMA,
+  DEFAULT_AUDIT_CONFIG,
+  validateAuditConfig,
+  configureAudit,
+  resetAuditConfig,
+  getAuditConfig,
+  getSpecialEndingType,
+  loadAuditConfig,
+  
+  // Availability rules
+  DEFAULT_AVAILABILITY_RULES,
+  getAvailabilityRule,
+  registerAvailabilityRule,
+  configureAvailabilityRules,
+  resetAvailabilityRules,
+  
+  // Result cache
+  createResultCache,
+  createMemoryStorage,
+  getCheckCacheKey,
+  
+  // Price tracking
+  createPriceHistory,
+  trackPrices,
+  getTextSimilarity,
+  findLabelMismatches,
+  
+  // Text matching
+  textsMatch,
+  matchTexts,
+  scoreTextMatch,
+  configureTextMatching,
+  resetTextMatching,
+  
+  // Resumable runs
+  loadAuditState,
+  clearAuditState,
+  
+  // Reports
+  escapeHtml,
+  generateHtmlTable,
+  generateCsvReport,
+  generateReportDocument,
+  openResultsInNewWindow,
+  generateCrawlReportDocument,
+  generateCrawlCsvReport,
+  openCrawlResultsInNewWindow,
+  
+  // Run comparison
+  compareAuditRuns,
+  generateDiffReportDocument,
+  openDiffInNewWindow,
+  
+  // Entry points
+  runExtraction,
+  resumeAudit,
+  runCrawl,
+  runCompare,
+  testSpecificURL
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ALAudit;
+} else if (typeof window !== 'undefined') {
+  window.ALAudit = ALAudit;
+}
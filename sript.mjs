@@ -0,0 +1,97 @@
+// ES module entry point - re-exports the public API of sript.js
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ALAudit = require('./sript.js');
+
+export const {
+  determineUrlPattern,
+  getReadableLinkType,
+  isTrueDestination,
+  urlPathToReadableText,
+  extractLinksFromElement,
+  extractSectionLinks,
+  auditSectionQuality,
+  collectSectionImages,
+  auditImages,
+  checkImageAsset,
+  readImageDimensions,
+  shouldCheckLink,
+  enhancedLinkExtractorWithAvailabilityCheck,
+  crawlSite,
+  loadPage,
+  detectPageStatus,
+  collectSeoMetadata,
+  getSeoIssues,
+  analyzeRedirect,
+  parsePrice,
+  retryWithMaintenanceDetection,
+  createAdaptiveScheduler,
+  getBackoffDelay,
+  createPromisePool,
+  createAuditEvents,
+  auditEvents,
+  getStatusCategory,
+  checkDestinationsAvailability,
+  checkTourAvailability,
+  checkCruiseShipAvailability,
+  checkCruiseAvailability,
+  checkActivityAvailability,
+  checkOperatorAvailability,
+  checkCategoryAvailability,
+  checkWithRule,
+  checkExternalLink,
+  checkExternalLinks,
+  DEFAULT_URL_ROUTES,
+  registerUrlRoute,
+  resetUrlRoutes,
+  getUrlRoutes,
+  getUrlRoute,
+  getLinkType,
+  AUDIT_CONFIG_SCHEMA,
+  DEFAULT_AUDIT_CONFIG,
+  validateAuditConfig,
+  configureAudit,
+  resetAuditConfig,
+  getAuditConfig,
+  getSpecialEndingType,
+  loadAuditConfig,
+  DEFAULT_AVAILABILITY_RULES,
+  getAvailabilityRule,
+  registerAvailabilityRule,
+  configureAvailabilityRules,
+  resetAvailabilityRules,
+  runLinkCheck,
+  createResultCache,
+  createMemoryStorage,
+  getCheckCacheKey,
+  createPriceHistory,
+  trackPrices,
+  getTextSimilarity,
+  findLabelMismatches,
+  textsMatch,
+  matchTexts,
+  scoreTextMatch,
+  configureTextMatching,
+  resetTextMatching,
+  loadAuditState,
+  clearAuditState,
+  escapeHtml,
+  generateHtmlTable,
+  generateCsvReport,
+  generateReportDocument,
+  openResultsInNewWindow,
+  generateCrawlReportDocument,
+  generateCrawlCsvReport,
+  openCrawlResultsInNewWindow,
+  compareAuditRuns,
+  generateDiffReportDocument,
+  openDiffInNewWindow,
+  runExtraction,
+  resumeAudit,
+  runCrawl,
+  runCompare,
+  testSpecificURL
+} = ALAudit;
+
+export default ALAudit;
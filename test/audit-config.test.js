@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAuditConfig, configureAudit, resetAuditConfig, getAuditConfig, getSpecialEndingType, DEFAULT_AUDIT_CONFIG } = require('../sript.js');
+
+test.afterEach(() => resetAuditConfig());
+
+test('validateAuditConfig accepts an empty config and the defaults', () => {
+  assert.deepEqual(validateAuditConfig({}), []);
+  assert.deepEqual(validateAuditConfig(DEFAULT_AUDIT_CONFIG), []);
+});
+
+test('validateAuditConfig lists every problem', () => {
+  assert.deepEqual(validateAuditConfig({
+    colour: 'blue',
+    pageTimeout: '20s',
+    retryCount: 0,
+    retryDelay: 1.5,
+    specialEndings: ['videos', ''],
+    mainSelector: ' ',
+    rules: [],
+    routes: [{ name: 'hotel' }, 'cabins']
+  }), [
+    'Unknown setting "colour"',
+    'pageTimeout must be a number',
+    'retryCount must be at least 1',
+    'retryDelay must be a whole number',
+    'specialEndings must be a list of non-empty strings',
+    'mainSelector must be a non-empty string',
+    'rules must be an object',
+    'routes must be a list of objects'
+  ]);
+});
+
+test('validateAuditConfig rejects a config that is not an object', () => {
+  assert.deepEqual(validateAuditConfig(null), ['Audit config must be an object']);
+  assert.deepEqual(validateAuditConfig([]), ['Audit config must be an object']);
+});
+
+test('configureAudit applies a valid config and throws on an invalid one without applying it', () => {
+  configureAudit({ pageTimeout: 20000, specialEndings: ['videos'] });
+  assert.equal(getAuditConfig().pageTimeout, 20000);
+  assert.deepEqual(getAuditConfig().specialEndings, ['videos']);
+  
+  assert.throws(() => configureAudit({ pageTimeout: 5000, retryCount: 0 }), /retryCount must be at least 1/);
+  assert.equal(getAuditConfig().pageTimeout, 20000);
+});
+
+test('resetAuditConfig restores the defaults', () => {
+  configureAudit({ concurrency: 9 });
+  resetAuditConfig();
+  assert.deepEqual(getAuditConfig(), DEFAULT_AUDIT_CONFIG);
+});
+
+test('getSpecialEndingType names the configured endings only', () => {
+  assert.equal(getSpecialEndingType('/iceland/land-tours'), 'Land Tours');
+  assert.equal(getSpecialEndingType('/myTrips/'), 'My Trips');
+  assert.equal(getSpecialEndingType('/iceland/tours?page=2'), 'Tours');
+  
+  configureAudit({ legacySpecialEndings: [] });
+  assert.equal(getSpecialEndingType('/iceland/tours'), 'Unknown');
+});
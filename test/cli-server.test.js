@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSavedFile, serveDirectory, createFileStorage } = require('../bin/al-audit.js');
+
+const createSite = () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-audit-site-'));
+  fs.mkdirSync(path.join(rootDir, 'iceland'));
+  fs.writeFileSync(path.join(rootDir, 'index.html'), '<title>Home</title>');
+  fs.writeFileSync(path.join(rootDir, 'norway.html'), '<title>Norway</title>');
+  fs.writeFileSync(path.join(rootDir, 'iceland', 'index.html'), '<title>Iceland</title>');
+  return rootDir;
+};
+
+test('resolveSavedFile maps request paths onto saved pages', () => {
+  const rootDir = createSite();
+  try {
+    assert.equal(resolveSavedFile(rootDir, '/'), path.join(rootDir, 'index.html'));
+    assert.equal(resolveSavedFile(rootDir, '/norway'), path.join(rootDir, 'norway.html'));
+    assert.equal(resolveSavedFile(rootDir, '/iceland/'), path.join(rootDir, 'iceland', 'index.html'));
+    assert.equal(resolveSavedFile(rootDir, '/sweden'), null);
+    assert.equal(resolveSavedFile(rootDir, '/../' + path.basename(rootDir) + '-private/secret.html'), null);
+    assert.throws(() => resolveSavedFile(rootDir, '/iceland/50%-off'), URIError);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('serveDirectory answers 200, 404 and 400 for a malformed escape', async () => {
+  const rootDir = createSite();
+  const { server, origin } = await serveDirectory(rootDir, 0);
+  try {
+    const page = await fetch(`${origin}/iceland`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /Iceland/);
+
+    const missing = await fetch(`${origin}/sweden`);
+    assert.equal(missing.status, 404);
+    await missing.text();
+
+    const malformed = await fetch(`${origin}/iceland/50%-off`);
+    assert.equal(malformed.status, 400);
+    await malformed.text();
+
+    // The server is still up after the bad request
+    assert.equal((await fetch(`${origin}/norway`)).status, 200);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('createFileStorage stores the served origin as a placeholder', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-audit-cache-'));
+  const filePath = path.join(rootDir, 'cache.json');
+  try {
+    const first = createFileStorage(filePath, 'http://127.0.0.1:4000');
+    first.setItem('http://127.0.0.1:4000/iceland', '{"url":"http://127.0.0.1:4000/iceland"}');
+    first.flush();
+
+    const second = createFileStorage(filePath, 'http://127.0.0.1:5000');
+    assert.equal(second.getItem('http://127.0.0.1:5000/iceland'), '{"url":"http://127.0.0.1:5000/iceland"}');
+    assert.deepEqual(second.keys(), ['http://127.0.0.1:5000/iceland']);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareAuditRuns } = require('../sript.js');
+
+// Helper to build an exported extraction run with the given links of one section
+function createRun(extractedAt, links) {
+  return {
+    pageUrl: 'https://www.example.com/iceland',
+    extractedAt: extractedAt,
+    sections: {
+      Tours: [{ title: 'Tours', links: links.map(({ checkResult, ...link }) => link) }]
+    },
+    availability: { details: links.filter(link => link.checkResult) }
+  };
+}
+
+const tour = (price, available = true) => ({
+  text: 'Golden Circle',
+  href: '/iceland/tours/101',
+  section: 'Tours',
+  urlPattern: 'tour-with-id',
+  checkResult: { available: available, pageStatus: 'loaded', tourId: '101', price: price, priceText: `$${price}`, currency: 'USD' }
+});
+
+const ship = (shipOptions) => ({
+  text: 'Ocean Diamond',
+  href: '/cruises/7/ocean-diamond',
+  section: 'Tours',
+  urlPattern: 'cruise-ship',
+  checkResult: { available: true, pageStatus: 'loaded', shipOptions: shipOptions, toursUrl: 'https://www.example.com/iceland/tours' }
+});
+
+const destination = (text, href) => ({ text: text, href: href, section: 'Tours', urlPattern: 'multi-level/destination-2' });
+
+test('compareAuditRuns lists added and removed links per section', () => {
+  const diff = compareAuditRuns(
+    createRun('2026-10-01T00:00:00.000Z', [destination('Vik', '/iceland/vik')]),
+    createRun('2026-10-08T00:00:00.000Z', [destination('Husavik', '/iceland/husavik')])
+  );
+  
+  assert.deepEqual(diff.sections, {
+    Tours: {
+      added: [{ text: 'Husavik', href: '/iceland/husavik', urlPattern: 'multi-level/destination-2' }],
+      removed: [{ text: 'Vik', href: '/iceland/vik', urlPattern: 'multi-level/destination-2' }]
+    }
+  });
+  assert.equal(diff.summary.linksAdded, 1);
+  assert.equal(diff.summary.linksRemoved, 1);
+  assert.equal(diff.previous.extractedAt, '2026-10-01T00:00:00.000Z');
+});
+
+test('compareAuditRuns reports availability flips and price changes of links checked in both runs', () => {
+  const diff = compareAuditRuns(
+    createRun('2026-10-01T00:00:00.000Z', [tour(1000)]),
+    createRun('2026-10-08T00:00:00.000Z', [tour(1200, false)])
+  );
+  
+  assert.equal(diff.availabilityChanges.length, 1);
+  assert.equal(diff.availabilityChanges[0].before, 'Yes');
+  assert.equal(diff.availabilityChanges[0].after, 'No');
+  assert.equal(diff.availabilityChanges[0].direction, 'unavailable');
+  
+  assert.equal(diff.priceChanges.length, 1);
+  assert.equal(diff.priceChanges[0].id, '101');
+  assert.equal(diff.priceChanges[0].change, 200);
+  assert.equal(diff.priceChanges[0].changePercent, 20);
+  assert.equal(diff.summary.becameUnavailable, 1);
+  assert.equal(diff.summary.priceChanges, 1);
+});
+
+test('compareAuditRuns reports ships that dropped off a tours page', () => {
+  const diff = compareAuditRuns(
+    createRun('2026-10-01T00:00:00.000Z', [ship(['Ocean Diamond', 'Ocean Albatros'])]),
+    createRun('2026-10-08T00:00:00.000Z', [ship(['Ocean Diamond'])])
+  );
+  
+  assert.deepEqual(diff.shipsDropped, [{ toursPage: '/iceland/tours', ships: ['Ocean Albatros'] }]);
+  assert.equal(diff.summary.shipsDropped, 1);
+});
+
+test('compareAuditRuns finds no changes between identical runs', () => {
+  const run = createRun('2026-10-01T00:00:00.000Z', [tour(1000), destination('Vik', '/iceland/vik')]);
+  const diff = compareAuditRuns(run, run);
+  
+  assert.deepEqual(diff.summary, {
+    linksAdded: 0,
+    linksRemoved: 0,
+    becameUnavailable: 0,
+    becameAvailable: 0,
+    priceChanges: 0,
+    shipsDropped: 0
+  });
+});
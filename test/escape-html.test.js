@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml } = require('../sript.js');
+
+test('escapeHtml escapes markup and both quote styles', () => {
+  assert.equal(
+    escapeHtml(`/iceland"><img src=x onerror=alert(1)>&'`),
+    '/iceland&quot;&gt;&lt;img src=x onerror=alert(1)&gt;&amp;&#39;'
+  );
+});
+
+test('escapeHtml turns missing values into an empty string', () => {
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(404), '404');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkExternalLink, checkExternalLinks, determineUrlPattern } = require('../sript.js');
+
+const originalFetch = global.fetch;
+
+// Fake partner sites: url -> (method) => Response
+const createFetch = (routes, requests = []) => async (url, init = {}) => {
+  requests.push(`${init.method || 'GET'} ${url}`);
+  const route = routes[url];
+  if (!route) throw new TypeError('fetch failed');
+  return route(init.method || 'GET');
+};
+
+test.beforeEach(() => {
+  global.window = { location: new URL('https://example.com/iceland') };
+});
+
+test.afterEach(() => {
+  global.fetch = originalFetch;
+  delete global.window;
+});
+
+test('determineUrlPattern marks links to other sites as external', () => {
+  assert.equal(determineUrlPattern('https://partner.example.org/tours'), 'external');
+  assert.notEqual(determineUrlPattern('https://www.example.com/iceland'), 'external');
+});
+
+test('checkExternalLink retries with GET when the server refuses HEAD', async () => {
+  const requests = [];
+  global.fetch = createFetch({
+    'https://partner.example.org/': (method) => new Response(null, { status: method === 'HEAD' ? 405 : 200 })
+  }, requests);
+  
+  const check = await checkExternalLink('https://partner.example.org/');
+  assert.deepEqual(requests, ['HEAD https://partner.example.org/', 'GET https://partner.example.org/']);
+  assert.equal(check.method, 'GET');
+  assert.equal(check.status, 200);
+  assert.equal(check.ok, true);
+});
+
+test('checkExternalLink records the redirect target', async () => {
+  global.fetch = createFetch({
+    'https://partner.example.org/old': () => new Response(null, { status: 301, headers: { Location: '/new' } }),
+    'https://partner.example.org/new': () => new Response(null, { status: 200 })
+  });
+  
+  const check = await checkExternalLink('https://partner.example.org/old');
+  assert.equal(check.finalUrl, 'https://partner.example.org/new');
+  assert.deepEqual(check.redirectChain.map(hop => hop.status), [301, 200]);
+});
+
+test('checkExternalLink reports broken links and skips denied or non-web links', async () => {
+  global.fetch = createFetch({
+    'https://partner.example.org/gone': () => new Response(null, { status: 404 })
+  });
+  
+  const broken = await checkExternalLink('https://partner.example.org/gone');
+  assert.equal(broken.ok, false);
+  assert.equal(broken.error, 'HTTP 404');
+  
+  const denied = await checkExternalLink('https://ads.tracker.example.net/x', { externalDeny: ['tracker.example.net'] });
+  assert.equal(denied.checked, false);
+  assert.equal(denied.skipped, 'Domain in the deny list');
+  
+  const notAllowed = await checkExternalLink('https://other.example.net/', { externalAllow: ['partner.example.org'] });
+  assert.equal(notAllowed.skipped, 'Domain not in the allow list');
+  
+  assert.match((await checkExternalLink('mailto:info@example.com')).skipped, /^Not a web link/);
+});
+
+test('checkExternalLinks requests each URL once and counts the results', async () => {
+  const requests = [];
+  global.fetch = createFetch({
+    'https://partner.example.org/': () => new Response(null, { status: 200 }),
+    'https://partner.example.org/gone': () => new Response(null, { status: 404 })
+  }, requests);
+  
+  const links = [
+    { text: 'Partner', href: 'https://partner.example.org/' },
+    { text: 'Partner again', href: 'https://partner.example.org/' },
+    { text: 'Gone', href: 'https://partner.example.org/gone' },
+    { text: 'Offline', href: 'https://offline.example.net/' }
+  ];
+  const summary = await checkExternalLinks(links);
+  
+  assert.equal(requests.filter(request => request.endsWith('https://partner.example.org/')).length, 1);
+  assert.equal(links[1].check, links[0].check);
+  assert.equal(summary.checked, 3);
+  assert.equal(summary.available, 2);
+  assert.equal(summary.broken, 2);
+  assert.equal(links[3].check.error, 'Request failed: fetch failed');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchTexts, configureTextMatching, resetTextMatching, getAvailabilityRule } = require('../sript.js');
+
+test.afterEach(() => resetTextMatching());
+
+test('matchTexts matches names regardless of case and ampersands', () => {
+  const result = matchTexts('Hiking & Trekking', 'hiking trekking', 'activity');
+  assert.equal(result.match, true);
+  assert.equal(result.score, 1);
+  assert.equal(result.checkType, 'activity');
+  assert.deepEqual(result.matchedTokens, ['hiking', 'trekking']);
+});
+
+test('matchTexts scores partial overlaps below the default threshold', () => {
+  const result = matchTexts('South Iceland', 'Iceland');
+  assert.equal(result.match, false);
+  assert.equal(result.score, 0.67);
+  assert.equal(result.threshold, 0.8);
+});
+
+test('matchTexts matches a ship name inside a longer label', () => {
+  assert.equal(matchTexts('Norwegian Bliss', 'Norwegian Bliss Cruise', 'ship').match, true);
+});
+
+test('matchTexts never matches a missing text', () => {
+  const result = matchTexts('', 'Iceland');
+  assert.equal(result.match, false);
+  assert.equal(result.score, 0);
+  assert.deepEqual(result.texts, [null, 'Iceland']);
+});
+
+test('matchTexts follows the configured threshold and mode', () => {
+  configureTextMatching({ destination: { threshold: 0.6 } });
+  assert.equal(matchTexts('South Iceland', 'Iceland').match, true);
+  
+  configureTextMatching({ destination: { mode: 'legacy' } });
+  const legacy = matchTexts('Iceland', 'Norway');
+  assert.equal(legacy.mode, 'legacy');
+  assert.equal(legacy.match, false);
+});
+
+test('configureTextMatching rejects unknown modes and thresholds out of range', () => {
+  assert.throws(() => configureTextMatching({ ship: { mode: 'exact' } }), /Unknown text match mode/);
+  assert.throws(() => configureTextMatching({ ship: { threshold: 2 } }));
+});
+
+test('the destination rule does not mark a different destination available', () => {
+  const rule = getAvailabilityRule('destination');
+  const outcome = rule.isAvailable(
+    { userToolsInfo: 'Iceland', pageTitle: 'Iceland', urlAsText: 'south iceland' },
+    { originalTitle: 'South Iceland' }
+  );
+  assert.equal(outcome.available, false);
+  assert.ok(outcome.textMatches.every(textMatch => textMatch.texts[1] !== 'Iceland'));
+});
+
+test('the destination rule matches the user tools info against the link label', () => {
+  const rule = getAvailabilityRule('destination');
+  const outcome = rule.isAvailable(
+    { userToolsInfo: 'South Iceland', pageTitle: 'South Iceland Tours', urlAsText: 'south iceland' },
+    { originalTitle: 'South Iceland' }
+  );
+  assert.equal(outcome.available, true);
+});
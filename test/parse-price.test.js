@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice } = require('../sript.js');
+
+test('parsePrice reads the formats of the price elements', () => {
+  assert.deepEqual(parsePrice('$1,299'), { amount: 1299, currency: 'USD', isFromPrice: false, raw: '$1,299' });
+  assert.deepEqual(parsePrice('1.299 €'), { amount: 1299, currency: 'EUR', isFromPrice: false, raw: '1.299 €' });
+  assert.deepEqual(parsePrice('AUD 2,450.50'), { amount: 2450.5, currency: 'AUD', isFromPrice: false, raw: 'AUD 2,450.50' });
+  assert.deepEqual(parsePrice('From US$899 pp'), { amount: 899, currency: 'USD', isFromPrice: true, raw: 'From US$899 pp' });
+});
+
+test('parsePrice reads decimal marks and thousands separators of both conventions', () => {
+  assert.equal(parsePrice('2.450,50 €').amount, 2450.5);
+  assert.equal(parsePrice('€1 299').amount, 1299);
+  assert.equal(parsePrice('12,50').amount, 12.5);
+});
+
+test('parsePrice prefers the number next to the currency over counts in the text', () => {
+  assert.equal(parsePrice('2 nights from $1,200').amount, 1200);
+  assert.equal(parsePrice('12 days from $3,499').amount, 3499);
+  assert.equal(parsePrice('7 days 2,450 EUR').amount, 2450);
+  assert.equal(parsePrice('$1,200 for 2 nights').amount, 1200);
+});
+
+test('parsePrice falls back to the number after a from-word, then to the first number', () => {
+  assert.equal(parsePrice('12 days from 3,499').amount, 3499);
+  assert.equal(parsePrice('Starting at: 450').amount, 450);
+  assert.equal(parsePrice('Price 899').amount, 899);
+});
+
+test('parsePrice marks from-prices and ranges as lowest prices', () => {
+  assert.equal(parsePrice('ab 899 €').isFromPrice, true);
+  assert.deepEqual(parsePrice('$899 - $1,299'), { amount: 899, currency: 'USD', isFromPrice: true, raw: '$899 - $1,299' });
+});
+
+test('parsePrice returns no amount without a number', () => {
+  assert.deepEqual(parsePrice('Price on request'), { amount: null, currency: null, isFromPrice: false, raw: 'Price on request' });
+  assert.deepEqual(parsePrice(null), { amount: null, currency: null, isFromPrice: false, raw: '' });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackPrices, createPriceHistory, createMemoryStorage } = require('../sript.js');
+
+// A checked tour link with a fresh price
+const createTourLink = (tourId, price) => ({
+  href: `/iceland/tours/${tourId}/golden-circle`,
+  urlPattern: 'tour-with-id',
+  checkResult: {
+    url: `https://example.com/iceland/tours/${tourId}/golden-circle`,
+    tourId: tourId,
+    price: price,
+    priceText: `€${price}`,
+    currency: 'EUR'
+  }
+});
+
+// Records a first run at `before`, then tracks a second run at `after`
+const trackChange = (before, after, options = {}) => {
+  const priceHistory = createPriceHistory({ storage: createMemoryStorage() });
+  trackPrices([createTourLink('101', before)], { priceHistory: priceHistory });
+  const link = createTourLink('101', after);
+  const flagged = trackPrices([link], { ...options, priceHistory: priceHistory });
+  return { link: link, flagged: flagged, priceHistory: priceHistory };
+};
+
+const anomalyTypes = (link) => link.checkResult.priceAnomalies.map(anomaly => anomaly.type);
+
+test('trackPrices records the first price without anomalies', () => {
+  const priceHistory = createPriceHistory({ storage: createMemoryStorage() });
+  const link = createTourLink('101', 200);
+  assert.deepEqual(trackPrices([link], { priceHistory: priceHistory }), []);
+  assert.equal(link.checkResult.priceHistory.previousPrice, null);
+  assert.equal(priceHistory.get('tour:101').length, 1);
+});
+
+test('trackPrices flags drops larger than maxPriceDropPercent', () => {
+  const { link, flagged } = trackChange(200, 80);
+  assert.equal(flagged.length, 1);
+  assert.deepEqual(anomalyTypes(link), ['price_drop']);
+  assert.equal(link.checkResult.priceHistory.changePercent, -60);
+  
+  assert.deepEqual(trackChange(200, 80, { maxPriceDropPercent: 70 }).flagged, []);
+});
+
+test('trackPrices does not report a price that dropped to zero as a drop', () => {
+  const { link, flagged } = trackChange(200, 0);
+  assert.deepEqual(flagged, []);
+  assert.deepEqual(link.checkResult.priceAnomalies, []);
+});
+
+test('trackPrices flags increases larger than maxPriceIncreasePercent', () => {
+  const { link, flagged } = trackChange(200, 20000);
+  assert.equal(flagged.length, 1);
+  assert.deepEqual(anomalyTypes(link), ['price_increase']);
+  
+  assert.deepEqual(trackChange(200, 300).flagged, []);
+  assert.deepEqual(anomalyTypes(trackChange(200, 300, { maxPriceIncreasePercent: 25 }).link), ['price_increase']);
+});
+
+test('trackPrices flags prices below the floor', () => {
+  const priceHistory = createPriceHistory({ storage: createMemoryStorage() });
+  const link = createTourLink('101', 5);
+  trackPrices([link], { priceHistory: priceHistory, priceFloor: 10 });
+  assert.deepEqual(anomalyTypes(link), ['below_floor']);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPromisePool } = require('../sript.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('createPromisePool keeps the item order and the concurrency limit', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const pool = createPromisePool([30, 5, 20, 1, 10], async (ms, index) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(ms);
+    running--;
+    return `${index}:${ms}`;
+  }, { concurrency: 2 });
+  
+  assert.deepEqual(await pool.done, ['0:30', '1:5', '2:20', '3:1', '4:10']);
+  assert.equal(maxRunning, 2);
+});
+
+test('createPromisePool reports every item through onProgress', async () => {
+  const events = [];
+  const pool = createPromisePool(['a', 'b'], async item => item.toUpperCase(), {
+    onProgress: event => events.push(`${event.type} ${event.item} ${event.completed}/${event.total}`)
+  });
+  
+  await pool.done;
+  assert.deepEqual(events, ['item-started a 0/2', 'item-started b 0/2', 'item-finished a 1/2', 'item-finished b 2/2']);
+});
+
+test('createPromisePool turns failed items into onError results', async () => {
+  const pool = createPromisePool([1, 2, 3], async item => {
+    if (item === 2) throw new Error('boom');
+    return item;
+  }, { onError: (error, item) => `failed ${item}: ${error.message}` });
+  
+  assert.deepEqual(await pool.done, [1, 'failed 2: boom', 3]);
+});
+
+test('createPromisePool rejects on the first error without onError', async () => {
+  const pool = createPromisePool([1, 2], item => {
+    if (item === 1) throw new Error('sync failure');
+    return item;
+  });
+  
+  await assert.rejects(pool.done, /sync failure/);
+});
+
+test('createPromisePool starts no new item once its signal is aborted', async () => {
+  const controller = new AbortController();
+  const started = [];
+  const pool = createPromisePool([1, 2, 3, 4], async item => {
+    started.push(item);
+    if (item === 1) controller.abort();
+    await delay(5);
+    return item;
+  }, { concurrency: 1, signal: controller.signal });
+  
+  const results = await pool.done;
+  assert.deepEqual(started, [1]);
+  assert.equal(results.filter(result => result !== undefined).length, 1);
+  assert.deepEqual(pool.getPending(), [2, 3, 4]);
+});
+
+test('createPromisePool holds pending items while paused', async () => {
+  const started = [];
+  const pool = createPromisePool([1, 2, 3], async item => {
+    started.push(item);
+    await delay(5);
+    return item;
+  }, { concurrency: 1 });
+  
+  pool.pause();
+  await delay(30);
+  assert.equal(pool.isPaused(), true);
+  assert.ok(started.length <= 1);
+  
+  pool.resume();
+  assert.deepEqual(await pool.done, [1, 2, 3]);
+  assert.deepEqual(started, [1, 2, 3]);
+});
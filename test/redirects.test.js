@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { JSDOM } = require('jsdom');
+const { analyzeRedirect, checkCruiseShipAvailability, configureAudit, resetAuditConfig } = require('../sript.js');
+
+// Serves a tours page with a ship list; the retired ship redirects to the home page
+const startSite = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/cruises/7/old-ship') {
+      res.writeHead(301, { Location: '/' });
+      res.end();
+    } else if (req.url === '/iceland/tours') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html><head><title>Tours</title></head><body><h1>Iceland tours</h1>' +
+              '<div class="al-il-fields-ship"><ul><li><label>Ocean Diamond</label></li></ul></div></body></html>');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html><head><title>Page</title></head><body><h1>Page</h1></body></html>');
+    }
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server: server, origin: `http://127.0.0.1:${server.address().port}` }));
+});
+
+test.beforeEach(() => {
+  global.window = { location: new URL('https://example.com/iceland') };
+});
+
+test.afterEach(() => {
+  delete global.window;
+  delete global.DOMParser;
+  resetAuditConfig();
+});
+
+const redirectOf = (url, finalUrl, urlPattern = 'tour-with-id') => analyzeRedirect(urlPattern, { url: url, finalUrl: finalUrl, redirectChain: [] });
+
+test('analyzeRedirect ignores links that were not redirected', () => {
+  assert.equal(redirectOf('https://example.com/iceland/tours/101/golden-circle', 'https://example.com/iceland/tours/101/golden-circle/'), null);
+  assert.equal(redirectOf('https://example.com/iceland/tours/101/golden-circle', null), null);
+});
+
+test('analyzeRedirect flags redirects to the home page, a search page, another site or another link type', () => {
+  assert.equal(redirectOf('https://example.com/iceland/tours/101/golden-circle', 'https://example.com/').reason, 'root');
+  assert.equal(redirectOf('https://example.com/iceland/tours/101/golden-circle', 'https://example.com/search?q=golden').reason, 'search');
+  assert.equal(redirectOf('https://example.com/iceland/tours/101/golden-circle', 'https://other.example.org/golden').reason, 'external');
+
+  const redirect = redirectOf('https://example.com/iceland/tours/101/golden-circle', 'https://example.com/iceland');
+  assert.equal(redirect.reason, 'pattern');
+  assert.equal(redirect.retired, true);
+  assert.match(redirect.message, /^Redirected – likely retired product/);
+});
+
+test('analyzeRedirect does not flag a redirect to another link of the same type', () => {
+  const redirect = redirectOf('https://example.com/iceland/tours/101/golden-circle', 'https://example.com/iceland/tours/102/golden-circle-classic');
+  assert.equal(redirect.retired, false);
+  assert.equal(redirect.reason, null);
+});
+
+test('checkCruiseShipAvailability records the redirects of the ship link', async () => {
+  const { server, origin } = await startSite();
+  global.window = { location: new URL(`${origin}/iceland`) };
+  global.DOMParser = new JSDOM('').window.DOMParser;
+  configureAudit({ retryCount: 1 });
+  try {
+    const result = await checkCruiseShipAvailability(`${origin}/cruises/7/old-ship`, 'Old Ship', { engine: 'fetch', pageUrl: `${origin}/iceland` });
+    assert.equal(result.finalUrl, `${origin}/`);
+    assert.deepEqual(result.redirectChain.map(hop => hop.status), [301, 200]);
+    assert.equal(analyzeRedirect('cruise-ship', result).reason, 'root');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { auditSectionQuality } = require('../sript.js');
+
+const originalFetch = global.fetch;
+
+test.afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+const createExtraction = (images) => ({
+  sections: {
+    Tours: [{
+      title: 'Popular tours',
+      links: [
+        { text: 'Golden Circle', href: '/iceland/tours/101/golden-circle', hasDescription: true, image: { src: '/img/golden.jpg' } },
+        { text: 'Blue Lagoon', href: '/iceland/tours/102/blue-lagoon', hasDescription: true, image: { src: '/img/lagoon.jpg' } }
+      ]
+    }]
+  },
+  images: images
+});
+
+test('auditSectionQuality reuses the image checks of auditImages', async () => {
+  global.fetch = async () => {
+    throw new Error('image requested twice');
+  };
+  
+  const quality = await auditSectionQuality(createExtraction([
+    { kind: 'img', src: '/img/golden.jpg', check: { loaded: true, status: 200, error: null } },
+    { kind: 'img', src: '/img/lagoon.jpg', check: { loaded: false, status: 404, error: 'HTTP 404' } }
+  ]), { baseUrl: 'https://example.com/iceland' });
+  
+  const tiles = quality.sections[0].tiles;
+  assert.deepEqual(tiles[0].issues, []);
+  assert.deepEqual(tiles[1].issues, ['Broken image src (HTTP 404)']);
+});
+
+test('auditSectionQuality checks images that were not audited yet once per src', async () => {
+  const requested = [];
+  global.fetch = async (url) => {
+    requested.push(url);
+    return new Response(new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 1, 0, 1, 0]), {
+      status: 200,
+      headers: { 'Content-Type': 'image/gif' }
+    });
+  };
+  
+  const extraction = createExtraction([]);
+  extraction.sections.Tours[0].links[1].image.src = '/img/golden.jpg';
+  const quality = await auditSectionQuality(extraction, { baseUrl: 'https://example.com/iceland' });
+  
+  assert.deepEqual(requested, ['https://example.com/img/golden.jpg']);
+  assert.equal(quality.sections[0].tiles[0].issues.length, 0);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  determineUrlPattern,
+  getReadableLinkType,
+  getLinkType,
+  registerUrlRoute,
+  resetUrlRoutes,
+  getUrlRoutes,
+  registerAvailabilityRule,
+  resetAvailabilityRules,
+  shouldCheckLink
+} = require('../sript.js');
+
+test.afterEach(() => {
+  resetAvailabilityRules();
+  resetUrlRoutes();
+});
+
+test('determineUrlPattern picks the first matching route', () => {
+  const expected = {
+    '/cruises/7/ocean-diamond': 'cruise-ship',
+    '/iceland/cruises/12/ring-road': 'cruise-with-id',
+    '/iceland/tours/101/golden-circle': 'tour-with-id',
+    '/operators/5': 'operator-with-id',
+    '/iceland/tours/hiking': 'tour-activity',
+    '/iceland/articles/northern-lights': 'multi-level/articles/article-name',
+    '/iceland/videos': 'destination-special-page',
+    '/iceland/deals': 'destination-special-page',
+    '/tours': 'multi-level/tours-category',
+    '/articles': 'multi-level/articles',
+    '/iceland/tours': 'tours-category',
+    '/iceland/cruises': 'cruises-category',
+    '/iceland': 'multi-level/destination-1',
+    '/iceland/south/vik': 'multi-level/destination-3',
+    'iceland/vik': 'multi-level/destination-2'
+  };
+  
+  Object.keys(expected).forEach(href => assert.equal(determineUrlPattern(href), expected[href], href));
+});
+
+test('determineUrlPattern marks links to other hosts as external', () => {
+  assert.equal(determineUrlPattern('https://partner.example.org/tours/101'), 'external');
+  assert.equal(determineUrlPattern('//partner.example.org/tours/101'), 'external');
+});
+
+test('routes give the label and report type of their links', () => {
+  assert.equal(getReadableLinkType('multi-level/destination-1'), 'Destination');
+  assert.equal(getReadableLinkType('multi-level/destination-3'), 'Subdestination');
+  assert.equal(getLinkType('multi-level/destination-3'), 'destination');
+  assert.equal(getLinkType('cruise-ship'), 'cruiseShip');
+  assert.equal(getLinkType('destination-special-page'), 'special');
+  assert.equal(getLinkType('external'), null);
+});
+
+test('registerUrlRoute adds a route first or before a named route, and replaces one of the same name', () => {
+  registerUrlRoute({ name: 'hotel-with-id', match: '^hotels/\\d+', label: 'Hotel', type: 'custom' });
+  assert.equal(determineUrlPattern('/hotels/12/hotel-borg'), 'hotel-with-id');
+  assert.equal(getUrlRoutes()[0].name, 'hotel-with-id');
+  assert.equal(getReadableLinkType('hotel-with-id'), 'Hotel');
+  
+  registerUrlRoute({ name: 'glacier-page', match: /glaciers$/, label: 'Glaciers' }, { before: 'tours-category' });
+  const names = getUrlRoutes().map(route => route.name);
+  assert.equal(names.indexOf('glacier-page'), names.indexOf('tours-category') - 1);
+  
+  registerUrlRoute({ name: 'hotel-with-id', match: '^lodges/\\d+', label: 'Lodge' });
+  assert.equal(getUrlRoutes()[0].name, 'hotel-with-id');
+  assert.equal(determineUrlPattern('/lodges/3'), 'hotel-with-id');
+  
+  resetUrlRoutes();
+  assert.equal(determineUrlPattern('/hotels/12/hotel-borg'), 'multi-level/destination-3');
+});
+
+test('registerUrlRoute rejects routes without a name, a match or a known checker', () => {
+  assert.throws(() => registerUrlRoute({ match: /x/ }), /needs a name/);
+  assert.throws(() => registerUrlRoute({ name: 'x' }), /needs a match/);
+  assert.throws(() => registerUrlRoute({ name: 'x', match: /x/, checker: 'nope' }), /unknown checker/);
+  assert.throws(() => registerUrlRoute({ name: 'x', match: /x/ }, { before: 'nope' }), /not a route/);
+});
+
+test('custom availability rules with a match route their links to the rule', () => {
+  registerAvailabilityRule('hotel-with-id', { match: '^/hotels/\\d+', label: 'Hotel', selectors: { name: ['h1'] } });
+  
+  assert.equal(determineUrlPattern('/hotels/12'), 'hotel-with-id');
+  assert.equal(getReadableLinkType('hotel-with-id'), 'Hotel');
+  assert.equal(getLinkType('hotel-with-id'), 'custom');
+  assert.equal(shouldCheckLink({ href: '/hotels/12', urlPattern: 'hotel-with-id', section: 'Hotels' }), true);
+  
+  // The rule's route survives a route reset and goes with the rule
+  resetUrlRoutes();
+  assert.equal(determineUrlPattern('/hotels/12'), 'hotel-with-id');
+  resetAvailabilityRules();
+  assert.equal(determineUrlPattern('/hotels/12'), 'multi-level/destination-2');
+});
+
+test('table links without a checker of their own use the table fallback route', () => {
+  const link = { href: '/tours', urlPattern: 'multi-level/tours-category' };
+  assert.equal(shouldCheckLink({ ...link, section: 'Deals' }), false);
+  assert.equal(shouldCheckLink({ ...link, section: 'Table' }), true);
+});